@@ -0,0 +1,185 @@
+// =============================================================================
+// Preview Typing Benchmark (bench/preview.html, opened by `npm run bench`)
+// =============================================================================
+
+import { flushSync } from 'react-dom'
+import { createRoot } from 'react-dom/client'
+import MarkdownPreview from '../src/components/MarkdownPreview'
+import { createPreviewRenderer } from '../src/lib/previewRenderer'
+import { renderPreviewBlocks } from '../src/lib/markdownPipeline'
+
+const NOTE_SIZES = [1000, 5000, 20000] // Lines
+const KEYSTROKES = 40
+const KEY_INTERVAL = 50 // ms between keystrokes, a fast typist
+const RENDER_DELAY = 100 // The app's PREVIEW_RENDER_DELAY
+const TYPED = 'the quick brown fox jumps over the lazy dog '
+const NOTE_PATH = 'bench.md'
+const COMPONENTS = {}
+
+const previewRoot = createRoot(document.getElementById('bench-preview'))
+const showBlocks = (blocks) => previewRoot.render(<MarkdownPreview blocks={blocks} components={COMPONENTS} />)
+
+// -----------------------------------------------------------------------------
+// Fixture
+// -----------------------------------------------------------------------------
+
+/**
+ * One section of the fixture note: about 30 lines of most of what the
+ * preview renders
+ */
+function fixtureSection(n) {
+  return [
+    `## Section ${n}`, '',
+    `Paragraph ${n} with **bold**, _emphasis_, \`inline code\`, a [link](https://example.com/${n}), [[Note ${n}]] and $x_${n}^2$.`,
+    'It goes on for a second line, the way prose wraps.', '',
+    `- Item ${n}.1`, `- Item ${n}.2`, '  - Nested item', `- [ ] Task ${n}`, '',
+    '```js {2}', `function section${n}(a, b) {`, '  return a + b', '}', '```', '',
+    '| Column | Value |', '| --- | ---: |', `| Row ${n} | ${n * 3} |`, '| Total | 42 |', '',
+    `> Quote ${n}, with a footnote[^${n}].`, '',
+    `[^${n}]: Footnote ${n}.`, ''
+  ]
+}
+
+/**
+ * A note of `lines` lines, made of fixture sections
+ */
+function fixtureNote(lines) {
+  const out = [`# Benchmark note, ${lines} lines`, '']
+  for (let n = 1; out.length < lines; n++) out.push(...fixtureSection(n))
+  return out.slice(0, lines).join('\n')
+}
+
+/**
+ * Where typing happens: the end of the paragraph nearest the middle of the
+ * note, so there is as much note above the edit as below it
+ */
+function typingOffset(note) {
+  const lines = note.split('\n')
+  let line = Math.floor(lines.length / 2)
+  while (!lines[line].startsWith('Paragraph')) line++
+  return lines.slice(0, line + 1).join('\n').length - 1 // Before the final '.'
+}
+
+// -----------------------------------------------------------------------------
+// Renderers
+// -----------------------------------------------------------------------------
+
+/**
+ * The preview as the app renders it: in the worker, debounced, reusing
+ * unchanged blocks
+ */
+function workerRenderer() {
+  let waiting = null // { content, resolve } of the render waited for
+  const renderer = createPreviewRenderer({
+    onRender: ({ content, blocks }) => {
+      showBlocks(blocks)
+      if (waiting?.content === content) waiting.resolve()
+    }
+  })
+  renderer.setNotes([])
+  return {
+    rendered: (content) => new Promise(resolve => { waiting = { content, resolve } }),
+    update: (content, delay) => renderer.render({ path: NOTE_PATH, content, trusted: false }, delay),
+    dispose: () => renderer.dispose()
+  }
+}
+
+/**
+ * The preview as it used to be rendered: the whole note, on the main thread,
+ * on every keystroke
+ */
+function mainThreadRenderer() {
+  let waiting = null
+  return {
+    rendered: (content) => new Promise(resolve => { waiting = { content, resolve } }),
+    update: (content) => {
+      const blocks = renderPreviewBlocks(content, { noteIndex: new Map(), fromPath: NOTE_PATH, trusted: false })
+      flushSync(() => showBlocks(blocks))
+      if (waiting?.content === content) waiting.resolve()
+    },
+    dispose: () => {}
+  }
+}
+
+const RENDERERS = [
+  { name: 'Worker', create: workerRenderer },
+  { name: 'Main thread', create: mainThreadRenderer }
+]
+
+// -----------------------------------------------------------------------------
+// Measuring
+// -----------------------------------------------------------------------------
+
+const sleepUntil = (time) => new Promise(resolve => setTimeout(resolve, Math.max(0, time - performance.now())))
+const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve)))
+
+/**
+ * Types KEYSTROKES characters into a note of `lines` lines. Returns each
+ * keystroke's latency and how long after the last one the preview showed it.
+ */
+async function measureTyping(lines, createRenderer) {
+  let content = fixtureNote(lines)
+  const at = typingOffset(content)
+  const renderer = createRenderer()
+  let shown = renderer.rendered(content)
+  renderer.update(content, 0)
+  await shown
+  await nextFrame()
+
+  const latencies = []
+  const start = performance.now()
+  let due = start
+  for (let i = 0; i < KEYSTROKES; i++) {
+    due = start + i * KEY_INTERVAL
+    await sleepUntil(due)
+    content = content.slice(0, at + i) + TYPED[i % TYPED.length] + content.slice(at + i)
+    if (i === KEYSTROKES - 1) shown = renderer.rendered(content)
+    renderer.update(content, RENDER_DELAY)
+    await nextFrame()
+    latencies.push(performance.now() - due)
+  }
+  await shown
+  await nextFrame()
+  const lag = performance.now() - due
+  renderer.dispose()
+  return { latencies, lag }
+}
+
+function percentile(sorted, p) {
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * p))]
+}
+
+function addResult(lines, rendererName, { latencies, lag }) {
+  const sorted = [...latencies].sort((a, b) => a - b)
+  const row = document.createElement('tr')
+  for (const value of [
+    `${lines.toLocaleString()} lines`,
+    rendererName,
+    percentile(sorted, 0.5),
+    percentile(sorted, 0.95),
+    sorted.at(-1),
+    lag
+  ]) {
+    const cell = document.createElement('td')
+    cell.textContent = typeof value === 'number' ? `${Math.round(value)} ms` : value
+    row.appendChild(cell)
+  }
+  document.getElementById('results').appendChild(row)
+}
+
+async function run() {
+  const button = document.getElementById('run')
+  const status = document.getElementById('status')
+  button.disabled = true
+  document.getElementById('results').replaceChildren()
+  for (const lines of NOTE_SIZES) {
+    for (const { name, create } of RENDERERS) {
+      status.textContent = `Typing into ${lines.toLocaleString()} lines (${name.toLowerCase()})…`
+      addResult(lines, name, await measureTyping(lines, create))
+    }
+  }
+  status.textContent = 'Done'
+  button.disabled = false
+}
+
+document.getElementById('run').addEventListener('click', run)
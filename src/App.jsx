@@ -1,12 +1,7 @@
-import { useState, useCallback, useRef, useEffect } from 'react'
-import ReactMarkdown from 'react-markdown'
-import remarkGfm from 'remark-gfm'
-import rehypeRaw from 'rehype-raw'
+import { useState, useCallback, useRef, useEffect, useLayoutEffect, useMemo } from 'react'
 import {
   FolderOpen,
   FilePlus,
-  ChevronRight,
-  ChevronDown,
   X,
   Bold,
   Italic,
@@ -23,33 +18,165 @@ import {
   Eye,
   Edit3,
   FileText,
-  Save
+  Save,
+  Files,
+  Search,
+  ListTree,
+  ArrowDownUp,
+  TriangleAlert,
+  Link2,
+  FilePlus2,
+  FolderPlus,
+  Pencil,
+  Trash2,
+  History,
+  FileDown,
+  Tag,
+  Shield,
+  ShieldCheck,
+  CircleAlert,
+  FolderInput,
+  SaveAll,
+  Timer,
+  Check,
+  LoaderCircle,
+  RotateCw,
+  FolderCog,
+  LocateFixed,
+  SunMoon,
+  Sun,
+  Moon,
+  Contrast,
+  Download
 } from 'lucide-react'
+import MarkdownEditor from './components/MarkdownEditor'
+import MarkdownPreview from './components/MarkdownPreview'
+import SearchPanel from './components/SearchPanel'
+import OutlinePanel from './components/OutlinePanel'
+import BacklinksPanel from './components/BacklinksPanel'
+import ContextMenu from './components/ContextMenu'
+import FileTree from './components/FileTree'
+import TabStrip from './components/TabStrip'
+import ConflictView from './components/ConflictView'
+import ExportDialog from './components/ExportDialog'
+import CodeBlock from './components/CodeBlock'
+import MetadataPanel from './components/MetadataPanel'
+import TagsPanel from './components/TagsPanel'
+import StrippedHtmlNotice from './components/StrippedHtmlNotice'
+import ProblemsPanel from './components/ProblemsPanel'
+import CommandPalette from './components/CommandPalette'
+import KeybindingsDialog from './components/KeybindingsDialog'
+import HistoryPanel from './components/HistoryPanel'
+import HistoryView from './components/HistoryView'
+import UnsavedChangesDialog from './components/UnsavedChangesDialog'
+import ScanSettingsDialog from './components/ScanSettingsDialog'
+import StorageStatus from './components/StorageStatus'
+import { createSearchIndex, buildSearchRegExp, replaceMatches } from './lib/searchIndex'
+import { extractHeadings } from './lib/outline'
+import { createLinkChecker } from './lib/linkChecker'
+import { parseFrontMatter, frontMatterTitle, frontMatterTags } from './lib/frontMatter'
+import { resolvePath, joinPath, splitHref } from './lib/paths'
+import { buildNoteIndex, findBacklinks, rewriteLinks } from './lib/wikiLinks'
+import {
+  splitPath,
+  validateName,
+  pathExists,
+  getHandle,
+  scanMarkdownFiles,
+  createFile,
+  createFolder,
+  deleteEntry,
+  moveEntry,
+  ensurePermission
+} from './lib/fileOps'
+import {
+  loadSession,
+  saveSession,
+  getRecentWorkspaces,
+  addRecentWorkspace,
+  removeRecentWorkspace,
+  isWorkspaceTrusted,
+  saveWorkspaceTrust,
+  getWorkspaceSettings,
+  saveWorkspaceSettings,
+  forgetWorkspace,
+  getSnapshots,
+  addSnapshot,
+  moveSnapshots
+} from './lib/sessionStore'
+import { ID_PREFIX, STRIPPED_REPORT_TAG } from './lib/sanitizeHtml'
+import { markdownPlugins } from './lib/markdownPipeline'
+import { createPreviewRenderer } from './lib/previewRenderer'
+import { buildExportHtml, saveExportHtml, printExportHtml } from './lib/exportDocument'
+import { collectAnchors, lineToOffset, offsetToLine } from './lib/scrollSync'
+import { DEFAULT_KEYBINDINGS, loadKeybindings, saveKeybindings, findCommandForEvent, formatKey } from './lib/keybindings'
+import { DEFAULT_ASSETS_FOLDER, normalizeAssetsFolder, saveImages, imageLink } from './lib/imageAssets'
+import { createSaveQueue } from './lib/saveQueue'
+import { createFileTreeModel } from './lib/fileTree'
+import { THEMES, WORKSPACE_PREVIEW_CSS, loadTheme, saveTheme, applyTheme, scopePreviewCss } from './lib/themes'
+import {
+  CAN_OPEN_FROM_DISK,
+  storageModeOf,
+  hasBrowserCopy,
+  deleteBrowserCopy,
+  copyFolder,
+  copyFile,
+  findFileCopy,
+  folderFromInput,
+  readDrop,
+  downloadFile
+} from './lib/storage'
+import {
+  DEFAULT_NOTE_EXTENSIONS,
+  DEFAULT_SCAN_SETTINGS,
+  hasNoteExtension,
+  stripNoteExtension,
+  loadScanFilter,
+  createFolderScanner
+} from './lib/folderScan'
 
 // =============================================================================
 // Constants
 // =============================================================================
 
-const AUTOSAVE_DELAY = 2000 // Auto-save after 2 seconds of inactivity
-
+const AUTOSAVE_DELAY = 2000 // Auto-save after 2 seconds of inactivity, unless the folder sets otherwise
+const AUTOSAVE_OPTIONS = [1000, 2000, 5000, 10000, 30000, null] // null turns autosave off
+const INDEX_BATCH_SIZE = 25 // Files read per background indexing step
+const PREVIEW_PADDING_TOP = 24 // Matches .preview padding, keeps scrolled-to headings off the edge
+const SCROLL_SYNC_LOCK = 150 // Ignore scroll events on a pane this long after syncing it
+const PREVIEW_RENDER_DELAY = 100 // Debounce for re-rendering the preview while typing
+const NOTICE_DURATION = 5000 // How long warnings stay on screen
+const DISK_CHECK_INTERVAL = 3000 // How often open files are checked for outside changes
+const FOLDER_RESCAN_INTERVAL = 10000 // How often the folder is rescanned for added / removed notes
+const SESSION_SAVE_DELAY = 500 // Debounce for persisting tabs and layout
+const PROBLEMS_RECHECK_DELAY = 1000 // Debounce for re-checking links after notes are added, moved or deleted
+const RECENT_FILES_LIMIT = 20 // Recently opened notes remembered for quick open
+
+const THEME_ICONS = { system: SunMoon, light: Sun, dark: Moon, 'high-contrast': Contrast }
+
+const HEADING_SELECTOR = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6']
+  .map(tag => `.preview ${tag}[data-source-line]`)
+  .join(', ')
+
+// `id`s name the formatting commands in the command palette and keybindings
 const FORMAT_ACTIONS = [
-  { icon: Heading1, label: 'Heading 1', before: '# ', after: '\n' },
-  { icon: Heading2, label: 'Heading 2', before: '## ', after: '\n' },
-  { icon: Heading3, label: 'Heading 3', before: '### ', after: '\n' },
+  { id: 'format.heading1', icon: Heading1, label: 'Heading 1', before: '# ', after: '\n' },
+  { id: 'format.heading2', icon: Heading2, label: 'Heading 2', before: '## ', after: '\n' },
+  { id: 'format.heading3', icon: Heading3, label: 'Heading 3', before: '### ', after: '\n' },
   { divider: true },
-  { icon: Bold, label: 'Bold', before: '**', after: '**' },
-  { icon: Italic, label: 'Italic', before: '_', after: '_' },
-  { icon: Code, label: 'Inline Code', before: '`', after: '`' },
+  { id: 'format.bold', icon: Bold, label: 'Bold', before: '**', after: '**' },
+  { id: 'format.italic', icon: Italic, label: 'Italic', before: '_', after: '_' },
+  { id: 'format.inlineCode', icon: Code, label: 'Inline Code', before: '`', after: '`' },
   { divider: true },
-  { icon: List, label: 'Bullet List', before: '- ', after: '\n' },
-  { icon: ListOrdered, label: 'Numbered List', before: '1. ', after: '\n' },
-  { icon: Quote, label: 'Quote', before: '> ', after: '\n' },
+  { id: 'format.bulletList', icon: List, label: 'Bullet List', before: '- ', after: '\n' },
+  { id: 'format.numberedList', icon: ListOrdered, label: 'Numbered List', before: '1. ', after: '\n' },
+  { id: 'format.quote', icon: Quote, label: 'Quote', before: '> ', after: '\n' },
   { divider: true },
-  { icon: Link, label: 'Link', before: '[', after: '](url)' },
-  { icon: Image, label: 'Image', before: '![alt](', after: ')' },
-  { icon: Minus, label: 'Horizontal Rule', before: '\n---\n', after: '' },
+  { id: 'format.link', icon: Link, label: 'Link', before: '[', after: '](url)' },
+  { id: 'format.image', icon: Image, label: 'Image', before: '![alt](', after: ')' },
+  { id: 'format.horizontalRule', icon: Minus, label: 'Horizontal Rule', before: '\n---\n', after: '' },
   { divider: true },
-  { icon: Code, label: 'Code Block', before: '\n```\n', after: '\n```\n' },
+  { id: 'format.codeBlock', icon: Code, label: 'Code Block', before: '\n```\n', after: '\n```\n' },
 ]
 
 // =============================================================================
@@ -57,62 +184,23 @@ const FORMAT_ACTIONS = [
 // =============================================================================
 
 /**
- * Builds a nested file tree structure from flat file entries
+ * Adds the `.md` extension to a new note name that lacks a note extension
  */
-function buildFileTree(entries, basePath = '') {
-  const tree = []
-  const folders = {}
-
-  for (const entry of entries) {
-    const parts = entry.path.split('/')
-    if (parts.length === 1) {
-      tree.push({ ...entry, type: 'file' })
-    } else {
-      const folderName = parts[0]
-      if (!folders[folderName]) {
-        folders[folderName] = []
-      }
-      folders[folderName].push({
-        ...entry,
-        path: parts.slice(1).join('/'),
-        fullPath: entry.fullPath || entry.path
-      })
-    }
-  }
-
-  for (const [name, children] of Object.entries(folders)) {
-    tree.unshift({
-      type: 'folder',
-      name,
-      path: basePath ? `${basePath}/${name}` : name,
-      children: buildFileTree(children, basePath ? `${basePath}/${name}` : name)
-    })
-  }
-
-  return tree.sort((a, b) => {
-    if (a.type === 'folder' && b.type !== 'folder') return -1
-    if (a.type !== 'folder' && b.type === 'folder') return 1
-    return (a.name || a.path).localeCompare(b.name || b.path)
-  })
+function noteFileName(name, extensions) {
+  return hasNoteExtension(name, extensions) ? name : `${name}.md`
 }
 
 /**
- * Resolves a relative path against a base path (handles ../ and ./)
+ * Finds an element in the preview by id, or an old-style `<a name>` anchor.
+ * Ids and names written in a sanitized note's HTML carry a prefix.
  */
-function resolvePath(basePath, relativePath) {
-  const baseParts = basePath.split('/').slice(0, -1) // Remove filename
-  const relativeParts = relativePath.split('/')
-  const resultParts = [...baseParts]
-
-  for (const part of relativeParts) {
-    if (part === '..') {
-      resultParts.pop()
-    } else if (part !== '.' && part !== '') {
-      resultParts.push(part)
-    }
+function findAnchorElement(container, anchor) {
+  if (!container || !anchor) return null
+  const names = [anchor, `${ID_PREFIX}${anchor}`]
+  for (const el of container.querySelectorAll('[id], a[name]')) {
+    if (names.includes(el.id) || names.includes(el.getAttribute('name'))) return el
   }
-
-  return resultParts.join('/')
+  return null
 }
 
 // =============================================================================
@@ -128,8 +216,15 @@ function App() {
   const [activeTab, setActiveTab] = useState(null)
   const [fileContents, setFileContents] = useState({})
   const [unsavedChanges, setUnsavedChanges] = useState(new Set())
+  const [conflicts, setConflicts] = useState({}) // Path -> { content, lastModified } changed on disk under unsaved edits
+  const [saveStatus, setSaveStatus] = useState({}) // Path -> 'saving', 'saved' or 'failed'
+  const [closingTab, setClosingTab] = useState(null) // Tab with unsaved edits, waiting for the user to confirm closing
   const [folderName, setFolderName] = useState('')
+  const [workspaceStorage, setWorkspaceStorage] = useState(null) // 'disk', 'browser' or 'memory', see storageModeOf
   const [expandedFolders, setExpandedFolders] = useState(new Set())
+  const [createdFolders, setCreatedFolders] = useState([]) // New folders, shown while they hold no notes
+  const [pendingFolders, setPendingFolders] = useState(new Set()) // Folders found but not listed yet (lazy loaded)
+  const [scanProgress, setScanProgress] = useState(null) // { folders, notes } while the folder is scanned
 
   // ---------------------------------------------------------------------------
   // State - Editor UI
@@ -137,48 +232,310 @@ function App() {
   const [viewMode, setViewMode] = useState('split') // 'edit', 'preview', 'split'
   const [splitRatio, setSplitRatio] = useState(0.5)
   const [isDragging, setIsDragging] = useState(false)
-  const [imageCache, setImageCache] = useState({})
+  const [sidebarView, setSidebarView] = useState('files') // 'files', 'search', 'outline', 'backlinks', 'tags', 'problems', 'history'
+  const [selectedTags, setSelectedTags] = useState([]) // Tags the file tree is filtered by
+  const [metadataOpen, setMetadataOpen] = useState(() => localStorage.getItem('md_metadata_open') !== 'off')
+  const [activeHeadingLine, setActiveHeadingLine] = useState(null) // Line of the heading in view
+  const [preview, setPreview] = useState(null) // { id, path, content, blocks } last rendered for the preview
+  const [scrollSync, setScrollSync] = useState(() => localStorage.getItem('md_scroll_sync') !== 'off')
+  const [assetsFolder, setAssetsFolder] = useState(() => localStorage.getItem('md_assets_folder') || DEFAULT_ASSETS_FOLDER) // Where pasted images go, relative to the note
+  const [pendingReveal, setPendingReveal] = useState(null) // { path, line, column, length }
+  const [pendingAnchor, setPendingAnchor] = useState(null) // { path, anchor } from a cross-file link
+  const [notice, setNotice] = useState(null) // Transient warning shown over the editor
+  const [contextMenu, setContextMenu] = useState(null) // { x, y, items }
+  const [treeEdit, setTreeEdit] = useState(null) // Inline create / rename in the file tree
+  const [revealRequest, setRevealRequest] = useState(null) // { path, at } of the file to scroll the tree to
+  const [dropTarget, setDropTarget] = useState(null) // Folder path hovered while dragging
+  const [exportTarget, setExportTarget] = useState(null) // { title, fileName, paths } in the export dialog
+  const [paletteQuery, setPaletteQuery] = useState(null) // Starting query of the open palette ('>' for commands)
+  const [keybindingsOpen, setKeybindingsOpen] = useState(false)
+  const [keybindings, setKeybindings] = useState(loadKeybindings) // Command id -> keys
+  const [recentFiles, setRecentFiles] = useState([]) // Workspace paths, most recently opened first
+  const [theme, setTheme] = useState(loadTheme) // One of THEMES
+  const [workspaceCss, setWorkspaceCss] = useState(null) // The folder's preview stylesheet, scoped to .preview
+
+  // ---------------------------------------------------------------------------
+  // State - Search Index
+  // ---------------------------------------------------------------------------
+  const [indexVersion, setIndexVersion] = useState(0) // Bumped whenever the index changes
+  const [indexProgress, setIndexProgress] = useState(null) // { done, total } while indexing
+
+  // ---------------------------------------------------------------------------
+  // State - Problems
+  // ---------------------------------------------------------------------------
+  const [problems, setProblems] = useState(null) // Path -> link checker problems, null until the folder is checked
+  const [problemsChecking, setProblemsChecking] = useState(false)
+
+  // ---------------------------------------------------------------------------
+  // State - Version History
+  // ---------------------------------------------------------------------------
+  const [snapshots, setSnapshots] = useState(null) // { path, list } for the history panel
+  const [historyVersion, setHistoryVersion] = useState(0) // Bumped whenever a snapshot is added
+  const [historyPreview, setHistoryPreview] = useState(null) // { path, snapshot } compared over the editor
+
+  // ---------------------------------------------------------------------------
+  // State - Session
+  // ---------------------------------------------------------------------------
+  const [sessionLoaded, setSessionLoaded] = useState(false) // Saving waits until the last session was read
+  const [pendingSession, setPendingSession] = useState(null) // Saved session waiting for permission
+  const [recentWorkspaces, setRecentWorkspaces] = useState([])
+  const [workspaceTrusted, setWorkspaceTrusted] = useState(false) // Show the folder's raw HTML unsanitized
+  const [autosaveDelay, setAutosaveDelay] = useState(AUTOSAVE_DELAY) // Set per folder; null turns autosave off
+  const [scanSettings, setScanSettings] = useState(DEFAULT_SCAN_SETTINGS) // Note types and ignore rules, per folder
+  const [scanSettingsOpen, setScanSettingsOpen] = useState(false)
 
   // ---------------------------------------------------------------------------
   // Refs
   // ---------------------------------------------------------------------------
-  const textareaRef = useRef(null)
+  const editorRef = useRef(null)
+  const editorStates = useRef(new Map()) // Per-tab CodeMirror states (undo history, selection)
   const editorPanelsRef = useRef(null)
+  const previewRef = useRef(null)
+  const previewAnchors = useRef(null) // Cached scroll sync anchors, reset when the preview changes
+  const scrollLock = useRef({ pane: null, until: 0 }) // Pane currently being scrolled by sync
   const savedSplitRatio = useRef(0.5)
   const rootDirHandle = useRef(null)
-  const autoSaveTimer = useRef(null)
+  const folderScanner = useRef(null) // Background scan of the open folder
+  const scanFilter = useRef(null) // Which files are notes and what is ignored, for rescans
+  const documentWriter = useRef(null) // Latest saveDocument, for saves the queue starts later
+  const saveQueue = useRef(createSaveQueue({
+    write: (path, content) => documentWriter.current(path, content),
+    onStatus: (path, status) => setSaveStatus(prev => {
+      if ((prev[path] ?? null) === status) return prev
+      const next = { ...prev }
+      if (status) {
+        next[path] = status
+      } else {
+        delete next[path]
+      }
+      return next
+    })
+  }))
+  const noticeTimer = useRef(null)
+  const searchIndex = useRef(createSearchIndex())
+  const fileTreeModel = useRef(createFileTreeModel()) // Nested tree of `files`, updated in place
+  const searchInputRef = useRef(null)
+  const draggedItem = useRef(null) // File tree item being dragged
+  const folderInputRef = useRef(null) // Folder picker where showDirectoryPicker is missing
+  const fileInputRef = useRef(null) // File picker where showOpenFilePicker is missing
+  const diskVersions = useRef(new Map()) // Path -> { lastModified, content } as last read or written
+  const fileOpsPending = useRef(0) // File tree operations in flight; disk watching waits for them
+  const diskChangeHandler = useRef(null) // Latest handleDiskChange, for timers and async writes
+  const noteMetaCache = useRef(new Map()) // Path -> { content, meta }, so unchanged notes aren't re-parsed
+  const savedNoteChecker = useRef(null) // Latest checkSavedNote, for saves finishing in older closures
+  const problemsRun = useRef(0) // Generation of the latest whole-folder link check; older ones are dropped
+  const shortcutHandler = useRef(null) // Latest handleShortcut, for the window keydown listener
+  const previewRenderer = useRef(null) // Renders the preview in a worker, see createPreviewRenderer
+  const previewRequest = useRef(null) // { path, trusted } of the last preview render asked for
+  const linkFollower = useRef(null) // Latest followInternalLink, for links in the preview
+  const imageCache = useRef({}) // `path:src` -> blob URL of images shown in the preview
+  const imageLoader = useRef(null) // Latest loadImage, so loading images doesn't re-render the preview
+
+  // ---------------------------------------------------------------------------
+  // Derived State
+  // ---------------------------------------------------------------------------
+  const activeContent = activeTab ? fileContents[activeTab] || '' : ''
+  const isSaving = Object.values(saveStatus).includes('saving')
+  const activeConflict = activeTab ? conflicts[activeTab] : null
+  const activeSnapshot = historyPreview?.path === activeTab ? historyPreview.snapshot : null
+  const headings = useMemo(() => extractHeadings(activeContent), [activeContent])
+  const lineCount = useMemo(() => activeContent.split('\n').length, [activeContent])
+  const noteIndex = useMemo(() => buildNoteIndex(files, scanSettings.noteExtensions), [files, scanSettings])
+  const activeTabEntry = openTabs.find(t => t.path === activeTab)
+  const activeIsStandalone = Boolean(activeTabEntry?.isStandalone)
+  const activeStorage = activeIsStandalone ? activeTabEntry.storage : workspaceStorage
+  const activeTrusted = workspaceTrusted && !activeIsStandalone
+  const activeFrontMatter = useMemo(() => parseFrontMatter(activeContent), [activeContent])
+  const showsPreview = Boolean(activeTab) && !activeConflict && viewMode !== 'edit'
+  // Blank until the note's first render arrives, rather than another note's
+  const previewBlocks = preview?.path === activeTab ? preview.blocks : []
+  const ThemeIcon = THEME_ICONS[theme]
+
+  // Front matter title and tags of every known note (open buffers first)
+  const noteMeta = useMemo(() => {
+    const cache = noteMetaCache.current
+    const meta = new Map()
+    const paths = [...files.map(f => f.fullPath), ...openTabs.filter(t => t.isStandalone).map(t => t.path)]
+    for (const path of paths) {
+      const content = fileContents[path] ?? searchIndex.current.get(path)
+      if (content === undefined) continue
+      let entry = cache.get(path)
+      if (entry?.content !== content) {
+        const data = parseFrontMatter(content)?.data
+        entry = { content, meta: { title: frontMatterTitle(data), tags: frontMatterTags(data) } }
+        cache.set(path, entry)
+      }
+      meta.set(path, entry.meta)
+    }
+    for (const path of cache.keys()) {
+      if (!meta.has(path)) cache.delete(path)
+    }
+    return meta
+  }, [files, openTabs, fileContents, indexVersion])
 
   // ---------------------------------------------------------------------------
   // File System Operations
   // ---------------------------------------------------------------------------
 
-  const handleOpenFolder = async () => {
+  /**
+   * Scans the workspace folder in the background, replacing the file list.
+   * The tree fills in as folders are listed; folders not reached yet are
+   * listed when expanded.
+   */
+  const startScan = (dirHandle, filter) => {
+    folderScanner.current?.cancel()
+    scanFilter.current = filter
+    setFiles([])
+    setPendingFolders(new Set())
+    setScanProgress({ folders: 0, notes: 0 })
+
+    const scanner = createFolderScanner(dirHandle, {
+      filter,
+      onUpdate: ({ files: found, listed, found: folders }) => {
+        if (folderScanner.current !== scanner) return
+        if (found.length > 0) setFiles(prev => [...prev, ...found])
+        // A folder can be found and listed within one update
+        setPendingFolders(prev => {
+          const next = new Set(prev)
+          for (const path of folders) next.add(path)
+          for (const path of listed) next.delete(path)
+          return next
+        })
+      },
+      onProgress: (progress) => {
+        if (folderScanner.current === scanner) setScanProgress(progress)
+      }
+    })
+    folderScanner.current = scanner
+    scanner.run()
+      .catch(err => console.warn('Failed to scan folder:', err))
+      .finally(() => {
+        if (folderScanner.current === scanner) setScanProgress(null)
+      })
+  }
+
+  // Folders that were not reached stay in the tree and load when expanded
+  const cancelScan = () => {
+    folderScanner.current?.cancel()
+    setScanProgress(null)
+  }
+
+  /**
+   * Stores the folder's note types and ignore rules, then scans it again
+   */
+  const saveScanSettings = async (settings) => {
+    setScanSettingsOpen(false)
+    const dirHandle = rootDirHandle.current
+    if (!dirHandle) return
+    setScanSettings(settings)
     try {
-      const dirHandle = await window.showDirectoryPicker()
-      const entries = []
-
-      async function processDirectory(handle, path = '') {
-        for await (const entry of handle.values()) {
-          const entryPath = path ? `${path}/${entry.name}` : entry.name
-          if (entry.kind === 'file' && entry.name.endsWith('.md')) {
-            entries.push({
-              name: entry.name,
-              path: entryPath,
-              fullPath: entryPath,
-              handle: entry
-            })
-          } else if (entry.kind === 'directory') {
-            await processDirectory(entry, entryPath)
-          }
-        }
+      await saveWorkspaceSettings(dirHandle, { scan: settings })
+    } catch (err) {
+      console.warn('Failed to save folder settings:', err)
+    }
+    startScan(dirHandle, await loadScanFilter(dirHandle, settings))
+  }
+
+  const closeScanSettings = useCallback(() => setScanSettingsOpen(false), [])
+
+  /**
+   * Before another folder replaces the open one: asks whether to lose the
+   * unsaved edits of its notes, if any. Returns false if the user keeps them.
+   */
+  const confirmLeaveWorkspace = (nextName) => {
+    const unsaved = [...unsavedChanges].filter(path => !path.startsWith('[standalone]/'))
+    if (unsaved.length === 0) return true
+    return window.confirm(
+      `${unsaved.length === 1 ? 'A note' : `${unsaved.length} notes`} in "${folderName}" ` +
+      `${unsaved.length === 1 ? 'has' : 'have'} unsaved edits, which will be lost. Open "${nextName}" anyway?`
+    )
+  }
+
+  /**
+   * Closes the open folder's tabs and forgets their buffers, drafts and
+   * queued saves, so notes at the same paths in the next folder load fresh.
+   * Standalone notes stay open.
+   */
+  const closeWorkspaceTabs = () => {
+    const isWorkspacePath = (path) => !path.startsWith('[standalone]/')
+    const remainingTabs = openTabs.filter(t => t.isStandalone)
+    setOpenTabs(remainingTabs)
+    if (activeTab && isWorkspacePath(activeTab)) {
+      setActiveTab(remainingTabs.length > 0 ? remainingTabs[remainingTabs.length - 1].path : null)
+    }
+    for (const path of unsavedChanges) {
+      if (isWorkspacePath(path)) localStorage.removeItem(`md_draft_${path}`)
+    }
+    for (const tab of openTabs) {
+      if (!tab.isStandalone) saveQueue.current.discard(tab.path)
+    }
+    setFileContents(prev => Object.fromEntries(Object.entries(prev).filter(([p]) => !isWorkspacePath(p))))
+    setUnsavedChanges(prev => new Set([...prev].filter(p => !isWorkspacePath(p))))
+    setConflicts(prev => Object.fromEntries(Object.entries(prev).filter(([p]) => !isWorkspacePath(p))))
+    setSnapshots(prev => (prev && isWorkspacePath(prev.path) ? null : prev))
+    setClosingTab(null)
+    for (const cache of [editorStates.current, diskVersions.current]) {
+      for (const p of [...cache.keys()]) {
+        if (isWorkspacePath(p)) cache.delete(p)
       }
+    }
+  }
 
-      await processDirectory(dirHandle)
-      setFiles(entries)
-      setFolderName(dirHandle.name)
-      setExpandedFolders(new Set())
-      rootDirHandle.current = dirHandle
-      setImageCache({})
+  /**
+   * Makes a folder the workspace and starts scanning it for notes. Callers
+   * check confirmLeaveWorkspace first: the open folder's tabs are closed.
+   */
+  const openWorkspace = async (dirHandle) => {
+    const storage = await storageModeOf(dirHandle)
+    let settings = {}
+    try {
+      settings = await getWorkspaceSettings(dirHandle)
+    } catch (err) {
+      console.warn('Failed to read folder settings:', err)
+    }
+    const folderScanSettings = { ...DEFAULT_SCAN_SETTINGS, ...settings.scan }
+    const filter = await loadScanFilter(dirHandle, folderScanSettings)
+
+    closeWorkspaceTabs()
+    searchIndex.current.clear()
+    startScan(dirHandle, filter)
+    setScanSettings(folderScanSettings)
+    setFolderName(dirHandle.name)
+    setWorkspaceStorage(storage)
+    setExpandedFolders(new Set())
+    setCreatedFolders([])
+    setSelectedTags([])
+    setProblems(null)
+    setRecentFiles([])
+    setHistoryPreview(null)
+    rootDirHandle.current = dirHandle
+    imageCache.current = {}
+    setPendingSession(null)
+    setWorkspaceTrusted(false)
+    setAutosaveDelay(settings.autosaveDelay !== undefined ? settings.autosaveDelay : AUTOSAVE_DELAY)
+
+    try {
+      setRecentWorkspaces(await addRecentWorkspace(dirHandle))
+    } catch (err) {
+      console.warn('Failed to update recent folders:', err)
+    }
+    try {
+      const trusted = await isWorkspaceTrusted(dirHandle)
+      if (rootDirHandle.current === dirHandle) setWorkspaceTrusted(trusted)
+    } catch (err) {
+      console.warn('Failed to read folder trust:', err)
+    }
+  }
+
+  const handleOpenFolder = async () => {
+    if (!CAN_OPEN_FROM_DISK) {
+      folderInputRef.current.click()
+      return
+    }
+    try {
+      const dirHandle = await window.showDirectoryPicker()
+      if (!confirmLeaveWorkspace(dirHandle.name)) return
+      await openWorkspace(dirHandle)
     } catch (err) {
       if (err.name !== 'AbortError') {
         console.error('Error opening folder:', err)
@@ -186,33 +543,83 @@ function App() {
     }
   }
 
+  /**
+   * Opens a copy of a folder picked or dropped where it can't be opened on
+   * disk, checking first before an earlier copy with its edits is replaced
+   */
+  const openFolderCopy = async ({ name, files: folderFiles }) => {
+    if (!confirmLeaveWorkspace(name)) return
+    try {
+      const replacing = await hasBrowserCopy(name)
+      if (replacing && !window.confirm(
+        `This browser already keeps a copy of "${name}", with the edits made to it. Replace it with the folder you picked?\n\n` +
+        'Cancel keeps the copy; it is listed under Recent.'
+      )) return
+      const folder = await copyFolder(name, folderFiles)
+      // The old copy's trust, settings and history are not the new folder's
+      if (replacing) {
+        try {
+          await forgetWorkspace(folder)
+        } catch (err) {
+          console.warn('Failed to reset folder copy:', err)
+        }
+      }
+      await openWorkspace(folder)
+    } catch (err) {
+      console.error('Error opening folder:', err)
+      showNotice(`${name} could not be opened`)
+    }
+  }
+
+  const handleFolderInput = async (e) => {
+    const folder = folderFromInput(e.target.files)
+    e.target.value = ''
+    if (folder) await openFolderCopy(folder)
+  }
+
+  /**
+   * Opens a file from outside the workspace. `dirHandle` is the folder it is
+   * in, if the user has given access to it (for images next to the note).
+   */
+  const openStandaloneFile = async (fileHandle, dirHandle = null) => {
+    const file = await fileHandle.getFile()
+    const content = await file.text()
+    const standalonePath = `[standalone]/${file.name}`
+
+    if (!openTabs.find(t => t.path === standalonePath)) {
+      diskVersions.current.set(standalonePath, { lastModified: file.lastModified, content })
+      const fileEntry = {
+        name: file.name,
+        path: standalonePath,
+        fullPath: standalonePath,
+        handle: fileHandle,
+        dirHandle,
+        storage: await storageModeOf(fileHandle),
+        isStandalone: true
+      }
+      setOpenTabs(prev => (prev.find(t => t.path === standalonePath) ? prev : [...prev, fileEntry]))
+      setFileContents(prev => ({ ...prev, [standalonePath]: content }))
+    }
+    setActiveTab(standalonePath)
+  }
+
   const handleOpenFile = async () => {
+    if (!CAN_OPEN_FROM_DISK) {
+      fileInputRef.current.click()
+      return
+    }
     try {
       const fileHandles = await window.showOpenFilePicker({
         multiple: true,
         types: [{
           description: 'Markdown files',
-          accept: { 'text/markdown': ['.md'] }
+          accept: { 'text/markdown': DEFAULT_NOTE_EXTENSIONS }
         }]
       })
 
+      setPendingSession(null)
       for (const fileHandle of fileHandles) {
-        const file = await fileHandle.getFile()
-        const content = await file.text()
-        const standalonePath = `[standalone]/${file.name}`
-
-        if (!openTabs.find(t => t.path === standalonePath)) {
-          const fileEntry = {
-            name: file.name,
-            path: standalonePath,
-            fullPath: standalonePath,
-            handle: fileHandle,
-            isStandalone: true
-          }
-          setOpenTabs(prev => [...prev, fileEntry])
-          setFileContents(prev => ({ ...prev, [standalonePath]: content }))
-        }
-        setActiveTab(standalonePath)
+        await openStandaloneFile(fileHandle)
       }
     } catch (err) {
       if (err.name !== 'AbortError') {
@@ -221,16 +628,200 @@ function App() {
     }
   }
 
-  const handleFileClick = async (file) => {
-    if (!openTabs.find(t => t.path === file.fullPath)) {
-      setOpenTabs([...openTabs, { ...file, path: file.fullPath }])
+  /**
+   * Opens copies of notes picked or dropped where they can't be opened on
+   * disk. Copies are kept by name: an earlier copy with its edits is only
+   * replaced once the user agrees, and an open tab of it then reloads (or
+   * shows a conflict, with unsaved edits) like a note changed on disk.
+   */
+  const openFileCopies = async (picked) => {
+    setPendingSession(null)
+    for (const file of picked) {
+      try {
+        const existing = await findFileCopy(file.name)
+        if (existing && !window.confirm(
+          `This browser already keeps a copy of "${file.name}", with the edits made to it. Replace it with the file you picked?\n\n` +
+          'Cancel opens the copy instead.'
+        )) {
+          await openStandaloneFile(existing)
+          continue
+        }
+
+        const handle = await copyFile(file)
+        const path = `[standalone]/${file.name}`
+        const tab = openTabs.find(t => t.path === path)
+        if (tab && await tab.handle.isSameEntry(handle).catch(() => false)) {
+          const change = await readDiskChange(path, tab.handle)
+          if (change) handleDiskChange(path, change)
+        }
+        await openStandaloneFile(handle)
+      } catch (err) {
+        console.error('Error opening file:', err)
+        showNotice(`${file.name} could not be opened`)
+      }
+    }
+  }
+
+  const handleFileInput = async (e) => {
+    const picked = [...e.target.files]
+    e.target.value = ''
+    await openFileCopies(picked)
+  }
+
+  /**
+   * Opens folders and notes dropped on the page: in place where the browser
+   * hands out handles for them, otherwise as copies. One folder is opened at
+   * most; other files that aren't notes are left out.
+   */
+  const handleFilesDrop = async (e) => {
+    if (e.defaultPrevented || draggedItem.current || !e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    try {
+      const dropped = await readDrop(e.dataTransfer)
+      const isNote = (name) => hasNoteExtension(name, DEFAULT_NOTE_EXTENSIONS)
+      const [folder, ...otherFolders] = dropped.handles
+        ? dropped.handles.filter(handle => handle.kind === 'directory')
+        : dropped.folders
+      const notes = dropped.handles
+        ? dropped.handles.filter(handle => handle.kind === 'file' && isNote(handle.name))
+        : dropped.files.filter(file => isNote(file.name))
+
+      if (otherFolders.length > 0) showNotice(`Only one folder can be open at a time, so only ${folder.name} was opened`)
+      if (!folder && notes.length === 0) {
+        showNotice('Drop a folder or markdown notes to open them')
+        return
+      }
+
+      if (dropped.handles) {
+        if (folder && !confirmLeaveWorkspace(folder.name)) return
+        for (const handle of [folder, ...notes].filter(Boolean)) {
+          // Browsers may not count a drop as a click, and refuse to ask
+          const granted = await ensurePermission(handle, { request: true }).catch(() => false)
+          if (!granted) {
+            showNotice(`Access to ${handle.name} was not granted. Open it with the buttons in the sidebar instead`)
+            return
+          }
+        }
+        if (folder) await openWorkspace(folder)
+        setPendingSession(null)
+        for (const handle of notes) await openStandaloneFile(handle)
+      } else {
+        if (folder) await openFolderCopy(folder)
+        await openFileCopies(notes)
+      }
+    } catch (err) {
+      console.error('Error opening dropped files:', err)
+      showNotice('What was dropped could not be opened')
+    }
+  }
+
+  const handleFilesDragOver = (e) => {
+    if (draggedItem.current || !e.dataTransfer.types.includes('Files')) return
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'copy'
+  }
+
+  /**
+   * Reopens the folder, tabs and expanded folders of a saved session. Without
+   * `request`, returns false if any handle still needs the user to grant
+   * access again (which browsers only allow from a click).
+   */
+  const restoreSession = async (session, { request = false } = {}) => {
+    if (session.workspace && !confirmLeaveWorkspace(session.workspace.handle.name)) return true
+    const handles = [
+      session.workspace?.handle,
+      ...session.tabs.flatMap(tab => [tab.handle, tab.dirHandle])
+    ].filter(Boolean)
+    for (const handle of handles) {
+      if (!await ensurePermission(handle, { request })) return false
+    }
+    setPendingSession(null)
+
+    if (session.workspace) await openWorkspace(session.workspace.handle)
+    const restored = new Set()
+    for (const tab of session.tabs) {
+      try {
+        if (tab.handle) {
+          await openStandaloneFile(tab.handle, tab.dirHandle)
+          restored.add(`[standalone]/${tab.handle.name}`)
+        } else if (session.workspace) {
+          // Looked up directly: the scan may not have reached the note yet
+          const handle = await getHandle(session.workspace.handle, tab.path, 'file')
+          // This render's buffers are the previous folder's
+          await handleFileClick({ name: handle.name, path: tab.path, fullPath: tab.path, handle }, { reload: true })
+          restored.add(tab.path)
+        }
+      } catch (err) {
+        // The file may have been moved or deleted since
+        console.warn('Failed to reopen tab:', tab.path, err)
+      }
+    }
+
+    if (session.workspace) {
+      setExpandedFolders(new Set(session.expandedFolders))
+      setRecentFiles(prev => [...new Set([...prev, ...(session.recentFiles || [])])].slice(0, RECENT_FILES_LIMIT))
+    }
+    if (restored.has(session.activeTab)) setActiveTab(session.activeTab)
+    return true
+  }
+
+  const handleRestoreSession = async () => {
+    try {
+      if (!await restoreSession(pendingSession, { request: true })) {
+        showNotice('Access was not granted, so the last session could not be restored')
+      }
+    } catch (err) {
+      console.error('Error restoring session:', err)
+      showNotice('The last session could not be restored')
+    }
+  }
+
+  const handleOpenRecent = async (workspace) => {
+    try {
+      if (!await ensurePermission(workspace.handle, { request: true })) {
+        showNotice(`Access to ${workspace.name} was not granted`)
+        return
+      }
+      if (!confirmLeaveWorkspace(workspace.name)) return
+      await openWorkspace(workspace.handle)
+    } catch (err) {
+      console.error('Error opening recent folder:', err)
+      showNotice(`${workspace.name} could not be opened. It may have been moved or deleted.`)
+    }
+  }
+
+  const handleRemoveRecent = async (workspace) => {
+    try {
+      if (await storageModeOf(workspace.handle) === 'browser' &&
+        window.confirm(`Also delete the copy of "${workspace.name}" kept in this browser, with its edits?`)) {
+        await deleteBrowserCopy(workspace.handle)
+      }
+    } catch (err) {
+      console.warn('Failed to delete folder copy:', err)
     }
+    try {
+      setRecentWorkspaces(await removeRecentWorkspace(workspace.id))
+    } catch (err) {
+      console.warn('Failed to update recent folders:', err)
+    }
+  }
+
+  /**
+   * Opens a workspace note in a tab, loading it unless its buffer is already
+   * there. `reload` loads it anyway, for callers whose state predates a
+   * workspace change.
+   */
+  const handleFileClick = async (file, { reload = false } = {}) => {
+    setOpenTabs(prev => (
+      prev.find(t => t.path === file.fullPath) ? prev : [...prev, { ...file, path: file.fullPath }]
+    ))
     setActiveTab(file.fullPath)
 
-    if (!fileContents[file.fullPath]) {
+    if (reload || !fileContents[file.fullPath]) {
       try {
         const fileData = await file.handle.getFile()
         const content = await fileData.text()
+        diskVersions.current.set(file.fullPath, { lastModified: fileData.lastModified, content })
 
         // Check for unsaved draft in localStorage
         const draft = localStorage.getItem(`md_draft_${file.fullPath}`)
@@ -247,14 +838,25 @@ function App() {
     }
   }
 
+  const handleOpenMatch = (path, match) => {
+    const file = files.find(f => f.fullPath === path)
+    if (!file) return
+    handleFileClick(file)
+    setPendingReveal({ path, line: match.line, column: match.column, length: match.length })
+    if (viewMode === 'preview') {
+      handleViewModeChange('split')
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Tab Management
   // ---------------------------------------------------------------------------
 
-  const handleCloseTab = (e, path) => {
-    e.stopPropagation()
+  const closeTab = (path) => {
     const newTabs = openTabs.filter(t => t.path !== path)
     setOpenTabs(newTabs)
+    editorStates.current.delete(path)
+    saveQueue.current.discard(path)
     if (activeTab === path) {
       setActiveTab(newTabs.length > 0 ? newTabs[newTabs.length - 1].path : null)
     }
@@ -263,19 +865,60 @@ function App() {
       next.delete(path)
       return next
     })
+    setConflicts(prev => {
+      if (!(path in prev)) return prev
+      const next = { ...prev }
+      delete next[path]
+      return next
+    })
+  }
+
+  /**
+   * Closes a tab, first asking whether to save it if it has unsaved edits
+   */
+  const requestCloseTab = (path) => {
+    if (unsavedChanges.has(path)) {
+      setClosingTab(path)
+      return
+    }
+    closeTab(path)
+  }
+
+  const handleCloseTab = (e, path) => {
+    e.stopPropagation()
+    requestCloseTab(path)
   }
 
   const closeActiveTab = useCallback(() => {
     if (!activeTab) return
-    const newTabs = openTabs.filter(t => t.path !== activeTab)
-    setOpenTabs(newTabs)
-    setActiveTab(newTabs.length > 0 ? newTabs[newTabs.length - 1].path : null)
-    setUnsavedChanges(prev => {
-      const next = new Set(prev)
-      next.delete(activeTab)
+    requestCloseTab(activeTab)
+  }, [activeTab, openTabs, unsavedChanges])
+
+  const saveAndCloseTab = async () => {
+    const path = closingTab
+    const saved = await saveTab(path)
+    setClosingTab(null)
+    if (saved) {
+      closeTab(path)
+    } else {
+      showNotice(`${path.split('/').pop()} was not saved, so its tab was left open`)
+    }
+  }
+
+  // The buffer and draft go too, so reopening the note shows what is on disk
+  const discardAndCloseTab = () => {
+    const path = closingTab
+    localStorage.removeItem(`md_draft_${path}`)
+    setFileContents(prev => {
+      const next = { ...prev }
+      delete next[path]
       return next
     })
-  }, [activeTab, openTabs])
+    setClosingTab(null)
+    closeTab(path)
+  }
+
+  const cancelCloseTab = useCallback(() => setClosingTab(null), [])
 
   const toggleFolder = (path) => {
     setExpandedFolders(prev => {
@@ -289,28 +932,140 @@ function App() {
     })
   }
 
+  const showSearch = () => {
+    setSidebarView('search')
+    requestAnimationFrame(() => searchInputRef.current?.select())
+  }
+
   // ---------------------------------------------------------------------------
   // Content & Saving
   // ---------------------------------------------------------------------------
 
-  const autoSaveToFile = async (path, content) => {
-    const tab = openTabs.find(t => t.path === path)
-    if (!tab?.handle) return
+  /**
+   * Keeps the search index in step with what was just written to disk
+   */
+  const updateSearchIndex = (path, content) => {
+    if (!searchIndex.current.has(path)) return
+    searchIndex.current.set(path, content)
+    setIndexVersion(v => v + 1)
+  }
+
+  const markSaved = (path) => {
+    setUnsavedChanges(prev => {
+      const next = new Set(prev)
+      next.delete(path)
+      return next
+    })
+    localStorage.removeItem(`md_draft_${path}`)
+    // After the caller has brought the search index up to date
+    setTimeout(() => savedNoteChecker.current?.(path))
+  }
 
+  /**
+   * Compares a file on disk with the version the app last read or wrote.
+   * Returns null when it is unchanged, otherwise `{ content, lastModified }`
+   * with the disk content (`content` is null if the file was deleted).
+   */
+  const readDiskChange = async (path, handle) => {
+    let fileData
     try {
-      const writable = await tab.handle.createWritable()
-      await writable.write(content)
-      await writable.close()
-      setUnsavedChanges(prev => {
-        const next = new Set(prev)
-        next.delete(path)
-        return next
-      })
-      localStorage.removeItem(`md_draft_${path}`)
+      fileData = await handle.getFile()
     } catch (err) {
-      console.warn('Auto-save failed:', err)
+      if (err.name === 'NotFoundError') return { content: null, lastModified: null }
+      throw err
+    }
+
+    const known = diskVersions.current.get(path)
+    if (!known || fileData.lastModified === known.lastModified) return null
+
+    const content = await fileData.text()
+    if (content === (known.content ?? searchIndex.current.get(path))) {
+      // Touched, not edited
+      diskVersions.current.set(path, { ...known, lastModified: fileData.lastModified })
+      return null
+    }
+    return { content, lastModified: fileData.lastModified }
+  }
+
+  /**
+   * Reacts to a file that changed on disk. Clean tabs reload, tabs with
+   * unsaved edits get a conflict to resolve, and notes that are not open are
+   * re-indexed. `blockedWrite` means the change stopped the app from writing;
+   * `buffer` is the tab content a save was about to write (fresher than state
+   * captured by a pending auto-save).
+   */
+  const handleDiskChange = (path, change, { blockedWrite = false, buffer } = {}) => {
+    const name = path.split('/').pop()
+
+    if (!openTabs.some(t => t.path === path)) {
+      if (change.content !== null) {
+        diskVersions.current.set(path, { lastModified: change.lastModified })
+        updateSearchIndex(path, change.content)
+      }
+      if (blockedWrite) showNotice(`${name} changed on disk, so it was not updated`)
+      return
+    }
+
+    const edits = buffer ?? (unsavedChanges.has(path) ? fileContents[path] : undefined)
+    if (edits !== undefined && edits !== change.content) {
+      setConflicts(prev => ({ ...prev, [path]: change }))
+      return
+    }
+
+    if (change.content === null) {
+      closeTab(path)
+      showNotice(`${name} was deleted on disk`)
+      return
     }
+
+    diskVersions.current.set(path, { lastModified: change.lastModified, content: change.content })
+    setFileContents(prev => ({ ...prev, [path]: change.content }))
+    markSaved(path)
+    updateSearchIndex(path, change.content)
+    if (blockedWrite) showNotice(`${name} changed on disk and was reloaded instead of updated`)
   }
+  diskChangeHandler.current = handleDiskChange
+
+  /**
+   * Writes a file unless it changed on disk since the app last read it, in
+   * which case the outside change is handled instead of being overwritten.
+   * `fromBuffer` marks saves of a tab's own edits. Returns whether the file
+   * was written.
+   */
+  const writeToDisk = async (path, handle, content, { force = false, fromBuffer = false } = {}) => {
+    if (!force) {
+      const change = await readDiskChange(path, handle)
+      if (change) {
+        diskChangeHandler.current(path, change, { blockedWrite: true, buffer: fromBuffer ? content : undefined })
+        return false
+      }
+    }
+
+    const previous = diskVersions.current.get(path)?.content ?? searchIndex.current.get(path)
+    const writable = await handle.createWritable()
+    await writable.write(content)
+    await writable.close()
+    const fileData = await handle.getFile()
+    diskVersions.current.set(path, { lastModified: fileData.lastModified, content })
+    recordSnapshot(path, content, previous)
+    return true
+  }
+
+  /**
+   * Writes a tab's edits for the save queue. Returns whether they were
+   * written; write errors are left to the queue, which retries.
+   */
+  const saveDocument = async (path, content) => {
+    const tab = openTabs.find(t => t.path === path)
+    if (!tab?.handle) return false
+
+    if (!await writeToDisk(path, tab.handle, content, { fromBuffer: true })) return false
+    // Edits made while writing are still unsaved
+    if (!saveQueue.current.hasPending(path)) markSaved(path)
+    updateSearchIndex(path, content)
+    return true
+  }
+  documentWriter.current = saveDocument
 
   const handleContentChange = (path, content) => {
     setFileContents(prev => ({ ...prev, [path]: content }))
@@ -323,39 +1078,506 @@ function App() {
       console.warn('Failed to save to localStorage:', err)
     }
 
-    // Debounced file save
-    if (autoSaveTimer.current) {
-      clearTimeout(autoSaveTimer.current)
+    // Debounced file save, queued per document
+    saveQueue.current.schedule(path, content, autosaveDelay)
+  }
+
+  /**
+   * Saves a tab's current text now. Returns whether it was written.
+   */
+  const saveTab = (path) => saveQueue.current.save(path, fileContents[path])
+
+  const handleSave = () => {
+    if (!activeTab) return
+    saveTab(activeTab)
+  }
+
+  const saveAll = async () => {
+    const paths = [...unsavedChanges].filter(path => openTabs.some(t => t.path === path))
+    const results = await Promise.all(paths.map(saveTab))
+    const failed = results.filter(saved => !saved).length
+    if (failed > 0) showNotice(`${failed} note${failed === 1 ? ' was' : 's were'} not saved`)
+  }
+
+  /**
+   * Sets the folder's autosave delay (null for off). Notes already waiting
+   * are rescheduled with it.
+   */
+  const changeAutosaveDelay = async (delay) => {
+    setAutosaveDelay(delay)
+    for (const path of unsavedChanges) {
+      if (fileContents[path] !== undefined) saveQueue.current.schedule(path, fileContents[path], delay)
+    }
+
+    const dirHandle = rootDirHandle.current
+    if (!dirHandle) return
+    try {
+      await saveWorkspaceSettings(dirHandle, { autosaveDelay: delay })
+    } catch (err) {
+      console.warn('Failed to save folder settings:', err)
     }
-    autoSaveTimer.current = setTimeout(() => {
-      autoSaveToFile(path, content)
-    }, AUTOSAVE_DELAY)
   }
 
-  const handleSave = async () => {
+  const openAutosaveMenu = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const items = AUTOSAVE_OPTIONS.map(delay => ({
+      label: delay === null ? 'Off' : `After ${delay / 1000} s`,
+      checked: delay === autosaveDelay,
+      onSelect: () => changeAutosaveDelay(delay)
+    }))
+    setContextMenu({ x: rect.left, y: rect.bottom + 4, items })
+  }
+
+  /**
+   * Writes new content for a workspace file straight to disk, replacing the
+   * buffer of its open tab (if any) and dropping its unsaved draft. Returns
+   * whether the file was written.
+   */
+  const writeFileContent = async (path, handle, content, options) => {
+    // A queued save for this file would write the old buffer
+    saveQueue.current.discard(path)
+
+    if (!await writeToDisk(path, handle, content, options)) return false
+    setFileContents(prev => (path in prev ? { ...prev, [path]: content } : prev))
+    markSaved(path)
+    updateSearchIndex(path, content)
+    return true
+  }
+
+  /**
+   * Settles a conflict between unsaved edits and the disk version: keep
+   * 'mine' (overwrite disk), take 'theirs' (drop the edits) or save a 'merge'
+   */
+  const resolveConflict = async (path, resolution, mergedContent) => {
+    const conflict = conflicts[path]
+    const tab = openTabs.find(t => t.path === path)
+    if (!conflict || !tab) return
+
+    const clearConflict = () => setConflicts(prev => {
+      const next = { ...prev }
+      delete next[path]
+      return next
+    })
+
+    if (resolution === 'theirs') {
+      // A queued save would write the discarded edits over the disk version
+      saveQueue.current.discard(path)
+      clearConflict()
+      if (conflict.content === null) {
+        closeTab(path)
+        return
+      }
+      diskVersions.current.set(path, { lastModified: conflict.lastModified, content: conflict.content })
+      setFileContents(prev => ({ ...prev, [path]: conflict.content }))
+      markSaved(path)
+      updateSearchIndex(path, conflict.content)
+      return
+    }
+
+    const content = resolution === 'merge' ? mergedContent : fileContents[path]
+    try {
+      let handle = tab.handle
+      // Keeping edits to a deleted note recreates it
+      if (conflict.content === null && !tab.isStandalone) {
+        handle = await createFile(rootDirHandle.current, path)
+        const entry = { name: tab.name, path, fullPath: path, handle }
+        setFiles(prev => [...prev.filter(f => f.fullPath !== path), entry])
+        setOpenTabs(prev => prev.map(t => (t.path === path ? { ...t, handle } : t)))
+      }
+      await writeFileContent(path, handle, content, { force: true })
+      clearConflict()
+    } catch (err) {
+      console.error('Error resolving conflict:', path, err)
+      showNotice(`Could not save ${tab.name}`)
+    }
+  }
+
+  /**
+   * Applies a workspace replace. Each change lists the match offsets to
+   * replace in one file; open tabs are replaced in their current buffer, so
+   * offsets line up with what the search panel showed.
+   */
+  const handleWorkspaceReplace = async ({ query, options, replacement, changes }) => {
+    const pattern = buildSearchRegExp(query, options)
+
+    for (const { path, offsets } of changes) {
+      const file = files.find(f => f.fullPath === path)
+      if (!file?.handle) continue
+
+      try {
+        let content = fileContents[path] ?? searchIndex.current.get(path)
+        if (content === undefined) {
+          const fileData = await file.handle.getFile()
+          content = await fileData.text()
+        }
+        const newContent = replaceMatches(content, pattern, replacement, {
+          regex: options.regex,
+          offsets: new Set(offsets)
+        })
+        if (newContent === content) continue
+
+        await writeFileContent(path, file.handle, newContent)
+      } catch (err) {
+        console.error('Error replacing in file:', path, err)
+      }
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // File Tree Operations
+  // ---------------------------------------------------------------------------
+
+  const expandToFolder = (path) => {
+    setExpandedFolders(prev => {
+      const next = new Set(prev)
+      const parts = path ? path.split('/') : []
+      for (let i = 1; i <= parts.length; i++) {
+        next.add(parts.slice(0, i).join('/'))
+      }
+      return next
+    })
+  }
+
+  /**
+   * Shows the active note in the file tree: expands its folders, then
+   * scrolls to and highlights it
+   */
+  const revealActiveFile = () => {
     if (!activeTab) return
-    const tab = openTabs.find(t => t.path === activeTab)
-    if (!tab?.handle) return
+    setSidebarView('files')
+    expandToFolder(splitPath(activeTab).dir)
+    setRevealRequest({ path: activeTab, at: Date.now() })
+  }
+
+  const startCreate = (kind, parentPath = '') => {
+    setSidebarView('files')
+    expandToFolder(parentPath)
+    setTreeEdit({ mode: 'create', kind, parentPath })
+  }
+
+  const handleTreeEditSubmit = (rawName) => {
+    const edit = treeEdit
+    setTreeEdit(null)
+    if (!edit) return
 
-    if (autoSaveTimer.current) {
-      clearTimeout(autoSaveTimer.current)
+    const error = validateName(rawName)
+    if (error) {
+      showNotice(error)
+      return
     }
+    const name = edit.kind === 'file' ? noteFileName(rawName, scanSettings.noteExtensions) : rawName
 
+    if (edit.mode === 'create') {
+      createTreeEntry(edit.kind, joinPath(edit.parentPath, name))
+    } else {
+      moveTreeEntry(edit.kind, edit.path, joinPath(splitPath(edit.path).dir, name))
+    }
+  }
+
+  const createTreeEntry = async (kind, path) => {
+    const { dir, name } = splitPath(path)
     try {
-      const writable = await tab.handle.createWritable()
-      await writable.write(fileContents[activeTab])
-      await writable.close()
-      setUnsavedChanges(prev => {
-        const next = new Set(prev)
-        next.delete(activeTab)
-        return next
-      })
-      localStorage.removeItem(`md_draft_${activeTab}`)
+      if (await pathExists(rootDirHandle.current, path)) {
+        showNotice(`"${name}" already exists in ${dir || folderName}`)
+        return
+      }
+
+      if (kind === 'folder') {
+        await createFolder(rootDirHandle.current, path)
+        setCreatedFolders(prev => [...prev, path])
+        expandToFolder(path)
+        return
+      }
+
+      const handle = await createFile(rootDirHandle.current, path)
+      const entry = { name, path, fullPath: path, handle }
+      setFiles(prev => [...prev, entry])
+      handleFileClick(entry)
     } catch (err) {
-      console.error('Error saving file:', err)
+      console.error('Error creating:', path, err)
+      showNotice(`Could not create "${name}"`)
     }
   }
 
+  /**
+   * Reads every workspace note (open buffers first) and works out how its
+   * links change when paths are remapped. Run before the move, while the
+   * note index still describes the old layout.
+   */
+  const planLinkUpdates = async (remap) => {
+    const updates = []
+    for (const file of files) {
+      let content = fileContents[file.fullPath] ?? searchIndex.current.get(file.fullPath)
+      if (content === undefined) {
+        try {
+          const fileData = await file.handle.getFile()
+          content = await fileData.text()
+        } catch (err) {
+          console.warn('Failed to read file:', file.fullPath, err)
+          continue
+        }
+      }
+
+      const newPath = remap(file.fullPath)
+      const result = rewriteLinks(content, file.fullPath, newPath, remap, noteIndex, scanSettings.noteExtensions)
+      if (result.count > 0) {
+        updates.push({ path: newPath, content: result.content, count: result.count })
+      }
+    }
+    return updates
+  }
+
+  /**
+   * Moves open tabs, buffers, unsaved markers, queued saves, drafts, editor
+   * states and search index entries over to their remapped paths.
+   * `movedEntries` are the file entries (with fresh handles) at the new
+   * location.
+   */
+  const applyPathChanges = (remap, movedEntries) => {
+    const isMoved = (path) => remap(path) !== path
+    const movedByPath = new Map(movedEntries.map(entry => [entry.fullPath, entry]))
+
+    setFiles(prev => [...prev.filter(f => !isMoved(f.fullPath)), ...movedEntries])
+    setOpenTabs(prev => prev.map(tab => {
+      const entry = !tab.isStandalone && isMoved(tab.path) && movedByPath.get(remap(tab.path))
+      return entry ? { ...tab, ...entry, path: entry.fullPath } : tab
+    }))
+    setActiveTab(prev => (prev ? remap(prev) : prev))
+    setFileContents(prev => Object.fromEntries(Object.entries(prev).map(([path, content]) => [remap(path), content])))
+    setUnsavedChanges(prev => new Set([...prev].map(remap)))
+    setConflicts(prev => Object.fromEntries(Object.entries(prev).map(([path, conflict]) => [remap(path), conflict])))
+    setExpandedFolders(prev => new Set([...prev].map(remap)))
+    setCreatedFolders(prev => prev.map(remap))
+    // Moved folders were scanned whole at their new location
+    folderScanner.current?.drop(isMoved)
+    setPendingFolders(prev => new Set([...prev].filter(path => !isMoved(path))))
+    setRecentFiles(prev => prev.map(remap))
+    setSaveStatus(prev => Object.fromEntries(Object.entries(prev).map(([path, status]) => [remap(path), status])))
+    saveQueue.current.move(remap)
+    setHistoryPreview(null)
+    imageCache.current = {}
+    if (rootDirHandle.current) {
+      moveSnapshots(rootDirHandle.current, remap).catch(err => console.warn('Failed to move version history:', err))
+    }
+
+    for (const cache of [editorStates.current, diskVersions.current]) {
+      for (const [path, value] of [...cache]) {
+        if (!isMoved(path)) continue
+        cache.delete(path)
+        cache.set(remap(path), value)
+      }
+    }
+
+    for (const file of files) {
+      if (!isMoved(file.fullPath)) continue
+      const draft = localStorage.getItem(`md_draft_${file.fullPath}`)
+      if (draft === null) continue
+      localStorage.removeItem(`md_draft_${file.fullPath}`)
+      try {
+        localStorage.setItem(`md_draft_${remap(file.fullPath)}`, draft)
+      } catch (err) {
+        console.warn('Failed to save to localStorage:', err)
+      }
+    }
+
+    const index = searchIndex.current
+    for (const path of index.paths()) {
+      if (!isMoved(path)) continue
+      index.set(remap(path), index.get(path))
+      index.remove(path)
+    }
+    setIndexVersion(v => v + 1)
+  }
+
+  /**
+   * Moves or renames a file or folder, then offers to update the links in
+   * other notes (and in the moved notes themselves) that point across the move
+   */
+  const moveTreeEntry = async (kind, fromPath, toPath) => {
+    if (fromPath === toPath) return
+    const root = rootDirHandle.current
+    const remap = kind === 'file'
+      ? (path) => (path === fromPath ? toPath : path)
+      : (path) => (path === fromPath || path.startsWith(`${fromPath}/`) ? toPath + path.slice(fromPath.length) : path)
+    const isMoved = (path) => remap(path) !== path
+    const { dir, name } = splitPath(toPath)
+
+    const isCaseOnly = fromPath.toLowerCase() === toPath.toLowerCase()
+    if (!isCaseOnly && await pathExists(root, toPath)) {
+      showNotice(`"${name}" already exists in ${dir || folderName}`)
+      return
+    }
+
+    const linkUpdates = await planLinkUpdates(remap)
+    const handles = new Map(files.map(f => [f.fullPath, f.handle]))
+
+    fileOpsPending.current++
+    try {
+      // Finish due saves first so they move with the file
+      const pendingPaths = [...unsavedChanges].filter(path => isMoved(path) && saveQueue.current.isBusy(path))
+      await Promise.all(pendingPaths.map(path => saveQueue.current.flush(path)))
+
+      const handle = await moveEntry(root, fromPath, toPath, kind)
+      const movedEntries = kind === 'file'
+        ? [{ name, path: toPath, fullPath: toPath, handle }]
+        : await scanMarkdownFiles(handle, toPath, { filter: scanFilter.current })
+      for (const entry of movedEntries) {
+        handles.set(entry.fullPath, entry.handle)
+      }
+      applyPathChanges(remap, movedEntries)
+      expandToFolder(dir)
+    } catch (err) {
+      console.error('Error moving:', fromPath, err)
+      showNotice(`Could not move "${splitPath(fromPath).name}"`)
+      return
+    } finally {
+      fileOpsPending.current--
+    }
+
+    if (linkUpdates.length === 0) return
+    const linkCount = linkUpdates.reduce((sum, update) => sum + update.count, 0)
+    const confirmed = window.confirm(
+      `Update ${linkCount} link${linkCount === 1 ? '' : 's'} in ${linkUpdates.length} ` +
+      `note${linkUpdates.length === 1 ? '' : 's'} to point to the new location?`
+    )
+    if (!confirmed) return
+
+    for (const update of linkUpdates) {
+      try {
+        await writeFileContent(update.path, handles.get(update.path), update.content)
+      } catch (err) {
+        console.error('Error updating links in file:', update.path, err)
+      }
+    }
+  }
+
+  const deleteTreeEntry = async (kind, path) => {
+    const isDeleted = kind === 'file'
+      ? (p) => p === path
+      : (p) => p === path || p.startsWith(`${path}/`)
+    const { name } = splitPath(path)
+    const hasUnsaved = [...unsavedChanges].some(isDeleted)
+    const message = (kind === 'folder' ? `Delete the folder "${name}" and everything in it?` : `Delete "${name}"?`) +
+      (hasUnsaved ? '\n\nUnsaved changes will be lost.' : '')
+    if (!window.confirm(message)) return
+
+    fileOpsPending.current++
+    try {
+      await deleteEntry(rootDirHandle.current, path)
+    } catch (err) {
+      console.error('Error deleting:', path, err)
+      showNotice(`Could not delete "${name}"`)
+      return
+    } finally {
+      fileOpsPending.current--
+    }
+
+    for (const p of unsavedChanges) {
+      if (isDeleted(p)) saveQueue.current.discard(p)
+    }
+
+    const remainingTabs = openTabs.filter(t => t.isStandalone || !isDeleted(t.path))
+    setOpenTabs(remainingTabs)
+    if (activeTab && isDeleted(activeTab)) {
+      setActiveTab(remainingTabs.length > 0 ? remainingTabs[remainingTabs.length - 1].path : null)
+    }
+    setFiles(prev => prev.filter(f => !isDeleted(f.fullPath)))
+    setFileContents(prev => Object.fromEntries(Object.entries(prev).filter(([p]) => !isDeleted(p))))
+    setUnsavedChanges(prev => new Set([...prev].filter(p => !isDeleted(p))))
+    setConflicts(prev => Object.fromEntries(Object.entries(prev).filter(([p]) => !isDeleted(p))))
+    setExpandedFolders(prev => new Set([...prev].filter(p => !isDeleted(p))))
+    setCreatedFolders(prev => prev.filter(p => !isDeleted(p)))
+    folderScanner.current?.drop(isDeleted)
+    setPendingFolders(prev => new Set([...prev].filter(p => !isDeleted(p))))
+    imageCache.current = {}
+
+    for (const cache of [editorStates.current, diskVersions.current]) {
+      for (const p of [...cache.keys()]) {
+        if (isDeleted(p)) cache.delete(p)
+      }
+    }
+    for (const file of files) {
+      if (isDeleted(file.fullPath)) localStorage.removeItem(`md_draft_${file.fullPath}`)
+    }
+    for (const p of searchIndex.current.paths()) {
+      if (isDeleted(p)) searchIndex.current.remove(p)
+    }
+    setIndexVersion(v => v + 1)
+  }
+
+  const openTreeMenu = (e, item) => {
+    if (!rootDirHandle.current) return
+    e.preventDefault()
+    e.stopPropagation()
+
+    const folderPath = !item ? '' : item.type === 'folder' ? item.path : splitPath(item.path).dir
+    const items = [
+      { label: 'New File', icon: FilePlus2, onSelect: () => startCreate('file', folderPath) },
+      { label: 'New Folder', icon: FolderPlus, onSelect: () => startCreate('folder', folderPath) },
+      { divider: true },
+      item?.type === 'file'
+        ? { label: 'Export…', icon: FileDown, onSelect: () => openExport('file', item.path) }
+        : { label: 'Export Folder…', icon: FileDown, onSelect: () => openExport('folder', folderPath) }
+    ]
+    if (item?.type === 'file' && workspaceStorage !== 'disk') {
+      items.push({ label: 'Download', icon: Download, onSelect: () => downloadNote(item.path) })
+    }
+    if (item) {
+      items.push(
+        { divider: true },
+        { label: 'Rename', icon: Pencil, onSelect: () => setTreeEdit({ mode: 'rename', kind: item.type, path: item.path }) },
+        { label: 'Delete', icon: Trash2, danger: true, onSelect: () => deleteTreeEntry(item.type, item.path) }
+      )
+    }
+    setContextMenu({ x: e.clientX, y: e.clientY, items })
+  }
+
+  const closeContextMenu = useCallback(() => setContextMenu(null), [])
+
+  // Drag and drop moves files and folders between folders ('' is the root)
+  const canDropInto = (folderPath) => {
+    const item = draggedItem.current
+    if (!item || splitPath(item.path).dir === folderPath) return false
+    return item.type !== 'folder' || (folderPath !== item.path && !folderPath.startsWith(`${item.path}/`))
+  }
+
+  const handleTreeDragStart = (e, item) => {
+    e.stopPropagation()
+    draggedItem.current = item
+    e.dataTransfer.effectAllowed = 'move'
+    e.dataTransfer.setData('text/plain', item.path)
+  }
+
+  const handleTreeDragOver = (e, folderPath) => {
+    if (!draggedItem.current) return
+    e.stopPropagation()
+    if (!canDropInto(folderPath)) {
+      setDropTarget(null)
+      return
+    }
+    e.preventDefault()
+    e.dataTransfer.dropEffect = 'move'
+    setDropTarget(folderPath)
+  }
+
+  const handleTreeDrop = (e, folderPath) => {
+    if (!draggedItem.current) return
+    e.preventDefault()
+    e.stopPropagation()
+    const item = draggedItem.current
+    const canDrop = canDropInto(folderPath)
+    draggedItem.current = null
+    setDropTarget(null)
+    if (canDrop) {
+      moveTreeEntry(item.type, item.path, joinPath(folderPath, item.name))
+    }
+  }
+
+  const handleTreeDragEnd = () => {
+    draggedItem.current = null
+    setDropTarget(null)
+  }
+
   // ---------------------------------------------------------------------------
   // View Mode & Split Handling
   // ---------------------------------------------------------------------------
@@ -395,49 +1617,388 @@ function App() {
   // ---------------------------------------------------------------------------
 
   const insertFormatting = (before, after = '') => {
-    const textarea = textareaRef.current
-    if (!textarea || !activeTab) return
+    if (!activeTab) return
+    editorRef.current?.insertFormatting(before, after)
+  }
 
-    const start = textarea.selectionStart
-    const end = textarea.selectionEnd
-    const content = fileContents[activeTab] || ''
-    const selectedText = content.substring(start, end)
+  // ---------------------------------------------------------------------------
+  // Outline Navigation
+  // ---------------------------------------------------------------------------
 
-    const newContent =
-      content.substring(0, start) + before + selectedText + after + content.substring(end)
+  /**
+   * Scrolls the preview so the element rendered from a 0-based source line
+   * is at the top
+   */
+  const scrollPreviewToLine = (line) => {
+    const preview = previewRef.current
+    const target = preview?.querySelector(`[data-source-line="${line + 1}"]`)
+    if (!target) return
+    preview.scrollTo({ top: target.offsetTop - PREVIEW_PADDING_TOP })
+  }
 
-    handleContentChange(activeTab, newContent)
+  const handleOutlineSelect = (heading) => {
+    editorRef.current?.scrollToLine(heading.line, { select: true })
+    scrollPreviewToLine(heading.line)
+    setActiveHeadingLine(heading.line)
+  }
 
-    setTimeout(() => {
-      textarea.focus()
-      textarea.setSelectionRange(
-        start + before.length,
-        start + before.length + selectedText.length
-      )
-    }, 0)
+  /**
+   * Finds the last heading scrolled past the top of the preview
+   */
+  const updateActiveHeadingFromPreview = useCallback(() => {
+    const preview = previewRef.current
+    if (!preview) return
+    const threshold = preview.scrollTop + PREVIEW_PADDING_TOP + 8
+    let current = null
+    for (const el of preview.querySelectorAll(HEADING_SELECTOR)) {
+      if (el.offsetTop > threshold) break
+      current = Number(el.dataset.sourceLine) - 1
+    }
+    setActiveHeadingLine(current)
+  }, [])
+
+  // In edit-only mode the editor's scroll position picks the heading instead
+  const handleEditorTopLineChange = (topLine) => {
+    if (viewMode === 'split' && scrollSync && !isScrollLocked('editor')) {
+      syncPreviewToLine(topLine)
+    }
+    if (viewMode !== 'edit') return
+    let current = null
+    for (const heading of headings) {
+      if (heading.line > topLine) break
+      current = heading.line
+    }
+    setActiveHeadingLine(current)
   }
 
+  // ---------------------------------------------------------------------------
+  // Tags & Metadata
+  // ---------------------------------------------------------------------------
+
+  const toggleTag = (tag) => {
+    setSelectedTags(prev => (prev.includes(tag) ? prev.filter(t => t !== tag) : [...prev, tag]))
+  }
+
+  // A tag in the metadata panel shows the notes that have it
+  const handleMetadataTagClick = (tag) => {
+    setSelectedTags([tag])
+    setSidebarView('files')
+  }
+
+  const changeTheme = (id) => {
+    setTheme(id)
+    saveTheme(id)
+  }
+
+  const openThemeMenu = (e) => {
+    const rect = e.currentTarget.getBoundingClientRect()
+    const items = THEMES.map(({ id, label }) => ({
+      label,
+      checked: id === theme,
+      onSelect: () => changeTheme(id)
+    }))
+    setContextMenu({ x: rect.left, y: rect.bottom + 4, items })
+  }
+
+  const toggleMetadataPanel = () => {
+    setMetadataOpen(prev => {
+      localStorage.setItem('md_metadata_open', prev ? 'off' : 'on')
+      return !prev
+    })
+  }
+
+  /**
+   * Label for a note in the tree and tabs: its front matter title, if any
+   */
+  const noteLabel = (path, name) => noteMeta.get(path)?.title || name
+
+  // ---------------------------------------------------------------------------
+  // HTML Trust
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Trusting a folder renders its notes' raw HTML as written instead of
+   * sanitizing it, and lets its preview stylesheet load. Remembered per folder.
+   */
+  const toggleWorkspaceTrust = async () => {
+    const dirHandle = rootDirHandle.current
+    if (!dirHandle) return
+    const trusted = !workspaceTrusted
+    if (trusted && !window.confirm(
+      `Trust "${folderName}"?\n\nHTML in its notes will be shown as written, without removing frames, ` +
+      'event handlers or script links, which could read and change files in the folder, ' +
+      `and ${WORKSPACE_PREVIEW_CSS} will style the preview. Only trust folders whose content you know.`
+    )) return
+
+    setWorkspaceTrusted(trusted)
+    try {
+      await saveWorkspaceTrust(dirHandle, trusted)
+    } catch (err) {
+      console.warn('Failed to save folder trust:', err)
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Problems (link checker)
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Checks notes for broken links, missing images and sections, and duplicate
+   * headings. Only `paths` are re-checked if given, otherwise the whole
+   * folder (replacing all earlier results). Results of a check that a newer
+   * whole-folder check started after are dropped.
+   */
+  const checkProblems = async (paths) => {
+    const root = rootDirHandle.current
+    if (!root) return
+    const run = paths ? problemsRun.current : ++problemsRun.current
+    const notePaths = new Set(files.map(f => f.fullPath))
+
+    // Links point at what is on disk, so check saved content
+    const readNote = async (path) => {
+      if (searchIndex.current.has(path)) return searchIndex.current.get(path)
+      const file = files.find(f => f.fullPath === path)
+      try {
+        return file ? await (await file.handle.getFile()).text() : undefined
+      } catch {
+        return undefined
+      }
+    }
+    const knownFiles = new Map()
+    const fileExists = (path) => {
+      if (!knownFiles.has(path)) knownFiles.set(path, pathExists(root, path))
+      return knownFiles.get(path)
+    }
+    const checker = createLinkChecker({ noteIndex, notePaths, readNote, fileExists, noteExtensions: scanSettings.noteExtensions })
+
+    const results = {}
+    if (!paths) setProblemsChecking(true)
+    try {
+      for (const path of paths ? paths.filter(p => notePaths.has(p)) : notePaths) {
+        const content = await readNote(path)
+        if (content !== undefined) results[path] = await checker.checkNote(path, content)
+      }
+    } catch (err) {
+      console.warn('Link check failed:', err)
+    }
+    const latest = problemsRun.current === run
+    if (!paths && latest) setProblemsChecking(false)
+    if (!latest || rootDirHandle.current !== root) return
+    setProblems(prev => (paths ? prev && { ...prev, ...results } : results))
+  }
+
+  /**
+   * Once the folder has been checked, a saved note is re-checked along with
+   * the notes linking to it (its headings may be what they point at)
+   */
+  const checkSavedNote = (path) => {
+    if (problems === null || !files.some(f => f.fullPath === path)) return
+    const index = searchIndex.current
+    const notes = index.paths().map(p => [p, index.get(p)])
+    checkProblems([path, ...findBacklinks(path, notes, noteIndex, scanSettings.noteExtensions).map(b => b.path)])
+  }
+  savedNoteChecker.current = checkSavedNote
+
+  // ---------------------------------------------------------------------------
+  // Version History
+  // ---------------------------------------------------------------------------
+
+  /**
+   * What a note's snapshots are stored under: the workspace folder, or the
+   * file itself for a standalone note
+   */
+  const historyOwner = (path) => {
+    const tab = openTabs.find(t => t.path === path)
+    if (tab?.isStandalone) return tab.handle
+    return path.startsWith('[standalone]/') ? null : rootDirHandle.current
+  }
+
+  /**
+   * Adds a snapshot for a write in the background. `previous` is the
+   * content the write replaced.
+   */
+  const recordSnapshot = (path, content, previous) => {
+    const owner = historyOwner(path)
+    if (!owner) return
+    addSnapshot(owner, path, content, previous)
+      .then(added => {
+        if (added) setHistoryVersion(v => v + 1)
+      })
+      .catch(err => console.warn('Failed to save version history:', err))
+  }
+
+  /**
+   * Puts a snapshot's text back in its tab, through the editor when it is
+   * shown so the restore can be undone
+   */
+  const restoreSnapshot = () => {
+    const { path, snapshot } = historyPreview
+    if (!editorRef.current?.replaceText(path, snapshot.content)) {
+      handleContentChange(path, snapshot.content)
+    }
+    setHistoryPreview(null)
+  }
+
+  const closeHistoryPreview = useCallback(() => setHistoryPreview(null), [])
+
+  // ---------------------------------------------------------------------------
+  // Scroll Sync (split view)
+  // ---------------------------------------------------------------------------
+
+  const toggleScrollSync = () => {
+    setScrollSync(prev => {
+      localStorage.setItem('md_scroll_sync', prev ? 'off' : 'on')
+      return !prev
+    })
+  }
+
+  // Marks a pane as being scrolled by sync, so its own scroll events don't
+  // bounce back to the other pane
+  const lockScroll = (pane) => {
+    scrollLock.current = { pane, until: performance.now() + SCROLL_SYNC_LOCK }
+  }
+
+  const isScrollLocked = (pane) =>
+    scrollLock.current.pane === pane && performance.now() < scrollLock.current.until
+
+  const getPreviewAnchors = () => {
+    if (!previewAnchors.current) {
+      previewAnchors.current = collectAnchors(previewRef.current, lineCount)
+    }
+    return previewAnchors.current
+  }
+
+  /**
+   * Scrolls the preview to the position rendered from a fractional source line
+   */
+  const syncPreviewToLine = (line) => {
+    const preview = previewRef.current
+    if (!preview) return
+    const target = Math.max(0, lineToOffset(getPreviewAnchors(), line) - PREVIEW_PADDING_TOP)
+    if (Math.abs(preview.scrollTop - target) < 1) return
+    lockScroll('preview')
+    preview.scrollTop = target
+  }
+
+  const syncEditorToPreview = () => {
+    const preview = previewRef.current
+    if (!preview || !editorRef.current) return
+    const line = offsetToLine(getPreviewAnchors(), preview.scrollTop + PREVIEW_PADDING_TOP)
+    lockScroll('editor')
+    editorRef.current.scrollToLine(line)
+  }
+
+  // Clicking a rendered block puts the cursor on its source line
+  const handlePreviewClick = (e) => {
+    if (viewMode !== 'split' || !scrollSync) return
+    if (e.target.closest('a, input, button, summary')) return
+    if (window.getSelection()?.toString()) return
+    const block = e.target.closest('[data-source-line]')
+    if (!block) return
+    lockScroll('editor')
+    editorRef.current?.revealLine(Number(block.dataset.sourceLine) - 1)
+  }
+
+  // ---------------------------------------------------------------------------
+  // Link Navigation
+  // ---------------------------------------------------------------------------
+
+  const showNotice = (message) => {
+    clearTimeout(noticeTimer.current)
+    setNotice(message)
+    noticeTimer.current = setTimeout(() => setNotice(null), NOTICE_DURATION)
+  }
+
+  /**
+   * Scrolls the visible panes of the active document to a heading slug or an
+   * element id. Returns false when the document has no such anchor.
+   */
+  const scrollToAnchor = (anchor) => {
+    const heading = headings.find(h => h.slug === anchor)
+    if (heading) {
+      editorRef.current?.scrollToLine(heading.line)
+      scrollPreviewToLine(heading.line)
+      return true
+    }
+
+    const target = findAnchorElement(previewRef.current, anchor)
+    if (target) {
+      previewRef.current.scrollTo({ top: target.offsetTop - PREVIEW_PADDING_TOP })
+      return true
+    }
+    return false
+  }
+
+  /**
+   * Follows an internal link: `#anchor` within the active document, or a
+   * relative `path.md` / `path.md#anchor` opened in a tab
+   */
+  const followInternalLink = async (href) => {
+    if (!activeTab) return
+    const { path, anchor } = splitHref(href)
+
+    const resolvedPath = path ? resolvePath(activeTab, path) : activeTab
+    if (resolvedPath === activeTab) {
+      if (anchor && !scrollToAnchor(anchor)) {
+        showNotice(`Section "#${anchor}" was not found in this document`)
+      }
+      return
+    }
+
+    let targetFile = files.find(f => f.fullPath === resolvedPath || f.path === resolvedPath)
+    // Notes in folders the scan has not reached (or skipped) are looked up on disk
+    if (!targetFile && rootDirHandle.current && !activeIsStandalone) {
+      try {
+        const handle = await getHandle(rootDirHandle.current, resolvedPath, 'file')
+        targetFile = { name: handle.name, path: resolvedPath, fullPath: resolvedPath, handle }
+      } catch {
+        // Not there either
+      }
+    }
+    if (!targetFile) {
+      showNotice(`Linked file "${resolvedPath}" was not found`)
+      return
+    }
+    handleFileClick(targetFile)
+    if (anchor) {
+      setPendingAnchor({ path: targetFile.fullPath, anchor })
+    }
+  }
+  linkFollower.current = followInternalLink
+
   // ---------------------------------------------------------------------------
   // Image Loading (for relative paths in markdown)
   // ---------------------------------------------------------------------------
 
-  const loadImage = useCallback(async (src, currentFilePath) => {
+  /**
+   * The folder a note's relative image paths resolve against, and the note's
+   * path inside it. Standalone notes only have one once the user picked the
+   * folder they are in.
+   */
+  const noteLocation = (path) => {
+    const tab = openTabs.find(t => t.path === path)
+    if (tab?.isStandalone) return tab.dirHandle ? { root: tab.dirHandle, notePath: tab.name } : null
+    return rootDirHandle.current ? { root: rootDirHandle.current, notePath: path || '' } : null
+  }
+
+  const loadImage = async (src, currentFilePath) => {
     const cacheKey = currentFilePath ? `${currentFilePath}:${src}` : src
 
-    if (imageCache[cacheKey]) return imageCache[cacheKey]
+    if (imageCache.current[cacheKey]) return imageCache.current[cacheKey]
     if (src.startsWith('http://') || src.startsWith('https://') || src.startsWith('data:')) {
       return src
     }
-    if (!rootDirHandle.current) return src
+    const location = noteLocation(currentFilePath)
+    if (!location) return src
 
     try {
-      let resolvedPath = src
-      if (currentFilePath && (src.startsWith('./') || src.startsWith('../') || !src.startsWith('/'))) {
-        resolvedPath = resolvePath(currentFilePath, src)
+      let resolvedPath = splitHref(src).path
+      if (currentFilePath && !resolvedPath.startsWith('/')) {
+        resolvedPath = resolvePath(location.notePath, resolvedPath)
       }
 
       const parts = resolvedPath.split('/').filter(p => p && p !== '.')
-      let currentHandle = rootDirHandle.current
+      let currentHandle = location.root
 
       for (let i = 0; i < parts.length - 1; i++) {
         currentHandle = await currentHandle.getDirectoryHandle(parts[i])
@@ -448,13 +2009,166 @@ function App() {
       const file = await fileHandle.getFile()
       const blobUrl = URL.createObjectURL(file)
 
-      setImageCache(prev => ({ ...prev, [cacheKey]: blobUrl }))
-      return blobUrl
+      imageCache.current[cacheKey] = blobUrl
+      return blobUrl
+    } catch (err) {
+      console.warn('Failed to load image:', src, err)
+      return src
+    }
+  }
+  imageLoader.current = loadImage
+
+  // ---------------------------------------------------------------------------
+  // Pasted Images
+  // ---------------------------------------------------------------------------
+
+  const changeAssetsFolder = () => {
+    const input = window.prompt('Save pasted and dropped images to this folder (relative to the note):', assetsFolder)
+    if (input === null) return
+    const folder = normalizeAssetsFolder(input)
+    if (!folder) {
+      showNotice('The images folder must be a relative path, like "assets" or "../images"')
+      return
+    }
+    setAssetsFolder(folder)
+    localStorage.setItem('md_assets_folder', folder)
+  }
+
+  /**
+   * Asks for the folder a standalone note is in, so images can be saved
+   * next to it. Returns null if the user picked another folder.
+   */
+  const chooseNoteFolder = async (tab) => {
+    if (tab.storage !== 'disk') {
+      showNotice(`Images can't be saved next to ${tab.name} here. Open the folder it is in instead`)
+      return null
+    }
+    showNotice(`Choose the folder ${tab.name} is in to save images next to it`)
+    const dirHandle = await window.showDirectoryPicker({ startIn: tab.handle, mode: 'readwrite' })
+    const inside = await dirHandle.resolve(tab.handle)
+    if (inside?.length !== 1) {
+      showNotice(`That folder doesn't contain ${tab.name}`)
+      return null
+    }
+    setOpenTabs(prev => prev.map(t => (t.path === tab.path ? { ...t, dirHandle } : t)))
+    return dirHandle
+  }
+
+  /**
+   * Saves images pasted or dropped into a note to its assets folder and
+   * links them at `pos` (the cursor for a paste)
+   */
+  const handleImageFiles = async (path, images, pos) => {
+    const tab = openTabs.find(t => t.path === path)
+    if (!tab) return
+    try {
+      let location = noteLocation(path)
+      if (!location && tab.isStandalone) {
+        const dirHandle = await chooseNoteFolder(tab)
+        if (!dirHandle) return
+        location = { root: dirHandle, notePath: tab.name }
+      }
+      if (!location) return
+
+      const saved = await saveImages(location.root, resolvePath(location.notePath, assetsFolder), images)
+      const links = saved.map(imagePath => imageLink(location.notePath, imagePath))
+
+      // Show them straight away rather than reading them back from disk
+      links.forEach((link, i) => {
+        imageCache.current[`${path}:${link}`] = URL.createObjectURL(images[i])
+      })
+
+      const markdown = saved
+        .map((imagePath, i) => `![${splitPath(imagePath).name.replace(/\.[^.]+$/, '')}](${links[i]})`)
+        .join('\n')
+      editorRef.current?.insertText(path, markdown, pos)
+    } catch (err) {
+      if (err.name === 'AbortError') return
+      console.error('Error saving image:', err)
+      showNotice(`The image could not be saved: ${err.message}`)
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Export
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Opens the export dialog for a note ('file') or every note in a folder
+   * ('folder', '' for the whole workspace)
+   */
+  const openExport = (kind, path) => {
+    if (kind === 'file') {
+      const name = stripNoteExtension(splitPath(path).name, scanSettings.noteExtensions)
+      setExportTarget({ title: name, fileName: `${name}.html`, paths: [path] })
+      return
+    }
+    const name = path ? splitPath(path).name : folderName
+    const paths = files
+      .map(f => f.fullPath)
+      .filter(p => !path || p.startsWith(`${path}/`))
+      .sort((a, b) => a.localeCompare(b))
+    if (paths.length === 0) {
+      showNotice(`${name} has no notes to export`)
+      return
+    }
+    setExportTarget({ title: name, fileName: `${name}.html`, paths })
+  }
+
+  /**
+   * Current text of a note: the open buffer if there is one, else the disk
+   */
+  const readNoteContent = async (path) => {
+    const known = fileContents[path] ?? searchIndex.current.get(path)
+    if (known !== undefined) return known
+    const file = files.find(f => f.fullPath === path)
+    return (await file.handle.getFile()).text()
+  }
+
+  /**
+   * Saves a note through the browser's downloads, for notes not kept on disk
+   */
+  const downloadNote = async (path) => {
+    const name = openTabs.find(t => t.path === path)?.name ?? splitPath(path).name
+    try {
+      downloadFile(name, await readNoteContent(path))
+    } catch (err) {
+      console.error('Error downloading note:', err)
+      showNotice(`${name} could not be downloaded`)
+    }
+  }
+
+  const handleExport = async ({ format, toc, pageBreaks }) => {
+    const { title, fileName, paths } = exportTarget
+    try {
+      const notes = []
+      for (const path of paths) {
+        notes.push({ path, title: stripNoteExtension(splitPath(path).name, scanSettings.noteExtensions), content: await readNoteContent(path) })
+      }
+      const html = await buildExportHtml({
+        title,
+        notes,
+        plugins: path => markdownPlugins(noteIndex, path, {
+          trusted: workspaceTrusted && !openTabs.find(t => t.path === path)?.isStandalone
+        }),
+        loadImage,
+        noteExtensions: scanSettings.noteExtensions,
+        toc,
+        pageBreaks
+      })
+      if (format === 'print') {
+        printExportHtml(html)
+      } else if (!await saveExportHtml(html, fileName)) {
+        return
+      }
+      setExportTarget(null)
     } catch (err) {
-      console.warn('Failed to load image:', src, err)
-      return src
+      console.error('Error exporting:', err)
+      showNotice(`Export failed: ${err.message}`)
     }
-  }, [imageCache])
+  }
+
+  const closeExport = useCallback(() => setExportTarget(null), [])
 
   // ---------------------------------------------------------------------------
   // Custom Markdown Components
@@ -462,18 +2176,18 @@ function App() {
 
   const ImageComponent = useCallback(({ src, alt, ...props }) => {
     const cacheKey = activeTab ? `${activeTab}:${src}` : src
-    const [imageSrc, setImageSrc] = useState(imageCache[cacheKey] || src)
-    const [loading, setLoading] = useState(!imageCache[cacheKey] && !src?.startsWith('http'))
+    const [imageSrc, setImageSrc] = useState(imageCache.current[cacheKey] || src)
+    const [loading, setLoading] = useState(!imageCache.current[cacheKey] && !src?.startsWith('http'))
 
     useEffect(() => {
-      if (imageCache[cacheKey]) {
-        setImageSrc(imageCache[cacheKey])
+      if (imageCache.current[cacheKey]) {
+        setImageSrc(imageCache.current[cacheKey])
         setLoading(false)
         return
       }
 
       if (src && !src.startsWith('http://') && !src.startsWith('https://') && !src.startsWith('data:')) {
-        loadImage(src, activeTab).then(blobUrl => {
+        imageLoader.current(src, activeTab).then(blobUrl => {
           setImageSrc(blobUrl)
           setLoading(false)
         })
@@ -486,24 +2200,17 @@ function App() {
       return <span className="image-loading">Loading image...</span>
     }
     return <img src={imageSrc} alt={alt} {...props} />
-  }, [imageCache, loadImage, activeTab])
+  }, [activeTab])
 
-  const LinkComponent = useCallback(({ href, children, ...props }) => {
+  const LinkComponent = useCallback(({ node, href, children, ...props }) => {
     const isExternal = href?.startsWith('http://') || href?.startsWith('https://')
-    const isMdLink = href?.endsWith('.md')
+    const isAnchorLink = href?.startsWith('#')
+    const isMdLink = !isExternal && hasNoteExtension(splitHref(href).path, scanSettings.noteExtensions)
 
     const handleMdClick = (e) => {
       e.preventDefault()
-      if (!href || !activeTab) return
-
-      const resolvedPath = resolvePath(activeTab, href)
-      const targetFile = files.find(f => f.fullPath === resolvedPath || f.path === resolvedPath)
-
-      if (targetFile) {
-        handleFileClick(targetFile)
-      } else {
-        console.warn('Could not find linked file:', resolvedPath)
-      }
+      if (!href) return
+      linkFollower.current(href)
     }
 
     if (isExternal) {
@@ -514,7 +2221,7 @@ function App() {
       )
     }
 
-    if (isMdLink) {
+    if (isMdLink || isAnchorLink) {
       return (
         <a href={href} onClick={handleMdClick} style={{ cursor: 'pointer' }} {...props}>
           {children}
@@ -523,27 +2230,509 @@ function App() {
     }
 
     return <a href={href} {...props}>{children}</a>
-  }, [activeTab, files])
+  }, [scanSettings])
+
+  // Standalone files can't be trusted: they belong to no folder
+  const StrippedHtmlComponent = useCallback((props) => (
+    <StrippedHtmlNotice {...props} onTrust={folderName && !activeIsStandalone ? toggleWorkspaceTrust : null} />
+  ), [folderName, activeIsStandalone, workspaceTrusted])
+
+  // Kept stable while typing, so unchanged preview blocks aren't re-rendered
+  const previewComponents = useMemo(() => ({
+    img: ImageComponent,
+    a: LinkComponent,
+    pre: CodeBlock,
+    [STRIPPED_REPORT_TAG]: StrippedHtmlComponent
+  }), [ImageComponent, LinkComponent, StrippedHtmlComponent])
+
+  // ---------------------------------------------------------------------------
+  // Commands (command palette and keyboard shortcuts)
+  // ---------------------------------------------------------------------------
+
+  const hasEditor = Boolean(activeTab) && !activeConflict && !activeSnapshot && viewMode !== 'preview'
+
+  /**
+   * Every action the palette lists and keys can be bound to. Commands with
+   * `enabled: false` are hidden and their keys are left alone.
+   */
+  const commands = [
+    { id: 'quickOpen', title: 'Go to Note…', run: () => setPaletteQuery('') },
+    { id: 'commandPalette', title: 'Show All Commands', run: () => setPaletteQuery('>') },
+    { id: 'file.openFolder', title: 'Open Folder…', run: handleOpenFolder },
+    { id: 'file.openFile', title: 'Open File…', run: handleOpenFile },
+    { id: 'file.save', title: 'Save', run: handleSave, enabled: Boolean(activeTab) },
+    { id: 'file.saveAll', title: 'Save All', run: saveAll, enabled: unsavedChanges.size > 0 },
+    { id: 'file.download', title: 'Download Note', run: () => downloadNote(activeTab), enabled: Boolean(activeTab) },
+    {
+      id: 'file.autosave',
+      title: autosaveDelay === null ? 'Turn Autosave On' : 'Turn Autosave Off',
+      run: () => changeAutosaveDelay(autosaveDelay === null ? AUTOSAVE_DELAY : null)
+    },
+    { id: 'file.export', title: 'Export Note…', run: () => openExport('file', activeTab), enabled: Boolean(activeTab) },
+    { id: 'file.exportFolder', title: 'Export Folder…', run: () => openExport('folder', ''), enabled: Boolean(folderName) },
+    { id: 'tab.close', title: 'Close Tab', run: closeActiveTab, enabled: Boolean(activeTab) },
+    { id: 'view.edit', title: 'View: Editor Only', run: () => handleViewModeChange('edit') },
+    { id: 'view.split', title: 'View: Split Editor and Preview', run: () => handleViewModeChange('split') },
+    { id: 'view.preview', title: 'View: Preview Only', run: () => handleViewModeChange('preview') },
+    { id: 'view.scrollSync', title: 'View: Toggle Scroll Sync', run: toggleScrollSync },
+    { id: 'view.metadata', title: 'View: Toggle Front Matter Panel', run: toggleMetadataPanel },
+    ...THEMES.map(({ id, label }) => ({ id: `theme.${id}`, title: `Theme: ${label}`, run: () => changeTheme(id) })),
+    { id: 'sidebar.files', title: 'Show Files', run: () => setSidebarView('files') },
+    { id: 'sidebar.revealFile', title: 'Reveal Active File in Sidebar', run: revealActiveFile, enabled: Boolean(activeTab) },
+    { id: 'search.show', title: 'Search in Folder', run: showSearch },
+    { id: 'sidebar.outline', title: 'Show Outline', run: () => setSidebarView('outline') },
+    { id: 'sidebar.backlinks', title: 'Show Backlinks', run: () => setSidebarView('backlinks') },
+    { id: 'sidebar.tags', title: 'Show Tags', run: () => setSidebarView('tags') },
+    { id: 'sidebar.problems', title: 'Show Problems', run: () => setSidebarView('problems') },
+    { id: 'sidebar.history', title: 'Show Version History', run: () => setSidebarView('history') },
+    { id: 'editor.find', title: 'Find in Note', run: () => editorRef.current?.openFind(), enabled: hasEditor },
+    { id: 'editor.replace', title: 'Replace in Note', run: () => editorRef.current?.openFind({ replace: true }), enabled: hasEditor },
+    ...FORMAT_ACTIONS.filter(item => !item.divider).map(item => ({
+      id: item.id,
+      title: `Format: ${item.label}`,
+      run: () => insertFormatting(item.before, item.after),
+      enabled: hasEditor
+    })),
+    { id: 'images.folder', title: 'Change Pasted Images Folder…', run: changeAssetsFolder },
+    {
+      id: 'workspace.scanSettings',
+      title: 'Note File Types and Ignored Files…',
+      run: () => setScanSettingsOpen(true),
+      enabled: Boolean(folderName)
+    },
+    { id: 'workspace.stopScan', title: 'Stop Scanning Folder', run: cancelScan, enabled: Boolean(scanProgress) },
+    {
+      id: 'workspace.trust',
+      title: workspaceTrusted ? 'Sanitize HTML in This Folder' : 'Trust HTML in This Folder',
+      run: toggleWorkspaceTrust,
+      enabled: Boolean(folderName)
+    },
+    { id: 'keybindings.edit', title: 'Keyboard Shortcuts…', run: () => setKeybindingsOpen(true) }
+  ]
+  const enabledCommands = commands.filter(command => command.enabled !== false)
+
+  const handleShortcut = (e) => {
+    // Keys pressed in the shortcuts dialog are being recorded
+    if (keybindingsOpen) return
+    const id = findCommandForEvent(e, keybindings, id => enabledCommands.some(command => command.id === id))
+    if (!id) return
+    e.preventDefault()
+    enabledCommands.find(command => command.id === id).run()
+  }
+  shortcutHandler.current = handleShortcut
+
+  /**
+   * " (⌘S)" for a command's first shortcut, to add to button titles
+   */
+  const shortcutHint = (id) => (keybindings[id]?.length ? ` (${formatKey(keybindings[id][0])})` : '')
+
+  const changeKeybinding = useCallback((id, keys) => {
+    setKeybindings(prev => {
+      const next = { ...prev, [id]: keys }
+      saveKeybindings(next)
+      return next
+    })
+  }, [])
+
+  const resetKeybindings = useCallback(() => {
+    setKeybindings({ ...DEFAULT_KEYBINDINGS })
+    saveKeybindings(DEFAULT_KEYBINDINGS)
+  }, [])
+
+  const closePalette = useCallback(() => setPaletteQuery(null), [])
+  const closeKeybindings = useCallback(() => setKeybindingsOpen(false), [])
 
   // ---------------------------------------------------------------------------
   // Effects
   // ---------------------------------------------------------------------------
 
-  // Keyboard shortcuts
+  // Keyboard shortcuts, from the keybinding map
+  useEffect(() => {
+    const handleKeyDown = (e) => shortcutHandler.current(e)
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [])
+
+  // Before paint, so the page never flashes in the wrong theme
+  useLayoutEffect(() => applyTheme(theme), [theme])
+
+  // Ask before leaving the page while edits are not on disk yet
+  useEffect(() => {
+    if (unsavedChanges.size === 0 && !isSaving) return
+    const handleBeforeUnload = (e) => {
+      e.preventDefault()
+      e.returnValue = ''
+    }
+    window.addEventListener('beforeunload', handleBeforeUnload)
+    return () => window.removeEventListener('beforeunload', handleBeforeUnload)
+  }, [unsavedChanges, isSaving])
+
+  // Folders are listed when expanded, ahead of the background scan
+  useEffect(() => {
+    const scanner = folderScanner.current
+    if (!scanner) return
+    for (const path of expandedFolders) {
+      if (pendingFolders.has(path)) scanner.load(path)
+    }
+  }, [expandedFolders, pendingFolders])
+
+  // Remember opened notes for quick open
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if ((e.metaKey || e.ctrlKey) && e.code === 'KeyS') {
-        e.preventDefault()
-        handleSave()
+    if (!activeTab || activeIsStandalone) return
+    setRecentFiles(prev => [activeTab, ...prev.filter(path => path !== activeTab)].slice(0, RECENT_FILES_LIMIT))
+  }, [activeTab])
+
+  // Restore the last session on startup. Handles whose permission lapsed
+  // need a click, so those sessions wait behind a Restore button.
+  useEffect(() => {
+    let cancelled = false
+    const restoreLastSession = async () => {
+      try {
+        const recent = await getRecentWorkspaces()
+        if (!cancelled) setRecentWorkspaces(recent)
+      } catch (err) {
+        console.warn('Failed to load recent folders:', err)
       }
-      if (e.altKey && !e.metaKey && !e.ctrlKey && e.code === 'KeyW') {
-        e.preventDefault()
-        closeActiveTab()
+
+      try {
+        const session = await loadSession()
+        if (cancelled || !session) return
+        setViewMode(session.viewMode)
+        setSplitRatio(session.splitRatio)
+        savedSplitRatio.current = session.splitRatio
+        if ((session.workspace || session.tabs.length > 0) && !await restoreSession(session)) {
+          if (!cancelled) setPendingSession(session)
+        }
+      } catch (err) {
+        console.warn('Failed to restore the last session:', err)
+      } finally {
+        if (!cancelled) setSessionLoaded(true)
       }
     }
-    window.addEventListener('keydown', handleKeyDown, true)
-    return () => window.removeEventListener('keydown', handleKeyDown, true)
-  }, [activeTab, openTabs, fileContents, closeActiveTab])
+    restoreLastSession()
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
+  // Persist the session, except while a saved one is still waiting to be
+  // restored
+  useEffect(() => {
+    if (!sessionLoaded || pendingSession) return
+    const timer = setTimeout(() => {
+      const session = {
+        // Folders and notes held in memory are gone once the page is closed
+        workspace: rootDirHandle.current && workspaceStorage !== 'memory'
+          ? { name: folderName, handle: rootDirHandle.current }
+          : null,
+        tabs: openTabs.filter(tab => (tab.isStandalone ? tab.storage : workspaceStorage) !== 'memory').map(tab => (
+          tab.isStandalone ? { path: tab.path, handle: tab.handle, dirHandle: tab.dirHandle } : { path: tab.path }
+        )),
+        activeTab,
+        viewMode,
+        splitRatio: viewMode === 'split' ? splitRatio : savedSplitRatio.current,
+        expandedFolders: [...expandedFolders],
+        recentFiles
+      }
+      saveSession(session).catch(err => console.warn('Failed to save session:', err))
+    }, SESSION_SAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [sessionLoaded, pendingSession, folderName, workspaceStorage, openTabs, activeTab, viewMode, splitRatio, expandedFolders, recentFiles])
+
+  // Background indexing of workspace files for search
+  useEffect(() => {
+    const index = searchIndex.current
+    const paths = new Set(files.map(f => f.fullPath))
+    for (const path of index.paths()) {
+      if (!paths.has(path)) index.remove(path)
+    }
+
+    const pending = files.filter(f => !index.has(f.fullPath))
+    if (pending.length === 0) {
+      setIndexProgress(null)
+      return
+    }
+
+    let cancelled = false
+    const indexInBackground = async () => {
+      for (let i = 0; i < pending.length; i += INDEX_BATCH_SIZE) {
+        const batch = pending.slice(i, i + INDEX_BATCH_SIZE)
+        await Promise.all(batch.map(async (file) => {
+          try {
+            const fileData = await file.handle.getFile()
+            const content = await fileData.text()
+            if (cancelled) return
+            index.set(file.fullPath, content)
+            // Open tabs keep the version they loaded, so outside edits still show
+            if (!diskVersions.current.has(file.fullPath)) {
+              diskVersions.current.set(file.fullPath, { lastModified: fileData.lastModified })
+            }
+          } catch (err) {
+            console.warn('Failed to index file:', file.fullPath, err)
+          }
+        }))
+        if (cancelled) return
+
+        setIndexProgress({ done: Math.min(i + INDEX_BATCH_SIZE, pending.length), total: pending.length })
+        setIndexVersion(v => v + 1)
+        // Yield so typing stays responsive while large folders are indexed
+        await new Promise(resolve => setTimeout(resolve, 0))
+      }
+    }
+
+    setIndexProgress({ done: 0, total: pending.length })
+    indexInBackground()
+    return () => {
+      cancelled = true
+    }
+  }, [files])
+
+  // The folder's links are checked when the problems panel is first shown
+  const showingProblems = sidebarView === 'problems'
+  useEffect(() => {
+    if (showingProblems && folderName && problems === null && !problemsChecking) checkProblems()
+  }, [showingProblems, folderName, problems])
+
+  // ... and again once notes have been added, moved or deleted, after the
+  // scan is done rather than for each batch it finds
+  useEffect(() => {
+    if (problems === null || scanProgress) return
+    const timer = setTimeout(() => checkProblems(), PROBLEMS_RECHECK_DELAY)
+    return () => clearTimeout(timer)
+  }, [files, scanProgress])
+
+  // The active note's snapshots are loaded while the history panel is shown
+  useEffect(() => {
+    if (sidebarView !== 'history' || !activeTab) return
+    const owner = historyOwner(activeTab)
+    if (!owner) return
+
+    let cancelled = false
+    getSnapshots(owner, activeTab)
+      .then(list => {
+        if (!cancelled) setSnapshots({ path: activeTab, list })
+      })
+      .catch(err => console.warn('Failed to load version history:', err))
+    return () => {
+      cancelled = true
+    }
+  }, [sidebarView, activeTab, historyVersion])
+
+  // Watch open files for changes made outside the app (git, other editors,
+  // sync tools) so they are reloaded, or raised as conflicts, before any write
+  useEffect(() => {
+    if (openTabs.length === 0) return
+
+    let cancelled = false
+    let running = false
+    const checkOpenFiles = async () => {
+      if (running || document.hidden || fileOpsPending.current > 0) return
+      running = true
+      for (const tab of openTabs) {
+        if (!tab.handle || conflicts[tab.path]) continue
+        try {
+          const change = await readDiskChange(tab.path, tab.handle)
+          if (cancelled) break
+          if (change && fileOpsPending.current === 0) diskChangeHandler.current(tab.path, change)
+        } catch (err) {
+          console.warn('Failed to check file on disk:', tab.path, err)
+        }
+      }
+      running = false
+    }
+
+    const interval = setInterval(checkOpenFiles, DISK_CHECK_INTERVAL)
+    window.addEventListener('focus', checkOpenFiles)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+      window.removeEventListener('focus', checkOpenFiles)
+    }
+  }, [openTabs, conflicts])
+
+  // Load the folder's preview stylesheet, and reload it whenever it changes.
+  // Only trusted folders may style the preview, like they may show raw HTML
+  useEffect(() => {
+    setWorkspaceCss(null)
+    if (!folderName || !workspaceTrusted) return
+
+    let cancelled = false
+    let loaded = { dirHandle: null, lastModified: null } // What workspaceCss was read from
+    const loadWorkspaceCss = async () => {
+      const dirHandle = rootDirHandle.current
+      if (document.hidden || !dirHandle) return
+      let file = null
+      try {
+        file = await (await getHandle(dirHandle, WORKSPACE_PREVIEW_CSS, 'file')).getFile()
+      } catch (err) {
+        if (err.name !== 'NotFoundError') console.warn('Failed to read preview stylesheet:', err)
+      }
+      const lastModified = file?.lastModified ?? null
+      if (cancelled || (loaded.dirHandle === dirHandle && loaded.lastModified === lastModified)) return
+      loaded = { dirHandle, lastModified }
+      try {
+        const css = file ? scopePreviewCss(await file.text()) : null
+        if (!cancelled) setWorkspaceCss(css)
+      } catch (err) {
+        console.warn('Failed to load preview stylesheet:', err)
+      }
+    }
+
+    loadWorkspaceCss()
+    const interval = setInterval(loadWorkspaceCss, DISK_CHECK_INTERVAL)
+    window.addEventListener('focus', loadWorkspaceCss)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+      window.removeEventListener('focus', loadWorkspaceCss)
+    }
+  }, [folderName, workspaceTrusted])
+
+  // Pick up notes added, removed or edited outside the app
+  useEffect(() => {
+    if (!folderName) return
+
+    let cancelled = false
+    let running = false
+    const rescanFolder = async () => {
+      const scanner = folderScanner.current
+      if (running || document.hidden || fileOpsPending.current > 0 || !rootDirHandle.current) return
+      if (!scanner || scanner.isRunning()) return
+      running = true
+      try {
+        // Folders not listed yet are left for when they are expanded
+        const entries = await scanMarkdownFiles(rootDirHandle.current, '', {
+          filter: scanFilter.current,
+          descend: path => !scanner.isPending(path)
+        })
+        if (cancelled || fileOpsPending.current > 0 || folderScanner.current !== scanner) return
+
+        const found = new Set(entries.map(e => e.fullPath))
+        setFiles(prev => {
+          const known = new Set(prev.map(f => f.fullPath))
+          const kept = prev.filter(f => found.has(f.fullPath))
+          const added = entries.filter(e => !known.has(e.fullPath))
+          return kept.length === prev.length && added.length === 0 ? prev : [...kept, ...added]
+        })
+
+        // Open tabs are covered by the open file check
+        const openPaths = new Set(openTabs.map(t => t.path))
+        for (const file of files) {
+          if (!found.has(file.fullPath) || openPaths.has(file.fullPath)) continue
+          if (!searchIndex.current.has(file.fullPath)) continue
+          const change = await readDiskChange(file.fullPath, file.handle)
+          if (cancelled) return
+          if (change) diskChangeHandler.current(file.fullPath, change)
+        }
+      } catch (err) {
+        console.warn('Failed to rescan folder:', err)
+      } finally {
+        running = false
+      }
+    }
+
+    const interval = setInterval(rescanFolder, FOLDER_RESCAN_INTERVAL)
+    window.addEventListener('focus', rescanFolder)
+    return () => {
+      cancelled = true
+      clearInterval(interval)
+      window.removeEventListener('focus', rescanFolder)
+    }
+  }, [folderName, files, openTabs])
+
+  // Reveal a search match once its tab is active and loaded
+  useEffect(() => {
+    if (!pendingReveal || activeTab !== pendingReveal.path) return
+    if (fileContents[pendingReveal.path] === undefined) return
+    editorRef.current?.revealLine(pendingReveal.line, pendingReveal.column, pendingReveal.length)
+    setPendingReveal(null)
+  }, [pendingReveal, activeTab, fileContents])
+
+  // Track the heading in view as the preview scrolls
+  useEffect(() => {
+    const preview = previewRef.current
+    if (!preview) return
+
+    const isSyncing = viewMode === 'split' && scrollSync
+
+    let frame = null
+    const handleScroll = () => {
+      if (frame) return
+      frame = requestAnimationFrame(() => {
+        frame = null
+        updateActiveHeadingFromPreview()
+        if (isSyncing && !isScrollLocked('preview')) {
+          syncEditorToPreview()
+        }
+      })
+    }
+
+    // Images that finish loading late shift everything below them
+    const handleImageLoad = (e) => {
+      if (e.target.tagName !== 'IMG') return
+      previewAnchors.current = null
+      if (isSyncing && editorRef.current) {
+        syncPreviewToLine(editorRef.current.getTopLine())
+      }
+    }
+
+    updateActiveHeadingFromPreview()
+    preview.addEventListener('scroll', handleScroll)
+    preview.addEventListener('load', handleImageLoad, true)
+    return () => {
+      preview.removeEventListener('scroll', handleScroll)
+      preview.removeEventListener('load', handleImageLoad, true)
+      cancelAnimationFrame(frame)
+    }
+  }, [activeTab, viewMode, headings, scrollSync, updateActiveHeadingFromPreview])
+
+  useEffect(() => {
+    const renderer = createPreviewRenderer({ onRender: setPreview })
+    previewRenderer.current = renderer
+    return () => renderer.dispose()
+  }, [])
+
+  useEffect(() => {
+    previewRenderer.current.setNotes(files.map(f => ({ name: f.name, fullPath: f.fullPath })), scanSettings.noteExtensions)
+  }, [files, scanSettings])
+
+  // Re-render the preview as the note changes. Edits are debounced; another
+  // note, or the preview coming back into view, renders right away.
+  useEffect(() => {
+    if (!showsPreview) {
+      previewRequest.current = null
+      return
+    }
+    if (fileContents[activeTab] === undefined) return // Still loading
+    const last = previewRequest.current
+    const isEdit = last?.path === activeTab && last.trusted === activeTrusted
+    previewRequest.current = { path: activeTab, trusted: activeTrusted }
+    previewRenderer.current.render(
+      { path: activeTab, content: activeContent, trusted: activeTrusted },
+      isEdit ? PREVIEW_RENDER_DELAY : 0
+    )
+  }, [showsPreview, activeTab, activeContent, activeTrusted, files, fileContents])
+
+  // Re-measure the preview whenever its content or size changes, and bring
+  // it back in line with the editor
+  useEffect(() => {
+    previewAnchors.current = null
+    if (viewMode === 'split' && scrollSync && editorRef.current) {
+      syncPreviewToLine(editorRef.current.getTopLine())
+    }
+  }, [preview, activeTab, viewMode, splitRatio, scrollSync])
+
+  // Scroll to the section a cross-file link pointed at once its tab renders
+  useEffect(() => {
+    if (!pendingAnchor || activeTab !== pendingAnchor.path) return
+    if (fileContents[pendingAnchor.path] === undefined) return
+    if (showsPreview && (preview?.path !== activeTab || preview.content !== activeContent)) return
+    if (!scrollToAnchor(pendingAnchor.anchor)) {
+      const name = pendingAnchor.path.split('/').pop()
+      showNotice(`Section "#${pendingAnchor.anchor}" no longer exists in ${name}`)
+    }
+    setPendingAnchor(null)
+  }, [pendingAnchor, activeTab, fileContents, preview])
 
   // Drag events for split resizing
   useEffect(() => {
@@ -565,54 +2754,101 @@ function App() {
   // Render Helpers
   // ---------------------------------------------------------------------------
 
-  const fileTree = buildFileTree(files)
-  const activeContent = activeTab ? fileContents[activeTab] || '' : ''
-
-  const renderFileTree = (items, depth = 0) => {
-    return items.map((item) => {
-      if (item.type === 'folder') {
-        const isExpanded = expandedFolders.has(item.path)
-        return (
-          <div key={item.path}>
-            <div
-              className="file-item folder"
-              style={{ paddingLeft: `${12 + depth * 16}px` }}
-              onClick={() => toggleFolder(item.path)}
-            >
-              {isExpanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
-              <FolderOpen size={14} className="file-icon" />
-              <span>{item.name}</span>
-            </div>
-            {isExpanded && item.children && (
-              <div className="folder-children">
-                {renderFileTree(item.children, depth + 1)}
-              </div>
-            )}
-          </div>
-        )
+  // Tag counts across the folder, most used first
+  const tagCounts = useMemo(() => {
+    const counts = new Map()
+    for (const file of files) {
+      for (const tag of noteMeta.get(file.fullPath)?.tags || []) {
+        counts.set(tag, (counts.get(tag) || 0) + 1)
+      }
+    }
+    return [...counts]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+  }, [files, noteMeta])
+
+  const isTagFiltered = selectedTags.length > 0
+  const treeFiles = useMemo(() => (
+    isTagFiltered
+      ? files.filter(f => {
+        const tags = noteMeta.get(f.fullPath)?.tags || []
+        return selectedTags.every(tag => tags.includes(tag))
+      })
+      : files
+  ), [files, noteMeta, selectedTags, isTagFiltered])
+  const treeFolders = useMemo(
+    () => (isTagFiltered ? [] : [...createdFolders, ...pendingFolders]),
+    [createdFolders, pendingFolders, isTagFiltered]
+  )
+  // Only rebuilds the folders that changed, not on every keystroke
+  const fileTree = useMemo(() => fileTreeModel.current.update(treeFiles, treeFolders), [treeFiles, treeFolders])
+
+  // Unsaved buffers are searched in place of their indexed (on-disk) version
+  const searchOverrides = useMemo(() => {
+    const overrides = {}
+    for (const path of unsavedChanges) {
+      if (searchIndex.current.has(path) && fileContents[path] !== undefined) {
+        overrides[path] = fileContents[path]
       }
+    }
+    return overrides
+  }, [unsavedChanges, fileContents])
 
-      const originalFile = files.find(f => f.fullPath === item.fullPath || f.path === item.path)
-      return (
-        <div
-          key={item.fullPath || item.path}
-          className={`file-item ${activeTab === (item.fullPath || item.path) ? 'active' : ''}`}
-          style={{ paddingLeft: `${28 + depth * 16}px` }}
-          onClick={() => handleFileClick(originalFile || item)}
+  const problemCount = useMemo(
+    () => Object.values(problems || {}).reduce((sum, list) => sum + list.length, 0),
+    [problems]
+  )
+
+  const backlinks = useMemo(() => {
+    if (sidebarView !== 'backlinks' || !activeTab) return []
+    const index = searchIndex.current
+    const notes = index.paths().map(path => [path, searchOverrides[path] ?? index.get(path)])
+    return findBacklinks(activeTab, notes, noteIndex, scanSettings.noteExtensions)
+  }, [sidebarView, activeTab, indexVersion, searchOverrides, noteIndex])
+
+  const renderTab = (tab) => (
+    <div
+      className={`tab ${activeTab === tab.path ? 'active' : ''} ${unsavedChanges.has(tab.path) ? 'unsaved' : ''}`}
+      onClick={() => setActiveTab(tab.path)}
+    >
+      <FileText size={14} />
+      {/* Long names are cut short to the tab's width */}
+      <span className="tab-label" title={tab.name}>{noteLabel(tab.path, tab.name)}</span>
+      {conflicts[tab.path] && <TriangleAlert size={12} className="conflict-icon" />}
+      {saveStatus[tab.path] === 'saving' && <LoaderCircle size={12} className="save-status spinning" />}
+      {saveStatus[tab.path] === 'failed' && (
+        <button
+          className="save-retry"
+          onClick={(e) => {
+            e.stopPropagation()
+            saveTab(tab.path)
+          }}
+          title="Saving failed. Click to try again"
         >
-          <FileText size={14} className="file-icon" />
-          <span>{item.name || item.path.split('/').pop()}</span>
-        </div>
-      )
-    })
-  }
+          <RotateCw size={12} />
+        </button>
+      )}
+      {saveStatus[tab.path] === 'saved' && !unsavedChanges.has(tab.path) && (
+        <Check size={12} className="save-status saved" />
+      )}
+      {unsavedChanges.has(tab.path) && !['saving', 'failed'].includes(saveStatus[tab.path]) && (
+        <span className="unsaved-dot" />
+      )}
+      <button className="close-tab" onClick={(e) => handleCloseTab(e, tab.path)}>
+        <X size={12} />
+      </button>
+    </div>
+  )
 
   // ---------------------------------------------------------------------------
   // Render
   // ---------------------------------------------------------------------------
 
   return (
-    <div className="app">
+    <div className="app" onDragOver={handleFilesDragOver} onDrop={handleFilesDrop}>
+      {/* The folder's .mdreader/preview.css */}
+      {workspaceCss && <style>{workspaceCss}</style>}
+
       {/* Sidebar */}
       <aside className="sidebar">
         <div className="sidebar-header">
@@ -625,45 +2861,245 @@ function App() {
               <FilePlus size={16} />
               <span>File</span>
             </button>
+            <button
+              className="sidebar-btn theme-btn"
+              onClick={openThemeMenu}
+              title={`Theme: ${THEMES.find(t => t.id === theme).label}`}
+            >
+              <ThemeIcon size={16} />
+            </button>
           </div>
-          <p className="sidebar-hint">Tip: Press Cmd+Shift+. in file picker to show hidden folders</p>
+          <p className="sidebar-hint">
+            {CAN_OPEN_FROM_DISK
+              ? 'Tip: Press Cmd+Shift+. in file picker to show hidden folders'
+              : 'Folders and notes are copied into this browser, where edits are saved. Download notes to keep them'}
+          </p>
+        </div>
+
+        <div className="sidebar-tabs">
+          <button
+            className={sidebarView === 'files' ? 'active' : ''}
+            onClick={() => setSidebarView('files')}
+            title="Files"
+          >
+            <Files size={14} />
+          </button>
+          <button
+            className={sidebarView === 'search' ? 'active' : ''}
+            onClick={showSearch}
+            title={`Search${shortcutHint('search.show')}`}
+          >
+            <Search size={14} />
+          </button>
+          <button
+            className={sidebarView === 'outline' ? 'active' : ''}
+            onClick={() => setSidebarView('outline')}
+            title="Outline"
+          >
+            <ListTree size={14} />
+          </button>
+          <button
+            className={sidebarView === 'backlinks' ? 'active' : ''}
+            onClick={() => setSidebarView('backlinks')}
+            title="Backlinks"
+          >
+            <Link2 size={14} />
+          </button>
+          <button
+            className={`${sidebarView === 'tags' ? 'active' : ''} ${isTagFiltered ? 'filtering' : ''}`}
+            onClick={() => setSidebarView('tags')}
+            title="Tags"
+          >
+            <Tag size={14} />
+          </button>
+          <button
+            className={`${sidebarView === 'problems' ? 'active' : ''} ${problemCount > 0 ? 'has-problems' : ''}`}
+            onClick={() => setSidebarView('problems')}
+            title={problemCount > 0 ? `Problems (${problemCount})` : 'Problems'}
+          >
+            <CircleAlert size={14} />
+          </button>
+          <button
+            className={sidebarView === 'history' ? 'active' : ''}
+            onClick={() => setSidebarView('history')}
+            title="Version History"
+          >
+            <History size={14} />
+          </button>
         </div>
 
-        {folderName && <div className="folder-title">{folderName}</div>}
+        {folderName && (
+          <div className="folder-title">
+            <span>{folderName}</span>
+            <button
+              className={`trust-btn ${workspaceTrusted ? 'trusted' : ''}`}
+              onClick={toggleWorkspaceTrust}
+              title={workspaceTrusted
+                ? 'Trusted: raw HTML is shown as written and the preview stylesheet applies. Click to sanitize it again'
+                : 'Raw HTML is sanitized and the preview stylesheet is ignored. Click to trust this folder'}
+            >
+              {workspaceTrusted ? <ShieldCheck size={14} /> : <Shield size={14} />}
+            </button>
+            <button className="scan-settings-btn" onClick={() => setScanSettingsOpen(true)} title="Note file types and ignored files">
+              <FolderCog size={14} />
+            </button>
+            {sidebarView === 'files' && (
+              <div className="folder-actions">
+                <button onClick={() => startCreate('file')} title="New File">
+                  <FilePlus2 size={14} />
+                </button>
+                <button onClick={() => startCreate('folder')} title="New Folder">
+                  <FolderPlus size={14} />
+                </button>
+                <button onClick={revealActiveFile} disabled={!activeTab} title="Reveal Active File">
+                  <LocateFixed size={14} />
+                </button>
+              </div>
+            )}
+          </div>
+        )}
+
+        {sidebarView === 'files' && scanProgress && (
+          <div className="scan-progress">
+            <LoaderCircle size={12} className="spinning" />
+            <span>
+              {`Scanning… ${scanProgress.notes} note${scanProgress.notes === 1 ? '' : 's'}, `}
+              {`${scanProgress.folders} folder${scanProgress.folders === 1 ? '' : 's'}`}
+            </span>
+            <button onClick={cancelScan} title="Stop scanning. Folders not reached yet load when expanded">Stop</button>
+          </div>
+        )}
+
+        {sidebarView === 'files' && isTagFiltered && (
+          <div className="tag-filter">
+            <span>Tagged</span>
+            {selectedTags.map(tag => (
+              <button key={tag} className="tag-chip active" onClick={() => toggleTag(tag)} title="Remove from filter">
+                #{tag}
+                <X size={10} />
+              </button>
+            ))}
+            <button className="tags-clear" onClick={() => setSelectedTags([])}>Clear</button>
+          </div>
+        )}
+
+        {sidebarView === 'files' && (
+          <FileTree
+            tree={fileTree}
+            expandedFolders={expandedFolders}
+            forceExpanded={isTagFiltered} // Filtered trees show every match
+            pendingFolders={pendingFolders}
+            activePath={activeTab}
+            treeEdit={treeEdit}
+            dropTarget={dropTarget}
+            revealRequest={revealRequest}
+            getTitle={(path) => noteMeta.get(path)?.title}
+            onToggleFolder={toggleFolder}
+            onOpenFile={handleFileClick}
+            onContextMenu={openTreeMenu}
+            onDragStart={handleTreeDragStart}
+            onDragEnd={handleTreeDragEnd}
+            onDragOver={handleTreeDragOver}
+            onDrop={handleTreeDrop}
+            onEditSubmit={handleTreeEditSubmit}
+            onEditCancel={() => setTreeEdit(null)}
+          >
+            {isTagFiltered ? (
+              <div className="empty-state">
+                <Tag size={32} strokeWidth={1} />
+                <p>No matching notes</p>
+                <p className="hint">No note has all of the selected tags</p>
+              </div>
+            ) : (
+              <div className="empty-state">
+                <FileText size={32} strokeWidth={1} />
+                <p>No folder open</p>
+                <p className="hint">Open a folder to browse, or open individual files</p>
+              </div>
+            )}
+          </FileTree>
+        )}
 
-        <div className="file-tree">
-          {fileTree.length > 0 ? (
-            renderFileTree(fileTree)
+        {sidebarView === 'search' && (
+          folderName ? (
+            <SearchPanel
+              searchIndex={searchIndex.current}
+              indexVersion={indexVersion}
+              indexProgress={indexProgress}
+              overrides={searchOverrides}
+              onOpenMatch={handleOpenMatch}
+              onReplace={handleWorkspaceReplace}
+              inputRef={searchInputRef}
+            />
           ) : (
             <div className="empty-state">
-              <FileText size={32} strokeWidth={1} />
+              <Search size={32} strokeWidth={1} />
               <p>No folder open</p>
-              <p className="hint">Open a folder to browse, or open individual files</p>
+              <p className="hint">Open a folder to search its files</p>
             </div>
-          )}
-        </div>
+          )
+        )}
+
+        {sidebarView === 'outline' && (
+          <OutlinePanel
+            headings={activeTab ? headings : []}
+            activeLine={activeHeadingLine}
+            onSelect={handleOutlineSelect}
+          />
+        )}
+
+        {sidebarView === 'backlinks' && (
+          <BacklinksPanel
+            backlinks={backlinks}
+            isIndexing={Boolean(indexProgress && indexProgress.done < indexProgress.total)}
+            onOpenLink={handleOpenMatch}
+          />
+        )}
+
+        {sidebarView === 'tags' && (
+          <TagsPanel
+            tags={tagCounts}
+            selectedTags={selectedTags}
+            matchCount={treeFiles.length}
+            isIndexing={Boolean(indexProgress && indexProgress.done < indexProgress.total)}
+            onToggle={toggleTag}
+            onClear={() => setSelectedTags([])}
+            onShowFiles={() => setSidebarView('files')}
+          />
+        )}
+
+        {sidebarView === 'problems' && (
+          <ProblemsPanel
+            problems={problems}
+            isChecking={problemsChecking}
+            onCheck={() => checkProblems()}
+            onOpenProblem={handleOpenMatch}
+          />
+        )}
+
+        {sidebarView === 'history' && (
+          <HistoryPanel
+            name={openTabs.find(t => t.path === activeTab)?.name}
+            snapshots={snapshots?.path === activeTab ? snapshots.list : null}
+            selectedId={activeSnapshot?.id}
+            onSelect={snapshot => setHistoryPreview({ path: activeTab, snapshot })}
+          />
+        )}
       </aside>
 
       {/* Main Content */}
       <main className="main">
         {/* Tabs Bar */}
         <div className="tabs-bar">
-          <div className="tabs">
-            {openTabs.map(tab => (
-              <div
-                key={tab.path}
-                className={`tab ${activeTab === tab.path ? 'active' : ''} ${unsavedChanges.has(tab.path) ? 'unsaved' : ''}`}
-                onClick={() => setActiveTab(tab.path)}
-              >
-                <FileText size={14} />
-                <span>{tab.name}</span>
-                {unsavedChanges.has(tab.path) && <span className="unsaved-dot" />}
-                <button className="close-tab" onClick={(e) => handleCloseTab(e, tab.path)}>
-                  <X size={12} />
-                </button>
-              </div>
-            ))}
-          </div>
+          <TabStrip tabs={openTabs} activeTab={activeTab} renderTab={renderTab} />
+
+          {activeTab && activeStorage && (
+            <StorageStatus
+              mode={activeStorage}
+              inFolder={!activeIsStandalone}
+              hasFolderAccess={Boolean(activeTabEntry.dirHandle)}
+            />
+          )}
 
           {activeTab && (
             <div className="view-toggle">
@@ -688,14 +3124,45 @@ function App() {
               >
                 <Eye size={14} />
               </button>
+              {viewMode === 'split' && (
+                <button
+                  className={`sync-btn ${scrollSync ? 'active' : ''}`}
+                  onClick={toggleScrollSync}
+                  title={scrollSync ? 'Scroll sync on' : 'Scroll sync off'}
+                >
+                  <ArrowDownUp size={14} />
+                </button>
+              )}
               <button
                 className="save-btn"
                 onClick={handleSave}
                 disabled={!unsavedChanges.has(activeTab)}
-                title="Save (Cmd+S)"
+                title={`Save${shortcutHint('file.save')}`}
               >
                 <Save size={14} />
               </button>
+              {unsavedChanges.size > 1 && (
+                <button onClick={saveAll} title={`Save All${shortcutHint('file.saveAll')}`}>
+                  <SaveAll size={14} />
+                </button>
+              )}
+              {activeStorage !== 'disk' && (
+                <button onClick={() => downloadNote(activeTab)} title={`Download${shortcutHint('file.download')}`}>
+                  <Download size={14} />
+                </button>
+              )}
+              <button
+                className={`autosave-btn ${autosaveDelay === null ? 'off' : ''}`}
+                onClick={openAutosaveMenu}
+                title={autosaveDelay === null
+                  ? 'Autosave is off. Click to change'
+                  : `Autosave after ${autosaveDelay / 1000} s. Click to change`}
+              >
+                <Timer size={14} />
+              </button>
+              <button onClick={() => openExport('file', activeTab)} title={`Export${shortcutHint('file.export')}`}>
+                <FileDown size={14} />
+              </button>
             </div>
           )}
         </div>
@@ -703,8 +3170,19 @@ function App() {
         {/* Editor Area */}
         {activeTab ? (
           <div className={`editor-container ${viewMode}`}>
+            {/* Conflict with the version on disk */}
+            {activeConflict && (
+              <ConflictView
+                key={`${activeTab}:${activeConflict.lastModified}`}
+                name={openTabs.find(t => t.path === activeTab)?.name}
+                mine={activeContent}
+                theirs={activeConflict.content}
+                onResolve={(resolution, content) => resolveConflict(activeTab, resolution, content)}
+              />
+            )}
+
             {/* Formatting Toolbar */}
-            {(viewMode === 'edit' || viewMode === 'split') && (
+            {!activeConflict && !activeSnapshot && (viewMode === 'edit' || viewMode === 'split') && (
               <div className="format-toolbar">
                 {FORMAT_ACTIONS.map((item, i) =>
                   item.divider ? (
@@ -714,61 +3192,86 @@ function App() {
                       key={i}
                       className="format-btn"
                       onClick={() => insertFormatting(item.before, item.after)}
-                      title={item.label}
+                      title={`${item.label}${shortcutHint(item.id)}`}
                     >
                       <item.icon size={16} />
                     </button>
                   )
                 )}
+                <button
+                  className="format-btn assets-folder-btn"
+                  onClick={changeAssetsFolder}
+                  title="Folder that pasted and dropped images are saved to, next to the note. Click to change."
+                >
+                  <FolderInput size={16} />
+                  <span>{assetsFolder}</span>
+                </button>
               </div>
             )}
 
-            <div className="editor-panels" ref={editorPanelsRef}>
-              {/* Edit Panel */}
-              {(viewMode === 'edit' || viewMode === 'split') && (
-                <div
-                  className="editor-panel"
-                  style={viewMode === 'split' ? { flex: `0 0 ${splitRatio * 100}%` } : undefined}
-                >
-                  <textarea
-                    ref={textareaRef}
-                    className="editor"
-                    value={activeContent}
-                    onChange={(e) => handleContentChange(activeTab, e.target.value)}
-                    placeholder="Start writing..."
-                    spellCheck={false}
+            {!activeConflict && (
+              <div className="editor-panels" ref={editorPanelsRef}>
+                {/* Snapshot diff, over the editor so its state and undo history stay */}
+                {activeSnapshot && (
+                  <HistoryView
+                    name={openTabs.find(t => t.path === activeTab)?.name}
+                    snapshot={activeSnapshot}
+                    current={activeContent}
+                    onRestore={restoreSnapshot}
+                    onClose={closeHistoryPreview}
                   />
-                </div>
-              )}
+                )}
 
-              {/* Draggable Divider */}
-              {viewMode === 'split' && (
-                <div
-                  className={`split-divider ${isDragging ? 'dragging' : ''}`}
-                  onMouseDown={handleDragStart}
-                >
-                  <div className="divider-handle" />
-                </div>
-              )}
+                {/* Edit Panel */}
+                {(viewMode === 'edit' || viewMode === 'split') && (
+                  <div
+                    className="editor-panel"
+                    style={viewMode === 'split' ? { flex: `0 0 ${splitRatio * 100}%` } : undefined}
+                  >
+                    <MarkdownEditor
+                      ref={editorRef}
+                      path={activeTab}
+                      value={activeContent}
+                      onChange={handleContentChange}
+                      onTopLineChange={handleEditorTopLineChange}
+                      onImageFiles={handleImageFiles}
+                      stateCache={editorStates.current}
+                    />
+                  </div>
+                )}
 
-              {/* Preview Panel */}
-              {(viewMode === 'preview' || viewMode === 'split') && (
-                <div
-                  className="preview-panel"
-                  style={viewMode === 'split' ? { flex: `0 0 ${(1 - splitRatio) * 100}%` } : undefined}
-                >
-                  <div className="preview">
-                    <ReactMarkdown
-                      remarkPlugins={[remarkGfm]}
-                      rehypePlugins={[rehypeRaw]}
-                      components={{ img: ImageComponent, a: LinkComponent }}
-                    >
-                      {activeContent}
-                    </ReactMarkdown>
+                {/* Draggable Divider */}
+                {viewMode === 'split' && (
+                  <div
+                    className={`split-divider ${isDragging ? 'dragging' : ''}`}
+                    onMouseDown={handleDragStart}
+                  >
+                    <div className="divider-handle" />
                   </div>
-                </div>
-              )}
-            </div>
+                )}
+
+                {/* Preview Panel */}
+                {(viewMode === 'preview' || viewMode === 'split') && (
+                  <div
+                    className="preview-panel"
+                    style={viewMode === 'split' ? { flex: `0 0 ${(1 - splitRatio) * 100}%` } : undefined}
+                  >
+                    <div className="preview" ref={previewRef} onClick={handlePreviewClick}>
+                      {activeFrontMatter && (
+                        <MetadataPanel
+                          frontMatter={activeFrontMatter}
+                          open={metadataOpen}
+                          onToggle={toggleMetadataPanel}
+                          selectedTags={selectedTags}
+                          onTagClick={handleMetadataTagClick}
+                        />
+                      )}
+                      <MarkdownPreview blocks={previewBlocks} components={previewComponents} />
+                    </div>
+                  </div>
+                )}
+              </div>
+            )}
           </div>
         ) : (
           <div className="welcome">
@@ -786,13 +3289,125 @@ function App() {
                   <span>Open File</span>
                 </button>
               </div>
+              {pendingSession && (
+                <button className="welcome-restore" onClick={handleRestoreSession}>
+                  <History size={16} />
+                  <span>
+                    Restore {pendingSession.workspace?.name || 'last session'}
+                    {pendingSession.tabs.length > 0 && ` (${pendingSession.tabs.length} tab${pendingSession.tabs.length === 1 ? '' : 's'})`}
+                  </span>
+                </button>
+              )}
+              {recentWorkspaces.length > 0 && (
+                <div className="recent-workspaces">
+                  <h2>Recent</h2>
+                  {recentWorkspaces.map(workspace => (
+                    <div key={workspace.id} className="recent-workspace" onClick={() => handleOpenRecent(workspace)}>
+                      <FolderOpen size={14} className="folder-icon" />
+                      <span className="recent-workspace-name">{workspace.name}</span>
+                      <span className="recent-workspace-date">{new Date(workspace.openedAt).toLocaleDateString()}</span>
+                      <button
+                        className="recent-workspace-remove"
+                        onClick={(e) => {
+                          e.stopPropagation()
+                          handleRemoveRecent(workspace)
+                        }}
+                        title="Remove from recent"
+                      >
+                        <X size={12} />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {!CAN_OPEN_FROM_DISK && (
+                <p className="welcome-storage">
+                  This browser can't save to files on disk, so folders and notes you open are copied into it.
+                  Edits are saved to the copy; download notes to keep them elsewhere.
+                </p>
+              )}
               <p className="welcome-hint">
-                Tip: Press Cmd+Shift+. in file picker to show hidden folders like .claude
+                {CAN_OPEN_FROM_DISK
+                  ? 'Tip: Press Cmd+Shift+. in file picker to show hidden folders like .claude. You can also drop a folder or notes here'
+                  : 'Tip: You can also drop a folder or notes here'}
               </p>
             </div>
           </div>
         )}
+
+        {notice && (
+          <div className="notice" role="alert">
+            <TriangleAlert size={14} />
+            <span>{notice}</span>
+            <button onClick={() => setNotice(null)} title="Dismiss">
+              <X size={12} />
+            </button>
+          </div>
+        )}
       </main>
+
+      {contextMenu && <ContextMenu {...contextMenu} onClose={closeContextMenu} />}
+
+      {/* Pickers where the browser can't open folders and files on disk */}
+      <input ref={folderInputRef} type="file" webkitdirectory="" hidden onChange={handleFolderInput} />
+      <input
+        ref={fileInputRef}
+        type="file"
+        multiple
+        accept={DEFAULT_NOTE_EXTENSIONS.join(',')}
+        hidden
+        onChange={handleFileInput}
+      />
+
+      {paletteQuery !== null && (
+        <CommandPalette
+          key={paletteQuery}
+          initialQuery={paletteQuery}
+          files={files}
+          recentPaths={recentFiles}
+          commands={enabledCommands.filter(command => command.id !== 'commandPalette')}
+          keybindings={keybindings}
+          onOpenFile={handleFileClick}
+          onClose={closePalette}
+        />
+      )}
+
+      {keybindingsOpen && (
+        <KeybindingsDialog
+          commands={commands}
+          keybindings={keybindings}
+          onChange={changeKeybinding}
+          onResetAll={resetKeybindings}
+          onClose={closeKeybindings}
+        />
+      )}
+
+      {closingTab && (
+        <UnsavedChangesDialog
+          name={openTabs.find(t => t.path === closingTab)?.name}
+          onSave={saveAndCloseTab}
+          onDiscard={discardAndCloseTab}
+          onCancel={cancelCloseTab}
+        />
+      )}
+
+      {scanSettingsOpen && (
+        <ScanSettingsDialog
+          folderName={folderName}
+          settings={scanSettings}
+          onSave={saveScanSettings}
+          onClose={closeScanSettings}
+        />
+      )}
+
+      {exportTarget && (
+        <ExportDialog
+          title={exportTarget.title}
+          noteCount={exportTarget.paths.length}
+          onExport={handleExport}
+          onClose={closeExport}
+        />
+      )}
     </div>
   )
 }
@@ -0,0 +1,56 @@
+import { FileText, Link2 } from 'lucide-react'
+
+/**
+ * Sidebar panel listing the notes that link to the active file, with the
+ * line each link appears on. Clicking a link calls `onOpenLink`.
+ */
+function BacklinksPanel({ backlinks, isIndexing, onOpenLink }) {
+  if (backlinks.length === 0) {
+    return (
+      <div className="empty-state">
+        <Link2 size={32} strokeWidth={1} />
+        <p>No backlinks</p>
+        <p className="hint">
+          {isIndexing ? 'Still indexing the folder…' : 'No other note links to this file'}
+        </p>
+      </div>
+    )
+  }
+
+  const linkCount = backlinks.reduce((sum, b) => sum + b.links.length, 0)
+
+  return (
+    <div className="backlinks-panel">
+      <div className="search-status">
+        <span>
+          {linkCount} link{linkCount === 1 ? '' : 's'} from {backlinks.length} note{backlinks.length === 1 ? '' : 's'}
+        </span>
+      </div>
+      <div className="search-results">
+        {backlinks.map(({ path, links }) => (
+          <div key={path} className="search-file">
+            <div className="search-file-header" onClick={() => onOpenLink(path, links[0])}>
+              <FileText size={14} className="file-icon" />
+              <span className="search-file-name">{path.split('/').pop()}</span>
+              <span className="search-file-path">{path.split('/').slice(0, -1).join('/')}</span>
+              <span className="search-count">{links.length}</span>
+            </div>
+            {links.map((link, i) => (
+              <div
+                key={i}
+                className="search-match"
+                onClick={() => onOpenLink(path, link)}
+                title={`Line ${link.line + 1}`}
+              >
+                <span className="search-line-number">{link.line + 1}</span>
+                <span className="search-snippet">{link.text}</span>
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default BacklinksPanel
@@ -0,0 +1,46 @@
+import { useEffect, useState } from 'react'
+import { Check, Copy } from 'lucide-react'
+import MermaidDiagram from './MermaidDiagram'
+
+const COPIED_DURATION = 1500
+
+/**
+ * Preview `<pre>` for fenced code blocks, with a copy-to-clipboard button.
+ * The plain code comes from the `data-code` attribute set by
+ * rehypeCodeBlocks; blocks it tagged as diagrams are drawn instead.
+ */
+function CodeBlock({ node, children, 'data-code': code, 'data-diagram': diagram, ...props }) {
+  const [copied, setCopied] = useState(false)
+
+  useEffect(() => {
+    if (!copied) return
+    const timer = setTimeout(() => setCopied(false), COPIED_DURATION)
+    return () => clearTimeout(timer)
+  }, [copied])
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(code)
+      setCopied(true)
+    } catch (err) {
+      console.warn('Failed to copy code:', err)
+    }
+  }
+
+  if (diagram === 'mermaid') {
+    return <MermaidDiagram source={code} {...props} />
+  }
+
+  return (
+    <pre {...props}>
+      {children}
+      {code !== undefined && (
+        <button className={`copy-code ${copied ? 'copied' : ''}`} onClick={handleCopy} title="Copy code">
+          {copied ? <Check size={12} /> : <Copy size={12} />}
+        </button>
+      )}
+    </pre>
+  )
+}
+
+export default CodeBlock
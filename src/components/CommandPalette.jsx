@@ -0,0 +1,120 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { FileText, Terminal } from 'lucide-react'
+import { rankFiles, rankCommands } from '../lib/fuzzyMatch'
+import { formatKey } from '../lib/keybindings'
+
+/**
+ * Text with the characters at `positions` highlighted
+ */
+function Highlighted({ text, positions }) {
+  if (!positions?.length) return text
+  const marked = new Set(positions)
+  const chunks = []
+  for (let i = 0; i < text.length; i++) {
+    const isMarked = marked.has(i)
+    if (chunks.length > 0 && chunks.at(-1).isMarked === isMarked) {
+      chunks.at(-1).text += text[i]
+    } else {
+      chunks.push({ text: text[i], isMarked })
+    }
+  }
+  return chunks.map((chunk, i) => (chunk.isMarked ? <mark key={i}>{chunk.text}</mark> : <span key={i}>{chunk.text}</span>))
+}
+
+/**
+ * Quick open and command palette in one: a query starting with `>` lists
+ * `commands` (`{ id, title, run }`), anything else fuzzy-matches the notes
+ * in `files`, with recently opened ones (`recentPaths`) ranked higher.
+ */
+function CommandPalette({ initialQuery, files, recentPaths, commands, keybindings, onOpenFile, onClose }) {
+  const [query, setQuery] = useState(initialQuery)
+  const [selected, setSelected] = useState(0)
+  const listRef = useRef(null)
+  const isCommandMode = query.startsWith('>')
+
+  const results = useMemo(() => {
+    if (isCommandMode) {
+      return rankCommands(query.slice(1), commands).map(({ command, positions }) => ({
+        key: command.id,
+        label: command.title,
+        positions,
+        shortcut: keybindings[command.id]?.[0],
+        run: command.run
+      }))
+    }
+    return rankFiles(query.trim(), files, recentPaths).map(({ file, namePositions }) => ({
+      key: file.fullPath,
+      label: file.name,
+      positions: namePositions,
+      detail: file.fullPath.split('/').slice(0, -1).join('/'),
+      run: () => onOpenFile(file)
+    }))
+  }, [query, isCommandMode, files, recentPaths, commands, keybindings])
+
+  useEffect(() => {
+    listRef.current?.children[selected]?.scrollIntoView({ block: 'nearest' })
+  }, [selected])
+
+  const choose = (result) => {
+    onClose()
+    result.run()
+  }
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault()
+      const step = e.key === 'ArrowDown' ? 1 : -1
+      setSelected(prev => (results.length ? (prev + step + results.length) % results.length : 0))
+    } else if (e.key === 'Enter') {
+      e.preventDefault()
+      if (results[selected]) choose(results[selected])
+    } else if (e.key === 'Escape') {
+      e.preventDefault()
+      onClose()
+    }
+  }
+
+  const emptyMessage = isCommandMode
+    ? 'No matching commands'
+    : files.length === 0 ? 'Open a folder to find its notes here' : 'No matching notes'
+  const Icon = isCommandMode ? Terminal : FileText
+
+  return (
+    <div className="palette-backdrop" onMouseDown={onClose}>
+      <div className="palette" role="dialog" aria-label="Command palette" onMouseDown={e => e.stopPropagation()}>
+        <input
+          className="palette-input"
+          value={query}
+          onChange={e => {
+            setQuery(e.target.value)
+            setSelected(0)
+          }}
+          onKeyDown={handleKeyDown}
+          placeholder={isCommandMode ? 'Type a command' : 'Go to a note by name, or type > for commands'}
+          autoFocus
+          spellCheck={false}
+        />
+        <div className="palette-results" ref={listRef}>
+          {results.length === 0 && <div className="palette-empty">{emptyMessage}</div>}
+          {results.map((result, i) => (
+            <div
+              key={result.key}
+              className={`palette-item ${i === selected ? 'selected' : ''}`}
+              onMouseMove={() => setSelected(i)}
+              onClick={() => choose(result)}
+            >
+              <Icon size={14} className="palette-icon" />
+              <span className="palette-label">
+                <Highlighted text={result.label} positions={result.positions} />
+              </span>
+              {result.detail && <span className="palette-detail">{result.detail}</span>}
+              {result.shortcut && <kbd className="palette-shortcut">{formatKey(result.shortcut)}</kbd>}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CommandPalette
@@ -0,0 +1,139 @@
+import { useMemo, useState } from 'react'
+import { TriangleAlert } from 'lucide-react'
+import { diffLines, mergeChunks } from '../lib/diff'
+
+// Unchanged runs longer than this are collapsed, keeping some context lines
+const CONTEXT_LINES = 3
+
+const CHOICES = [
+  { value: 'mine', label: 'Mine' },
+  { value: 'theirs', label: 'Theirs' },
+  { value: 'both', label: 'Both' }
+]
+
+const range = (start, end) => Array.from({ length: end - start }, (_, i) => start + i)
+
+/**
+ * Shown instead of the editor when a file with unsaved edits changed on disk.
+ * Diffs the buffer ("mine") against the disk version ("theirs", or null if
+ * the file was deleted) side by side. `onResolve(resolution, content)` is
+ * called with 'mine', 'theirs' or 'merge' plus the merged text.
+ */
+function ConflictView({ name, mine, theirs, onResolve }) {
+  const chunks = useMemo(() => (theirs === null ? [] : diffLines(mine, theirs)), [mine, theirs])
+  const [choices, setChoices] = useState({}) // Chunk index -> 'mine' | 'theirs' | 'both'
+
+  if (theirs === null) {
+    return (
+      <div className="conflict-view">
+        <div className="conflict-header">
+          <TriangleAlert size={16} />
+          <div className="conflict-message">
+            <strong>{name} was deleted on disk</strong>
+            <span>You have unsaved edits. Keep them to recreate the file, or discard them and close the tab.</span>
+          </div>
+          <div className="conflict-actions">
+            <button onClick={() => onResolve('theirs')}>Discard</button>
+            <button className="primary" onClick={() => onResolve('mine')}>Keep mine</button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const changeCount = chunks.filter(c => c.type === 'change').length
+
+  const renderLine = (line, number, key, className = '') => (
+    <div key={key} className={`conflict-line ${className}`}>
+      <span className="conflict-line-number">{number ?? ''}</span>
+      <span className="conflict-line-text">{line ?? ''}</span>
+    </div>
+  )
+
+  const renderEqual = (chunk, index) => {
+    const { lines, mineStart, theirsStart } = chunk
+    const isFirst = index === 0
+    const isLast = index === chunks.length - 1
+    const head = isFirst ? 0 : CONTEXT_LINES
+    const tail = isLast ? 0 : CONTEXT_LINES
+    const shown = lines.length > head + tail + 1
+      ? [...range(0, head), null, ...range(lines.length - tail, lines.length)]
+      : range(0, lines.length)
+
+    return shown.map((i, row) => (
+      i === null ? (
+        <div key={`${index}-skip`} className="conflict-row skipped">
+          <span>{lines.length - head - tail} unchanged lines</span>
+        </div>
+      ) : (
+        <div key={`${index}-${row}`} className="conflict-row">
+          {renderLine(lines[i], mineStart + i + 1, 'mine')}
+          {renderLine(lines[i], theirsStart + i + 1, 'theirs')}
+        </div>
+      )
+    ))
+  }
+
+  const renderChange = (chunk, index) => {
+    const choice = choices[index] || 'mine'
+    const rows = Math.max(chunk.mine.length, chunk.theirs.length)
+    return (
+      <div key={index} className={`conflict-change choice-${choice}`}>
+        <div className="conflict-choice">
+          {CHOICES.map(option => (
+            <button
+              key={option.value}
+              className={choice === option.value ? 'active' : ''}
+              onClick={() => setChoices(prev => ({ ...prev, [index]: option.value }))}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        {Array.from({ length: rows }, (_, row) => (
+          <div key={row} className="conflict-row">
+            {row < chunk.mine.length
+              ? renderLine(chunk.mine[row], chunk.mineStart + row + 1, 'mine', 'mine')
+              : renderLine(null, null, 'mine', 'filler')}
+            {row < chunk.theirs.length
+              ? renderLine(chunk.theirs[row], chunk.theirsStart + row + 1, 'theirs', 'theirs')
+              : renderLine(null, null, 'theirs', 'filler')}
+          </div>
+        ))}
+      </div>
+    )
+  }
+
+  return (
+    <div className="conflict-view">
+      <div className="conflict-header">
+        <TriangleAlert size={16} />
+        <div className="conflict-message">
+          <strong>{name} changed on disk</strong>
+          <span>
+            Your unsaved edits differ from it in {changeCount} place{changeCount === 1 ? '' : 's'}. Keep one
+            version, or pick a side for each change and save the merge.
+          </span>
+        </div>
+        <div className="conflict-actions">
+          <button onClick={() => onResolve('mine')}>Keep mine</button>
+          <button onClick={() => onResolve('theirs')}>Take theirs</button>
+          <button className="primary" onClick={() => onResolve('merge', mergeChunks(chunks, choices))}>
+            Save merge
+          </button>
+        </div>
+      </div>
+      <div className="conflict-columns">
+        <span>Your version</span>
+        <span>On disk</span>
+      </div>
+      <div className="conflict-diff">
+        {chunks.map((chunk, index) => (
+          chunk.type === 'equal' ? renderEqual(chunk, index) : renderChange(chunk, index)
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ConflictView
@@ -0,0 +1,74 @@
+import { useEffect, useLayoutEffect, useRef, useState } from 'react'
+import { Check } from 'lucide-react'
+
+/**
+ * Floating menu opened at the pointer. `items` are
+ * `{ label, icon, onSelect, danger, checked }` entries or `{ divider: true }`.
+ * Items with `checked` set (true or false) show a check mark instead of an icon.
+ * Closes on outside click, Escape, scroll or window blur.
+ */
+function ContextMenu({ x, y, items, onClose }) {
+  const menuRef = useRef(null)
+  const [position, setPosition] = useState({ left: x, top: y })
+
+  // Keep the menu inside the window
+  useLayoutEffect(() => {
+    const rect = menuRef.current.getBoundingClientRect()
+    setPosition({
+      left: Math.max(0, Math.min(x, window.innerWidth - rect.width - 4)),
+      top: Math.max(0, Math.min(y, window.innerHeight - rect.height - 4))
+    })
+  }, [x, y])
+
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (!menuRef.current?.contains(e.target)) onClose()
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('mousedown', handleMouseDown, true)
+    window.addEventListener('keydown', handleKeyDown)
+    window.addEventListener('scroll', onClose, true)
+    window.addEventListener('blur', onClose)
+    return () => {
+      window.removeEventListener('mousedown', handleMouseDown, true)
+      window.removeEventListener('keydown', handleKeyDown)
+      window.removeEventListener('scroll', onClose, true)
+      window.removeEventListener('blur', onClose)
+    }
+  }, [onClose])
+
+  return (
+    <div
+      className="context-menu"
+      ref={menuRef}
+      style={position}
+      role="menu"
+      onContextMenu={(e) => e.preventDefault()}
+    >
+      {items.map((item, i) =>
+        item.divider ? (
+          <div key={i} className="context-menu-divider" />
+        ) : (
+          <button
+            key={i}
+            className={`context-menu-item ${item.danger ? 'danger' : ''}`}
+            role="menuitem"
+            onClick={() => {
+              onClose()
+              item.onSelect()
+            }}
+          >
+            {item.checked !== undefined
+              ? <Check size={14} className={item.checked ? '' : 'unchecked'} />
+              : item.icon && <item.icon size={14} />}
+            <span>{item.label}</span>
+          </button>
+        )
+      )}
+    </div>
+  )
+}
+
+export default ContextMenu
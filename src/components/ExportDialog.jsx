@@ -0,0 +1,75 @@
+import { useEffect, useState } from 'react'
+import { FileDown, Printer, X } from 'lucide-react'
+
+const PAGE_BREAKS = [
+  { value: 'none', label: 'Only between notes' },
+  { value: 'h1', label: 'Before level 1 headings' },
+  { value: 'h2', label: 'Before level 1 and 2 headings' }
+]
+
+/**
+ * Options for exporting a note or a folder of notes. `onExport` receives
+ * `{ format: 'html' | 'print', toc, pageBreaks }` and resolves when done.
+ */
+function ExportDialog({ title, noteCount, onExport, onClose }) {
+  const [toc, setToc] = useState(noteCount > 1)
+  const [pageBreaks, setPageBreaks] = useState('none')
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const handleExport = async (format) => {
+    setBusy(true)
+    try {
+      await onExport({ format, toc, pageBreaks })
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onClose}>
+      <div className="dialog" role="dialog" aria-label="Export" onMouseDown={e => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h2>Export {title}</h2>
+          <button className="dialog-close" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+        <div className="dialog-body">
+          {noteCount > 1 && <p className="dialog-hint">{noteCount} notes, combined into one document</p>}
+          <label className="dialog-option">
+            <input type="checkbox" checked={toc} onChange={e => setToc(e.target.checked)} />
+            <span>Table of contents</span>
+          </label>
+          <label className="dialog-option">
+            <span>Page breaks when printing</span>
+            <select value={pageBreaks} onChange={e => setPageBreaks(e.target.value)}>
+              {PAGE_BREAKS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="dialog-actions">
+          <button onClick={() => handleExport('print')} disabled={busy}>
+            <Printer size={14} />
+            <span>Print / PDF</span>
+          </button>
+          <button className="primary" onClick={() => handleExport('html')} disabled={busy}>
+            <FileDown size={14} />
+            <span>{busy ? 'Exporting…' : 'Save HTML'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ExportDialog
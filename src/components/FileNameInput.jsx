@@ -0,0 +1,48 @@
+import { useEffect, useRef } from 'react'
+
+/**
+ * Inline name field used in the file tree to create or rename an entry.
+ * Enter or blur submits, Escape cancels. The name part before a `.md`
+ * extension is preselected.
+ */
+function FileNameInput({ initialValue = '', onSubmit, onCancel }) {
+  const inputRef = useRef(null)
+  const doneRef = useRef(false)
+
+  useEffect(() => {
+    const input = inputRef.current
+    input.focus()
+    const extensionIndex = initialValue.toLowerCase().endsWith('.md') ? initialValue.length - 3 : initialValue.length
+    input.setSelectionRange(0, extensionIndex)
+  }, [])
+
+  // Enter followed by the blur it causes must only submit once
+  const finish = (submit) => {
+    if (doneRef.current) return
+    doneRef.current = true
+    const value = inputRef.current.value.trim()
+    if (submit && value && value !== initialValue) {
+      onSubmit(value)
+    } else {
+      onCancel()
+    }
+  }
+
+  return (
+    <input
+      ref={inputRef}
+      className="file-name-input"
+      defaultValue={initialValue}
+      spellCheck={false}
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => {
+        e.stopPropagation()
+        if (e.key === 'Enter') finish(true)
+        if (e.key === 'Escape') finish(false)
+      }}
+      onBlur={() => finish(true)}
+    />
+  )
+}
+
+export default FileNameInput
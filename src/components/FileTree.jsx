@@ -0,0 +1,310 @@
+import { useEffect, useMemo, useRef, useState } from 'react'
+import { ChevronDown, ChevronRight, FileText, FolderOpen } from 'lucide-react'
+import FileNameInput from './FileNameInput'
+import { visibleRange, offsetToShow, useViewport } from '../lib/virtualList'
+
+const ROW_HEIGHT = 28 // Matches .file-item height
+const TREE_PADDING = 8 // Matches .file-tree padding
+const TYPE_AHEAD_RESET = 700 // Typing after this long a pause starts a new search, in ms
+const REVEAL_TIMEOUT = 5000 // How long a reveal waits for its row, while folders load
+const REVEAL_FLASH = 1200 // Matches the .file-item.revealed animation
+
+const CREATE_ROW_KEY = '\0create'
+
+/**
+ * The rows the tree shows, in order: every entry not inside a collapsed
+ * folder, plus the name field of an entry being created and "Loading…"
+ * under folders not listed yet. `dropPath` is the folder a drop on the row
+ * moves into.
+ */
+function flattenTree(tree, { expandedFolders, forceExpanded, pendingFolders, treeEdit }) {
+  const rows = []
+  const walk = (items, depth, parentPath) => {
+    if (treeEdit?.mode === 'create' && treeEdit.parentPath === parentPath) {
+      rows.push({ kind: 'create', key: CREATE_ROW_KEY, depth, dropPath: parentPath })
+    }
+    for (const item of items) {
+      if (item.type !== 'folder') {
+        rows.push({ kind: 'file', key: item.path, item, depth, dropPath: parentPath })
+        continue
+      }
+      const expanded = forceExpanded || expandedFolders.has(item.path)
+      rows.push({ kind: 'folder', key: item.path, item, depth, expanded, dropPath: item.path })
+      if (!expanded) continue
+      if (pendingFolders.has(item.path)) {
+        rows.push({ kind: 'loading', key: `${item.path}\0loading`, depth: depth + 1, dropPath: item.path })
+      }
+      walk(item.children, depth + 1, item.path)
+    }
+  }
+  walk(tree, 0, '')
+  return rows
+}
+
+/**
+ * The first file or folder row from `from` on, stepping by `direction`, or -1
+ */
+function entryRowAt(rows, from, direction) {
+  for (let i = from; i >= 0 && i < rows.length; i += direction) {
+    if (rows[i].kind === 'file' || rows[i].kind === 'folder') return i
+  }
+  return -1
+}
+
+/**
+ * The sidebar's file tree. Only the rows scrolled into view are rendered, so
+ * folders with thousands of notes stay fast. With the tree focused, arrow
+ * keys move between entries and expand or collapse folders, Enter opens,
+ * and typing jumps to the next entry starting with the typed text.
+ *
+ * Setting `revealRequest` to a new `{ path, at }` scrolls to that file and
+ * highlights it, once its row shows (its folders may still be expanding).
+ * `children` is shown when the tree is empty.
+ */
+function FileTree({
+  tree,
+  expandedFolders,
+  forceExpanded,
+  pendingFolders,
+  activePath,
+  treeEdit,
+  dropTarget,
+  revealRequest,
+  getTitle,
+  onToggleFolder,
+  onOpenFile,
+  onContextMenu,
+  onDragStart,
+  onDragEnd,
+  onDragOver,
+  onDrop,
+  onEditSubmit,
+  onEditCancel,
+  children
+}) {
+  const treeRef = useRef(null)
+  const typeAhead = useRef({ text: '', at: 0 })
+  const handledReveal = useRef(null)
+  const [focusedKey, setFocusedKey] = useState(null)
+  const [flashPath, setFlashPath] = useState(null)
+  const { offset, size } = useViewport(treeRef)
+
+  const rows = useMemo(
+    () => flattenTree(tree, { expandedFolders, forceExpanded, pendingFolders, treeEdit }),
+    [tree, expandedFolders, forceExpanded, pendingFolders, treeEdit]
+  )
+  const [start, end] = visibleRange(Math.max(0, offset - TREE_PADDING), size, ROW_HEIGHT, rows.length)
+
+  const scrollToRow = (index, options) => {
+    const el = treeRef.current
+    el.scrollTop = offsetToShow(TREE_PADDING + index * ROW_HEIGHT, ROW_HEIGHT, el.scrollTop, el.clientHeight, options)
+  }
+
+  // Keep the name field of an entry being created or renamed in view
+  const editKey = treeEdit && (treeEdit.mode === 'create' ? CREATE_ROW_KEY : treeEdit.path)
+  useEffect(() => {
+    const index = editKey ? rows.findIndex(row => row.key === editKey) : -1
+    if (index !== -1) scrollToRow(index)
+  }, [editKey])
+
+  useEffect(() => {
+    if (!revealRequest || handledReveal.current === revealRequest) return
+    if (Date.now() - revealRequest.at > REVEAL_TIMEOUT) {
+      handledReveal.current = revealRequest
+      return
+    }
+    const index = rows.findIndex(row => row.kind === 'file' && row.key === revealRequest.path)
+    if (index === -1) return
+    handledReveal.current = revealRequest
+    setFocusedKey(revealRequest.path)
+    setFlashPath(revealRequest.path)
+    scrollToRow(index, { center: true })
+  }, [revealRequest, rows])
+
+  useEffect(() => {
+    if (!flashPath) return
+    const timer = setTimeout(() => setFlashPath(null), REVEAL_FLASH)
+    return () => clearTimeout(timer)
+  }, [flashPath])
+
+  const rowLabel = (row) => (row.kind === 'file' && getTitle(row.key)) || row.item.name
+
+  const findTypeAhead = (key, index) => {
+    const now = Date.now()
+    const search = typeAhead.current
+    search.text = (now - search.at > TYPE_AHEAD_RESET ? '' : search.text) + key.toLowerCase()
+    search.at = now
+    // A single letter moves on to the next match; a longer prefix may stay put
+    const from = search.text.length === 1 ? index + 1 : Math.max(index, 0)
+    for (let n = 0; n < rows.length; n++) {
+      const i = (from + n) % rows.length
+      const row = rows[i]
+      if ((row.kind === 'file' || row.kind === 'folder') && rowLabel(row).toLowerCase().startsWith(search.text)) {
+        return i
+      }
+    }
+    return -1
+  }
+
+  const handleKeyDown = (e) => {
+    let index = rows.findIndex(row => row.key === focusedKey)
+    if (index === -1) index = rows.findIndex(row => row.key === activePath)
+    const row = rows[index]
+    const pageSize = Math.max(1, Math.floor(size / ROW_HEIGHT) - 1)
+    let target = -1
+
+    switch (e.key) {
+      case 'ArrowDown':
+        target = entryRowAt(rows, index + 1, 1)
+        break
+      case 'ArrowUp':
+        target = entryRowAt(rows, index === -1 ? rows.length - 1 : index - 1, -1)
+        break
+      case 'Home':
+        target = entryRowAt(rows, 0, 1)
+        break
+      case 'End':
+        target = entryRowAt(rows, rows.length - 1, -1)
+        break
+      case 'PageDown':
+        target = entryRowAt(rows, Math.min(rows.length - 1, index + pageSize), -1)
+        break
+      case 'PageUp':
+        target = entryRowAt(rows, Math.max(0, index - pageSize), 1)
+        break
+      case 'ArrowRight':
+        if (row?.kind !== 'folder') return
+        if (!row.expanded) {
+          onToggleFolder(row.key)
+        } else {
+          const child = entryRowAt(rows, index + 1, 1)
+          if (child !== -1 && rows[child].depth > row.depth) target = child
+        }
+        break
+      case 'ArrowLeft':
+        if (!row) return
+        if (row.kind === 'folder' && row.expanded && !forceExpanded) {
+          onToggleFolder(row.key)
+        } else {
+          for (let i = index - 1; i >= 0; i--) {
+            if (rows[i].kind === 'folder' && rows[i].depth < row.depth) {
+              target = i
+              break
+            }
+          }
+        }
+        break
+      case 'Enter':
+        if (!row) return
+        if (row.kind === 'folder') onToggleFolder(row.key)
+        else onOpenFile(row.item)
+        break
+      default:
+        if (e.key.length !== 1 || e.ctrlKey || e.metaKey || e.altKey) return
+        target = findTypeAhead(e.key, index)
+    }
+
+    e.preventDefault()
+    if (target !== -1) {
+      setFocusedKey(rows[target].key)
+      scrollToRow(target)
+    }
+  }
+
+  const dragHandlers = (row) => ({
+    onDragOver: (e) => onDragOver(e, row.dropPath),
+    onDrop: (e) => onDrop(e, row.dropPath)
+  })
+
+  const renderRow = (row, index) => {
+    const top = index * ROW_HEIGHT
+    const indent = (row.kind === 'folder' ? 12 : 28) + row.depth * 16
+
+    if (row.kind === 'create') {
+      return (
+        <div key={row.key} className="file-item editing" style={{ top, paddingLeft: `${indent}px` }} {...dragHandlers(row)}>
+          {treeEdit.kind === 'folder'
+            ? <FolderOpen size={14} className="file-icon" />
+            : <FileText size={14} className="file-icon" />}
+          <FileNameInput initialValue="" onSubmit={onEditSubmit} onCancel={onEditCancel} />
+        </div>
+      )
+    }
+
+    if (row.kind === 'loading') {
+      return (
+        <div key={row.key} className="file-item loading" style={{ top, paddingLeft: `${indent}px` }} {...dragHandlers(row)}>
+          Loading…
+        </div>
+      )
+    }
+
+    const { item } = row
+    const isRenaming = treeEdit?.mode === 'rename' && treeEdit.path === item.path
+    // Dragging over a folder highlights everything that ends up inside it
+    const isDropTarget = dropTarget && (row.dropPath === dropTarget || row.dropPath.startsWith(`${dropTarget}/`))
+    const className = [
+      'file-item',
+      row.kind === 'folder' && 'folder',
+      item.path === activePath && 'active',
+      item.path === focusedKey && 'focused',
+      item.path === flashPath && 'revealed',
+      isRenaming && 'editing',
+      isDropTarget && 'drop-target'
+    ].filter(Boolean).join(' ')
+    const title = row.kind === 'file' ? getTitle(item.path) : null
+
+    return (
+      <div
+        key={row.key}
+        className={className}
+        style={{ top, paddingLeft: `${indent}px` }}
+        role="treeitem"
+        aria-level={row.depth + 1}
+        aria-expanded={row.kind === 'folder' ? row.expanded : undefined}
+        aria-selected={item.path === activePath}
+        onClick={() => {
+          setFocusedKey(item.path)
+          if (row.kind === 'folder') onToggleFolder(item.path)
+          else onOpenFile(item)
+        }}
+        onContextMenu={(e) => onContextMenu(e, item)}
+        draggable={!isRenaming}
+        onDragStart={(e) => onDragStart(e, item)}
+        onDragEnd={onDragEnd}
+        {...dragHandlers(row)}
+      >
+        {row.kind === 'folder' && (row.expanded ? <ChevronDown size={14} /> : <ChevronRight size={14} />)}
+        {row.kind === 'folder'
+          ? <FolderOpen size={14} className="file-icon" />
+          : <FileText size={14} className="file-icon" />}
+        {isRenaming ? (
+          <FileNameInput initialValue={item.name} onSubmit={onEditSubmit} onCancel={onEditCancel} />
+        ) : (
+          <span title={title ? item.name : undefined}>{title || item.name}</span>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div
+      ref={treeRef}
+      className={`file-tree ${dropTarget === '' ? 'drop-target' : ''}`}
+      role="tree"
+      tabIndex={rows.length > 0 ? 0 : -1}
+      onKeyDown={handleKeyDown}
+      onContextMenu={(e) => onContextMenu(e, null)}
+      onDragOver={(e) => onDragOver(e, '')}
+      onDrop={(e) => onDrop(e, '')}
+    >
+      {rows.length > 0 ? (
+        <div className="file-tree-rows" style={{ height: `${rows.length * ROW_HEIGHT}px` }}>
+          {rows.slice(start, end).map((row, i) => renderRow(row, start + i))}
+        </div>
+      ) : children}
+    </div>
+  )
+}
+
+export default FileTree
@@ -0,0 +1,68 @@
+import { History } from 'lucide-react'
+
+const dayLabel = (time) => {
+  const date = new Date(time)
+  const today = new Date()
+  const yesterday = new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1)
+  if (date.toDateString() === today.toDateString()) return 'Today'
+  if (date.toDateString() === yesterday.toDateString()) return 'Yesterday'
+  return date.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric', year: 'numeric' })
+}
+
+const timeLabel = (time) => new Date(time).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' })
+
+/**
+ * Sidebar panel listing the saved snapshots of the active note by day,
+ * newest first (`snapshots` is null while loading). Selecting one calls
+ * `onSelect` to compare it with the current text.
+ */
+function HistoryPanel({ name, snapshots, selectedId, onSelect }) {
+  if (!name || !snapshots || snapshots.length === 0) {
+    return (
+      <div className="empty-state">
+        <History size={32} strokeWidth={1} />
+        <p>{name ? (snapshots ? 'No history yet' : 'Loading history…') : 'No note open'}</p>
+        <p className="hint">A snapshot of the note is kept each time it is saved</p>
+      </div>
+    )
+  }
+
+  const days = []
+  for (const snapshot of snapshots) {
+    const label = dayLabel(snapshot.savedAt)
+    if (days.at(-1)?.label !== label) days.push({ label, snapshots: [] })
+    days.at(-1).snapshots.push(snapshot)
+  }
+
+  return (
+    <div className="history-panel">
+      <div className="search-status">
+        <span>{snapshots.length} snapshot{snapshots.length === 1 ? '' : 's'} of {name}</span>
+      </div>
+      <div className="search-results">
+        {days.map(day => (
+          <div key={day.label} className="history-day">
+            <div className="history-day-label">{day.label}</div>
+            {day.snapshots.map(snapshot => {
+              const lines = snapshot.content.split('\n').length
+              return (
+                <div
+                  key={snapshot.id}
+                  className={`history-item ${snapshot.id === selectedId ? 'active' : ''}`}
+                  onClick={() => onSelect(snapshot)}
+                >
+                  <span className="history-time">{timeLabel(snapshot.savedAt)}</span>
+                  <span className="history-detail">
+                    {snapshot.source === 'disk' ? 'Before saving' : `${lines} line${lines === 1 ? '' : 's'}`}
+                  </span>
+                </div>
+              )
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default HistoryPanel
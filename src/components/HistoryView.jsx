@@ -0,0 +1,96 @@
+import { useMemo } from 'react'
+import { History } from 'lucide-react'
+import { diffLines } from '../lib/diff'
+
+// Unchanged runs longer than this are collapsed, keeping some context lines
+const CONTEXT_LINES = 3
+
+/**
+ * Compares a history snapshot with the note's current text, side by side,
+ * over the editor. `onRestore` puts the snapshot's text back in the tab.
+ */
+function HistoryView({ name, snapshot, current, onRestore, onClose }) {
+  const chunks = useMemo(() => diffLines(snapshot.content, current), [snapshot, current])
+  const changeCount = chunks.filter(c => c.type === 'change').length
+  const savedAt = new Date(snapshot.savedAt).toLocaleString()
+
+  const renderLine = (line, number, key, className = '') => (
+    <div key={key} className={`conflict-line ${className}`}>
+      <span className="conflict-line-number">{number ?? ''}</span>
+      <span className="conflict-line-text">{line ?? ''}</span>
+    </div>
+  )
+
+  const renderRow = (line, mineIndex, theirsIndex, key) => (
+    <div key={key} className="conflict-row">
+      {renderLine(line, mineIndex + 1, 'mine')}
+      {renderLine(line, theirsIndex + 1, 'theirs')}
+    </div>
+  )
+
+  const renderEqual = (chunk, index) => {
+    const { lines, mineStart, theirsStart } = chunk
+    const head = index === 0 ? 0 : CONTEXT_LINES
+    const tail = index === chunks.length - 1 ? 0 : CONTEXT_LINES
+    if (lines.length > head + tail + 1) {
+      return [
+        ...lines.slice(0, head).map((line, i) => renderRow(line, mineStart + i, theirsStart + i, `${index}-${i}`)),
+        <div key={`${index}-skip`} className="conflict-row skipped">
+          <span>{lines.length - head - tail} unchanged lines</span>
+        </div>,
+        ...lines.slice(lines.length - tail).map((line, i) => {
+          const offset = lines.length - tail + i
+          return renderRow(line, mineStart + offset, theirsStart + offset, `${index}-${offset}`)
+        })
+      ]
+    }
+    return lines.map((line, i) => renderRow(line, mineStart + i, theirsStart + i, `${index}-${i}`))
+  }
+
+  const renderChange = (chunk, index) => (
+    <div key={index} className="conflict-change">
+      {Array.from({ length: Math.max(chunk.mine.length, chunk.theirs.length) }, (_, row) => (
+        <div key={row} className="conflict-row">
+          {row < chunk.mine.length
+            ? renderLine(chunk.mine[row], chunk.mineStart + row + 1, 'mine', 'mine')
+            : renderLine(null, null, 'mine', 'filler')}
+          {row < chunk.theirs.length
+            ? renderLine(chunk.theirs[row], chunk.theirsStart + row + 1, 'theirs', 'theirs')
+            : renderLine(null, null, 'theirs', 'filler')}
+        </div>
+      ))}
+    </div>
+  )
+
+  return (
+    <div className="conflict-view history-view">
+      <div className="conflict-header">
+        <History size={16} />
+        <div className="conflict-message">
+          <strong>{name} as saved {savedAt}</strong>
+          <span>
+            {changeCount === 0
+              ? 'Same as the current text.'
+              : `Differs from the current text in ${changeCount} place${changeCount === 1 ? '' : 's'}.`}
+            {' '}Restoring puts this version back in the tab, to be saved like any edit.
+          </span>
+        </div>
+        <div className="conflict-actions">
+          <button onClick={onClose}>Close</button>
+          <button className="primary" onClick={onRestore} disabled={changeCount === 0}>Restore</button>
+        </div>
+      </div>
+      <div className="conflict-columns">
+        <span>Snapshot</span>
+        <span>Current</span>
+      </div>
+      <div className="conflict-diff">
+        {chunks.map((chunk, index) => (
+          chunk.type === 'equal' ? renderEqual(chunk, index) : renderChange(chunk, index)
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default HistoryView
@@ -0,0 +1,125 @@
+import { useEffect, useMemo, useState } from 'react'
+import { Plus, RotateCcw, X } from 'lucide-react'
+import { DEFAULT_KEYBINDINGS, formatKey, keyFromEvent } from '../lib/keybindings'
+
+/**
+ * Lists every command with its shortcuts. Shortcuts can be removed, added
+ * by pressing them, or reset to the default. `onChange(id, keys)` receives
+ * the new keys for a command; `onResetAll` restores every default.
+ */
+function KeybindingsDialog({ commands, keybindings, onChange, onResetAll, onClose }) {
+  const [filter, setFilter] = useState('')
+  const [recording, setRecording] = useState(null) // Id of the command waiting for a key
+
+  // Commands sharing a key, so clashes can be pointed out
+  const commandsByKey = useMemo(() => {
+    const byKey = new Map()
+    for (const command of commands) {
+      for (const key of keybindings[command.id] || []) {
+        const name = formatKey(key)
+        byKey.set(name, [...(byKey.get(name) || []), command.title])
+      }
+    }
+    return byKey
+  }, [commands, keybindings])
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!recording) {
+        if (e.key === 'Escape') onClose()
+        return
+      }
+      e.preventDefault()
+      e.stopPropagation()
+      if (e.key === 'Escape') {
+        setRecording(null)
+        return
+      }
+      const key = keyFromEvent(e)
+      if (!key) return
+      const keys = keybindings[recording] || []
+      if (!keys.includes(key)) onChange(recording, [...keys, key])
+      setRecording(null)
+    }
+    window.addEventListener('keydown', handleKeyDown, true)
+    return () => window.removeEventListener('keydown', handleKeyDown, true)
+  }, [recording, keybindings, onChange, onClose])
+
+  const visible = commands.filter(command => command.title.toLowerCase().includes(filter.trim().toLowerCase()))
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onClose}>
+      <div className="dialog keybindings-dialog" role="dialog" aria-label="Keyboard shortcuts" onMouseDown={e => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h2>Keyboard Shortcuts</h2>
+          <button className="dialog-close" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+        <div className="dialog-body">
+          <input
+            className="keybindings-filter"
+            value={filter}
+            onChange={e => setFilter(e.target.value)}
+            placeholder="Filter commands"
+            autoFocus
+          />
+          <div className="keybinding-list">
+            {visible.map(command => {
+              const keys = keybindings[command.id] || []
+              const isDefault = keys.join(' ') === (DEFAULT_KEYBINDINGS[command.id] || []).join(' ')
+              return (
+                <div key={command.id} className="keybinding-row">
+                  <span className="keybinding-title">{command.title}</span>
+                  <span className="keybinding-keys">
+                    {keys.map(key => {
+                      const name = formatKey(key)
+                      const others = commandsByKey.get(name).filter(title => title !== command.title)
+                      return (
+                        <kbd
+                          key={key}
+                          className={others.length > 0 ? 'conflict' : ''}
+                          title={others.length > 0 ? `Also bound to ${others.join(', ')}` : undefined}
+                        >
+                          {name}
+                          <button onClick={() => onChange(command.id, keys.filter(k => k !== key))} title="Remove shortcut">
+                            <X size={10} />
+                          </button>
+                        </kbd>
+                      )
+                    })}
+                    {recording === command.id ? (
+                      <span className="keybinding-recording">Press keys…</span>
+                    ) : (
+                      <button className="keybinding-action" onClick={() => setRecording(command.id)} title="Add shortcut">
+                        <Plus size={12} />
+                      </button>
+                    )}
+                    {!isDefault && (
+                      <button
+                        className="keybinding-action"
+                        onClick={() => onChange(command.id, DEFAULT_KEYBINDINGS[command.id] || [])}
+                        title="Reset to default"
+                      >
+                        <RotateCcw size={12} />
+                      </button>
+                    )}
+                  </span>
+                </div>
+              )
+            })}
+          </div>
+        </div>
+        <div className="dialog-actions">
+          <button onClick={onResetAll}>
+            <RotateCcw size={14} />
+            <span>Reset all</span>
+          </button>
+          <button className="primary" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default KeybindingsDialog
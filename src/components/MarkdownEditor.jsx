@@ -0,0 +1,466 @@
+import { useEffect, useImperativeHandle, useRef } from 'react'
+import { EditorState, EditorSelection, Annotation, Transaction } from '@codemirror/state'
+import {
+  EditorView,
+  keymap,
+  lineNumbers,
+  highlightActiveLine,
+  highlightActiveLineGutter,
+  drawSelection,
+  dropCursor,
+  placeholder
+} from '@codemirror/view'
+import { history, defaultKeymap, historyKeymap, indentWithTab } from '@codemirror/commands'
+import { closeBrackets, closeBracketsKeymap } from '@codemirror/autocomplete'
+import { search, searchKeymap, openSearchPanel, getSearchQuery, setSearchQuery, SearchQuery } from '@codemirror/search'
+import { syntaxHighlighting, HighlightStyle, indentOnInput, bracketMatching } from '@codemirror/language'
+import { markdown, markdownLanguage } from '@codemirror/lang-markdown'
+import { tags } from '@lezer/highlight'
+import { imageFiles } from '../lib/imageAssets'
+
+// =============================================================================
+// Editor Configuration
+// =============================================================================
+
+// Emphasis and code markers are paired in addition to the usual brackets.
+// closeBrackets skips same-character pairs after a word character, so
+// snake_case and 2*3 still type normally.
+const MARKDOWN_BRACKETS = ['(', '[', '{', '"', '*', '_', '`']
+
+// Marks transactions that mirror a `value` change made outside the editor
+// (file loads, reloads), so they are not reported back through onChange
+const externalChange = Annotation.define()
+
+// Cmd+F / Cmd+H are handled by the app's shortcut handler so they also work
+// when the editor isn't focused
+const findKeymap = searchKeymap.filter(binding => binding.key !== 'Mod-f')
+
+const markdownHighlightStyle = HighlightStyle.define([
+  { tag: tags.heading1, fontWeight: '600', fontSize: '1.3em' },
+  { tag: tags.heading2, fontWeight: '600', fontSize: '1.15em' },
+  { tag: [tags.heading3, tags.heading4, tags.heading5, tags.heading6], fontWeight: '600' },
+  { tag: tags.strong, fontWeight: '600' },
+  { tag: tags.emphasis, fontStyle: 'italic' },
+  { tag: tags.strikethrough, textDecoration: 'line-through' },
+  { tag: tags.link, color: 'var(--accent)' },
+  { tag: tags.url, color: 'var(--text-secondary)' },
+  { tag: tags.monospace, fontFamily: 'var(--font-mono)', color: 'var(--inline-code)' },
+  { tag: tags.quote, color: 'var(--text-secondary)' },
+  { tag: [tags.processingInstruction, tags.contentSeparator], color: 'var(--text-tertiary)' },
+  { tag: tags.list, color: 'var(--accent)' },
+  { tag: [tags.angleBracket, tags.tagName, tags.attributeName], color: 'var(--text-secondary)' }
+])
+
+const editorTheme = EditorView.theme({
+  '&': {
+    height: '100%',
+    fontSize: '14px',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)'
+  },
+  '&.cm-focused': {
+    outline: 'none'
+  },
+  '.cm-scroller': {
+    fontFamily: 'var(--font-mono)',
+    lineHeight: '1.7'
+  },
+  '.cm-content': {
+    padding: '24px 0',
+    caretColor: 'var(--accent)'
+  },
+  '.cm-line': {
+    padding: '0 24px 0 12px'
+  },
+  '.cm-gutters': {
+    backgroundColor: 'var(--bg-secondary)',
+    color: 'var(--text-tertiary)',
+    border: 'none',
+    paddingLeft: '8px'
+  },
+  '.cm-activeLine': {
+    backgroundColor: 'var(--bg-tertiary)'
+  },
+  '.cm-activeLineGutter': {
+    backgroundColor: 'transparent',
+    color: 'var(--text-secondary)'
+  },
+  '&.cm-focused .cm-selectionBackground, .cm-selectionBackground, ::selection': {
+    backgroundColor: 'var(--accent-light)'
+  },
+  '.cm-placeholder': {
+    color: 'var(--text-tertiary)'
+  },
+  '.cm-searchMatch': {
+    backgroundColor: 'rgba(255, 200, 0, 0.3)',
+    borderRadius: '2px'
+  },
+  '.cm-searchMatch.cm-searchMatch-selected': {
+    backgroundColor: 'rgba(255, 140, 0, 0.45)'
+  },
+  '.cm-panels': {
+    backgroundColor: 'var(--bg-secondary)',
+    color: 'var(--text-primary)'
+  },
+  '.cm-panels-top': {
+    borderBottom: '1px solid var(--border-color)'
+  },
+  '.cm-panel.cm-search': {
+    padding: '8px 32px 8px 12px',
+    fontFamily: 'var(--font-sans)',
+    fontSize: '12px'
+  },
+  '.cm-panel.cm-search label': {
+    fontSize: '12px',
+    color: 'var(--text-secondary)'
+  },
+  '.cm-panel.cm-search [name=close]': {
+    top: '8px',
+    right: '10px',
+    fontSize: '16px',
+    color: 'var(--text-tertiary)',
+    cursor: 'pointer'
+  },
+  '.cm-textfield': {
+    width: '200px',
+    padding: '4px 8px',
+    border: '1px solid var(--border-color)',
+    borderRadius: 'var(--radius-sm)',
+    backgroundColor: 'var(--bg-tertiary)',
+    color: 'var(--text-primary)',
+    fontFamily: 'var(--font-sans)',
+    fontSize: '12px',
+    outline: 'none'
+  },
+  '.cm-textfield:focus': {
+    borderColor: 'var(--accent)',
+    backgroundColor: 'var(--bg-secondary)'
+  },
+  '.cm-button': {
+    padding: '4px 10px',
+    border: '1px solid var(--border-color)',
+    borderRadius: 'var(--radius-sm)',
+    backgroundColor: 'var(--bg-tertiary)',
+    backgroundImage: 'none',
+    color: 'var(--text-primary)',
+    fontFamily: 'var(--font-sans)',
+    fontSize: '12px',
+    cursor: 'pointer'
+  },
+  '.cm-button:hover': {
+    borderColor: 'var(--accent)',
+    color: 'var(--accent)'
+  }
+})
+
+/**
+ * Creates a fresh editor state for a document. Each open tab gets its own
+ * state so that undo history and selection are kept per file.
+ */
+function createEditorState(doc) {
+  return EditorState.create({
+    doc,
+    extensions: [
+      lineNumbers(),
+      highlightActiveLineGutter(),
+      highlightActiveLine(),
+      history(),
+      drawSelection(),
+      dropCursor(),
+      indentOnInput(),
+      bracketMatching(),
+      closeBrackets(),
+      search({ top: true }),
+      EditorView.lineWrapping,
+      EditorState.allowMultipleSelections.of(true),
+      markdown({ base: markdownLanguage }),
+      markdownLanguage.data.of({ closeBrackets: { brackets: MARKDOWN_BRACKETS } }),
+      syntaxHighlighting(markdownHighlightStyle),
+      placeholder('Start writing...'),
+      keymap.of([
+        ...closeBracketsKeymap,
+        ...defaultKeymap,
+        ...historyKeymap,
+        ...findKeymap,
+        indentWithTab
+      ]),
+      editorTheme
+    ]
+  })
+}
+
+// =============================================================================
+// Markdown Editor Component
+// =============================================================================
+
+/**
+ * CodeMirror 6 markdown editor. Editor states are stored in `stateCache`
+ * (keyed by path) which the parent owns, so history survives both tab
+ * switches and the editor being unmounted in preview mode. Image files
+ * pasted or dropped into the editor go to `onImageFiles(path, files, pos)`
+ * instead of being inserted as text (`pos` is null for a paste).
+ */
+function MarkdownEditor({ ref, path, value, onChange, onTopLineChange, onImageFiles, stateCache }) {
+  const containerRef = useRef(null)
+  const viewRef = useRef(null)
+  const pathRef = useRef(path)
+  const onChangeRef = useRef(onChange)
+  const onTopLineChangeRef = useRef(onTopLineChange)
+  const onImageFilesRef = useRef(onImageFiles)
+  const lastValueRef = useRef(value)
+
+  onChangeRef.current = onChange
+  onTopLineChangeRef.current = onTopLineChange
+  onImageFilesRef.current = onImageFiles
+
+  // Changes are reported from the view rather than a state extension, since
+  // cached states outlive this component instance
+  const dispatchTransactions = (trs, view) => {
+    view.update(trs)
+    const isLocalEdit = trs.some(tr => tr.docChanged && !tr.annotation(externalChange))
+    if (!isLocalEdit) return
+    const content = view.state.doc.toString()
+    lastValueRef.current = content
+    onChangeRef.current(pathRef.current, content)
+  }
+
+  const getState = (statePath, doc) => {
+    const cached = stateCache.get(statePath)
+    if (cached) return cached
+    const state = createEditorState(doc)
+    stateCache.set(statePath, state)
+    return state
+  }
+
+  const syncDocument = (view, content) => {
+    lastValueRef.current = content
+    const current = view.state.doc.toString()
+    if (current === content) return
+    view.dispatch({
+      changes: { from: 0, to: current.length, insert: content },
+      annotations: [externalChange.of(true), Transaction.addToHistory.of(false)]
+    })
+  }
+
+  /**
+   * Applies `makeSpec(state)` as a local edit to the document at `path`. A
+   * document in another tab is edited in its cached state. Returns false if
+   * the editor has no state for that document.
+   */
+  const editDocument = (targetPath, makeSpec) => {
+    const view = viewRef.current
+    if (view && pathRef.current === targetPath) {
+      view.dispatch(makeSpec(view.state))
+      view.focus()
+      return true
+    }
+    const state = stateCache.get(targetPath)
+    if (!state) return false
+    const next = state.update(makeSpec(state)).state
+    stateCache.set(targetPath, next)
+    onChangeRef.current(targetPath, next.doc.toString())
+    return true
+  }
+
+  /**
+   * Returns the 0-based line at the top of the visible editor area (below the
+   * content padding), with a fractional part for how far that line has
+   * scrolled out of view
+   */
+  const getTopLine = (view) => {
+    const height = view.scrollDOM.getBoundingClientRect().top - view.documentTop + view.documentPadding.top
+    const block = view.lineBlockAtHeight(height)
+    const progress = block.height > 0 ? Math.min(Math.max((height - block.top) / block.height, 0), 1) : 0
+    return view.state.doc.lineAt(block.from).number - 1 + progress
+  }
+
+  // Create the view once
+  useEffect(() => {
+    const view = new EditorView({
+      state: getState(path, value),
+      parent: containerRef.current,
+      dispatchTransactions
+    })
+    viewRef.current = view
+    syncDocument(view, value)
+
+    let frame = null
+    const handleScroll = () => {
+      if (frame) return
+      frame = requestAnimationFrame(() => {
+        frame = null
+        onTopLineChangeRef.current?.(getTopLine(view))
+      })
+    }
+    view.scrollDOM.addEventListener('scroll', handleScroll)
+
+    // Listening while capturing on the container runs before CodeMirror's own
+    // handlers, which would paste or drop the files as text
+    const container = containerRef.current
+    const takeImages = (files, pos) => {
+      const images = imageFiles(files)
+      if (images.length === 0 || !onImageFilesRef.current) return false
+      onImageFilesRef.current(pathRef.current, images, pos)
+      return true
+    }
+    const handlePaste = (e) => {
+      if (takeImages(e.clipboardData?.files, null)) {
+        e.preventDefault()
+        e.stopPropagation()
+      }
+    }
+    const handleDrop = (e) => {
+      const pos = view.posAtCoords({ x: e.clientX, y: e.clientY }) ?? view.state.selection.main.head
+      if (takeImages(e.dataTransfer?.files, pos)) {
+        e.preventDefault()
+        e.stopPropagation()
+      }
+    }
+    container.addEventListener('paste', handlePaste, true)
+    container.addEventListener('drop', handleDrop, true)
+
+    return () => {
+      view.scrollDOM.removeEventListener('scroll', handleScroll)
+      container.removeEventListener('paste', handlePaste, true)
+      container.removeEventListener('drop', handleDrop, true)
+      cancelAnimationFrame(frame)
+      stateCache.set(pathRef.current, view.state)
+      view.destroy()
+      viewRef.current = null
+    }
+  }, [])
+
+  // Swap in the per-tab state when the active path changes
+  useEffect(() => {
+    const view = viewRef.current
+    if (!view || pathRef.current === path) return
+
+    stateCache.set(pathRef.current, view.state)
+    pathRef.current = path
+    view.setState(getState(path, value))
+    syncDocument(view, value)
+  }, [path])
+
+  // Apply content changes that didn't originate from the editor
+  useEffect(() => {
+    const view = viewRef.current
+    if (!view || value === lastValueRef.current) return
+    syncDocument(view, value)
+  }, [value])
+
+  useImperativeHandle(ref, () => ({
+    focus: () => viewRef.current?.focus(),
+
+    getTopLine: () => (viewRef.current ? getTopLine(viewRef.current) : 0),
+
+    /**
+     * Wraps every selection range in `before`/`after`, keeping the wrapped
+     * text selected.
+     */
+    insertFormatting: (before, after = '') => {
+      const view = viewRef.current
+      if (!view) return
+      view.dispatch(view.state.changeByRange(range => {
+        const selected = view.state.sliceDoc(range.from, range.to)
+        const start = range.from + before.length
+        return {
+          changes: { from: range.from, to: range.to, insert: before + selected + after },
+          range: EditorSelection.range(start, start + selected.length)
+        }
+      }))
+      view.focus()
+    },
+
+    /**
+     * Inserts text into the document at `path`, at `pos` or else over the
+     * selection, and puts the cursor after it
+     */
+    insertText: (targetPath, text, pos = null) => (
+      editDocument(targetPath, state => {
+        const at = pos === null ? state.selection.main : { from: Math.min(pos, state.doc.length) }
+        const to = at.to ?? at.from
+        return {
+          changes: { from: at.from, to, insert: text },
+          selection: EditorSelection.cursor(at.from + text.length),
+          scrollIntoView: true
+        }
+      })
+    ),
+
+    /**
+     * Replaces the whole document at `path`, as an edit that can be undone
+     */
+    replaceText: (targetPath, text) => (
+      editDocument(targetPath, state => ({
+        changes: { from: 0, to: state.doc.length, insert: text },
+        selection: EditorSelection.cursor(0),
+        scrollIntoView: true
+      }))
+    ),
+
+    /**
+     * Opens the find panel, seeded with the current selection. With
+     * `replace`, focus moves to the replace field instead.
+     */
+    openFind: ({ replace = false } = {}) => {
+      const view = viewRef.current
+      if (!view) return
+      const { from, to } = view.state.selection.main
+      const selected = view.state.sliceDoc(from, to)
+      if (selected && !selected.includes('\n')) {
+        const query = getSearchQuery(view.state)
+        view.dispatch({
+          effects: setSearchQuery.of(new SearchQuery({ ...query, search: selected }))
+        })
+      }
+      openSearchPanel(view)
+      if (replace) {
+        view.dom.querySelector('.cm-search [name=replace]')?.focus()
+      }
+    },
+
+    /**
+     * Scrolls a 0-based line to the top of the editor. Fractional lines
+     * scroll part of the way through that line. With `select`, the cursor is
+     * also moved to the start of the line.
+     */
+    scrollToLine: (line, { select = false } = {}) => {
+      const view = viewRef.current
+      if (!view) return
+      const { doc } = view.state
+      const lineNumber = Math.min(Math.max(Math.floor(line) + 1, 1), doc.lines)
+      const { from } = doc.line(lineNumber)
+      if (select) {
+        view.dispatch({ selection: EditorSelection.cursor(from) })
+      }
+
+      const block = view.lineBlockAt(from)
+      const progress = lineNumber === Math.floor(line) + 1 ? line - Math.floor(line) : 0
+      const scroller = view.scrollDOM
+      const documentOffset = view.documentTop - scroller.getBoundingClientRect().top + scroller.scrollTop
+      scroller.scrollTop = documentOffset + block.top + progress * block.height - view.documentPadding.top
+    },
+
+    /**
+     * Selects `length` characters at a 0-based line/column and scrolls them
+     * to the middle of the editor.
+     */
+    revealLine: (line, column = 0, length = 0) => {
+      const view = viewRef.current
+      if (!view) return
+      const { doc } = view.state
+      const lineInfo = doc.line(Math.min(Math.max(line + 1, 1), doc.lines))
+      const from = Math.min(lineInfo.from + column, lineInfo.to)
+      const to = Math.min(from + length, lineInfo.to)
+      view.dispatch({
+        selection: EditorSelection.range(from, to),
+        effects: EditorView.scrollIntoView(from, { y: 'center' })
+      })
+      view.focus()
+    }
+  }), [])
+
+  return <div className="editor" ref={containerRef} />
+}
+
+export default MarkdownEditor
@@ -0,0 +1,32 @@
+import { memo } from 'react'
+import { Fragment, jsx, jsxs } from 'react/jsx-runtime'
+import { toJsxRuntime } from 'hast-util-to-jsx-runtime'
+
+/**
+ * One top-level block of the preview. Unchanged blocks keep their object
+ * between renders (see createPreviewRenderer), so they are skipped here
+ * and keep their DOM nodes.
+ */
+const PreviewBlock = memo(function PreviewBlock({ node, components }) {
+  return toJsxRuntime({ type: 'root', children: [node] }, {
+    Fragment,
+    jsx,
+    jsxs,
+    components,
+    ignoreInvalidStyle: true,
+    passKeys: true,
+    passNode: true
+  })
+})
+
+/**
+ * Renders the blocks of a note parsed by renderPreviewBlocks, with
+ * `components` replacing elements as in react-markdown
+ */
+function MarkdownPreview({ blocks, components }) {
+  return blocks.map(block => (
+    <PreviewBlock key={block.key} node={block.node} components={components} />
+  ))
+}
+
+export default MarkdownPreview
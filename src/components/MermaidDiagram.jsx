@@ -0,0 +1,51 @@
+import { useEffect, useState } from 'react'
+import { TriangleAlert } from 'lucide-react'
+import { cachedDiagram, renderDiagram } from '../lib/mermaid'
+
+// Wait for a pause in typing before re-rendering an edited diagram
+const DIAGRAM_RENDER_DELAY = 300
+
+/**
+ * Renders a ```mermaid block to SVG. While an edited diagram is pending the
+ * last render stays on screen; syntax errors are shown in place of the
+ * diagram.
+ */
+function MermaidDiagram({ source, ...props }) {
+  const [diagram, setDiagram] = useState(() => cachedDiagram(source))
+
+  useEffect(() => {
+    const cached = cachedDiagram(source)
+    if (cached) {
+      setDiagram(cached)
+      return
+    }
+    let cancelled = false
+    const timer = setTimeout(() => {
+      renderDiagram(source).then(result => {
+        if (!cancelled) setDiagram(result)
+      })
+    }, DIAGRAM_RENDER_DELAY)
+    return () => {
+      cancelled = true
+      clearTimeout(timer)
+    }
+  }, [source])
+
+  if (!diagram) {
+    return <div className="diagram diagram-loading" {...props}>Rendering diagram…</div>
+  }
+  if (diagram.error) {
+    return (
+      <div className="diagram diagram-error" {...props}>
+        <div className="diagram-error-title">
+          <TriangleAlert size={14} />
+          <span>Mermaid syntax error</span>
+        </div>
+        <pre>{diagram.error}</pre>
+      </div>
+    )
+  }
+  return <div className="diagram" {...props} dangerouslySetInnerHTML={{ __html: diagram.svg }} />
+}
+
+export default MermaidDiagram
@@ -0,0 +1,69 @@
+import { ChevronDown, ChevronRight, TriangleAlert } from 'lucide-react'
+import { frontMatterTags, frontMatterTitle } from '../lib/frontMatter'
+
+/**
+ * Formats a front matter value for display
+ */
+function formatValue(value) {
+  if (value === null || value === undefined || value === '') return '—'
+  if (Array.isArray(value) && value.every(v => typeof v !== 'object' || v === null)) return value.join(', ')
+  if (typeof value === 'object') return JSON.stringify(value)
+  return String(value)
+}
+
+/**
+ * Collapsible panel at the top of the preview showing a note's front matter.
+ * Tags are clickable (`onTagClick`) and those in `selectedTags` are
+ * highlighted.
+ */
+function MetadataPanel({ frontMatter, open, onToggle, selectedTags, onTagClick }) {
+  const { data, error } = frontMatter
+  const entries = Object.entries(data)
+  const title = frontMatterTitle(data)
+  const tags = frontMatterTags(data)
+
+  return (
+    <div className={`metadata-panel ${open ? 'open' : ''}`}>
+      <button className="metadata-toggle" onClick={onToggle}>
+        {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        <span className="metadata-title">{title || 'Metadata'}</span>
+        {error ? (
+          <TriangleAlert size={12} className="metadata-warning" />
+        ) : (
+          <span className="metadata-count">{entries.length} propert{entries.length === 1 ? 'y' : 'ies'}</span>
+        )}
+      </button>
+      {open && (
+        error ? (
+          <div className="metadata-error">Invalid front matter: {error}</div>
+        ) : (
+          <dl className="metadata-list">
+            {entries.map(([key, value]) => (
+              <div key={key} className="metadata-row">
+                <dt>{key}</dt>
+                <dd>
+                  {key === 'tags' ? (
+                    tags.map(tag => (
+                      <button
+                        key={tag}
+                        className={`tag-chip ${selectedTags.includes(tag) ? 'active' : ''}`}
+                        onClick={() => onTagClick(tag)}
+                        title={`Show notes tagged #${tag}`}
+                      >
+                        #{tag}
+                      </button>
+                    ))
+                  ) : (
+                    formatValue(value)
+                  )}
+                </dd>
+              </div>
+            ))}
+          </dl>
+        )
+      )}
+    </div>
+  )
+}
+
+export default MetadataPanel
@@ -0,0 +1,54 @@
+import { useEffect, useRef } from 'react'
+import { ListTree } from 'lucide-react'
+
+/**
+ * Sidebar panel listing the headings of the active document as a nested
+ * table of contents. The heading at `activeLine` is highlighted.
+ */
+function OutlinePanel({ headings, activeLine, onSelect }) {
+  const listRef = useRef(null)
+
+  // Keep the highlighted heading in view as the document scrolls
+  useEffect(() => {
+    listRef.current?.querySelector('.outline-item.active')?.scrollIntoView({ block: 'nearest' })
+  }, [activeLine])
+
+  if (headings.length === 0) {
+    return (
+      <div className="empty-state">
+        <ListTree size={32} strokeWidth={1} />
+        <p>No headings</p>
+        <p className="hint">Headings in the active file appear here</p>
+      </div>
+    )
+  }
+
+  // Indent relative to the shallowest heading, one step per nesting level
+  const minLevel = Math.min(...headings.map(h => h.level))
+  const depths = []
+  const stack = []
+  for (const heading of headings) {
+    while (stack.length > 0 && stack[stack.length - 1] >= heading.level) stack.pop()
+    depths.push(stack.length)
+    stack.push(heading.level)
+  }
+
+  return (
+    <div className="outline-panel" ref={listRef}>
+      {headings.map((heading, i) => (
+        <div
+          key={`${heading.line}:${heading.text}`}
+          className={`outline-item level-${heading.level - minLevel + 1} ${heading.line === activeLine ? 'active' : ''}`}
+          style={{ paddingLeft: `${16 + depths[i] * 14}px` }}
+          onClick={() => onSelect(heading)}
+          title={heading.text}
+        >
+          <span className="outline-level">H{heading.level}</span>
+          <span className="outline-text">{heading.text || 'Untitled'}</span>
+        </div>
+      ))}
+    </div>
+  )
+}
+
+export default OutlinePanel
@@ -0,0 +1,84 @@
+import { CircleAlert, FileText, Hash, Heading, ImageOff, RefreshCw, Unlink } from 'lucide-react'
+
+const PROBLEM_ICONS = {
+  link: Unlink,
+  image: ImageOff,
+  anchor: Hash,
+  heading: Heading
+}
+
+/**
+ * Sidebar panel listing broken links, missing images and anchors, and
+ * duplicate headings in the folder, grouped by note. `problems` maps note
+ * paths to their problems (null until the first check). Clicking a problem
+ * calls `onOpenProblem`; `onCheck` re-checks the whole folder.
+ */
+function ProblemsPanel({ problems, isChecking, onCheck, onOpenProblem }) {
+  const notes = Object.entries(problems || {})
+    .filter(([, list]) => list.length > 0)
+    .sort(([a], [b]) => a.localeCompare(b))
+  const problemCount = notes.reduce((sum, [, list]) => sum + list.length, 0)
+
+  const checkButton = (
+    <button className="problems-check" onClick={onCheck} disabled={isChecking} title="Check the whole folder again">
+      <RefreshCw size={12} className={isChecking ? 'spinning' : ''} />
+      <span>{isChecking ? 'Checking…' : 'Check folder'}</span>
+    </button>
+  )
+
+  if (notes.length === 0) {
+    return (
+      <div className="problems-panel">
+        <div className="problems-status">
+          <span>{problems ? 'No problems found' : ''}</span>
+          {checkButton}
+        </div>
+        <div className="empty-state">
+          <CircleAlert size={32} strokeWidth={1} />
+          <p>{problems ? 'No problems' : isChecking ? 'Checking links…' : 'Not checked yet'}</p>
+          <p className="hint">Broken links, missing images and sections, and duplicate headings show up here</p>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="problems-panel">
+      <div className="problems-status">
+        <span>
+          {problemCount} problem{problemCount === 1 ? '' : 's'} in {notes.length} note{notes.length === 1 ? '' : 's'}
+        </span>
+        {checkButton}
+      </div>
+      <div className="search-results">
+        {notes.map(([path, list]) => (
+          <div key={path} className="search-file">
+            <div className="search-file-header" onClick={() => onOpenProblem(path, list[0])}>
+              <FileText size={14} className="file-icon" />
+              <span className="search-file-name">{path.split('/').pop()}</span>
+              <span className="search-file-path">{path.split('/').slice(0, -1).join('/')}</span>
+              <span className="search-count">{list.length}</span>
+            </div>
+            {list.map((problem, i) => {
+              const Icon = PROBLEM_ICONS[problem.kind]
+              return (
+                <div
+                  key={i}
+                  className={`search-match problem problem-${problem.kind}`}
+                  onClick={() => onOpenProblem(path, problem)}
+                  title={`Line ${problem.line + 1}`}
+                >
+                  <span className="search-line-number">{problem.line + 1}</span>
+                  <Icon size={12} className="problem-icon" />
+                  <span className="search-snippet">{problem.message}</span>
+                </div>
+              )
+            })}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default ProblemsPanel
@@ -0,0 +1,73 @@
+import { useEffect, useState } from 'react'
+import { X } from 'lucide-react'
+import { DEFAULT_IGNORE_PATTERNS, normalizeExtensions } from '../lib/folderScan'
+
+/**
+ * Edits which files of the folder count as notes and what the scan skips.
+ * `onSave` receives `{ noteExtensions, useGitignore, ignorePatterns }`.
+ */
+function ScanSettingsDialog({ folderName, settings, onSave, onClose }) {
+  const [extensions, setExtensions] = useState(settings.noteExtensions.join(', '))
+  const [useGitignore, setUseGitignore] = useState(settings.useGitignore)
+  const [patterns, setPatterns] = useState(settings.ignorePatterns.join('\n'))
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onClose])
+
+  const noteExtensions = normalizeExtensions(extensions.split(','))
+
+  const handleSave = () => {
+    onSave({
+      noteExtensions,
+      useGitignore,
+      ignorePatterns: patterns.split('\n').map(line => line.trim()).filter(Boolean)
+    })
+  }
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onClose}>
+      <div className="dialog scan-settings-dialog" role="dialog" aria-label="Folder scan settings" onMouseDown={e => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h2>Files in {folderName}</h2>
+          <button className="dialog-close" onClick={onClose} title="Close">
+            <X size={14} />
+          </button>
+        </div>
+        <div className="dialog-body">
+          <label className="dialog-field">
+            <span>Note file types</span>
+            <input value={extensions} onChange={e => setExtensions(e.target.value)} placeholder=".md, .markdown" autoFocus />
+          </label>
+          <label className="dialog-option">
+            <input type="checkbox" checked={useGitignore} onChange={e => setUseGitignore(e.target.checked)} />
+            <span>Skip what the folder's .gitignore lists</span>
+          </label>
+          <label className="dialog-field">
+            <span>Also skip (one .gitignore pattern per line)</span>
+            <textarea
+              value={patterns}
+              onChange={e => setPatterns(e.target.value)}
+              placeholder={'drafts/\n*.tmp.md'}
+              rows={4}
+              spellCheck={false}
+            />
+          </label>
+          <p className="dialog-hint">Always skipped: {DEFAULT_IGNORE_PATTERNS.join(' ')}</p>
+        </div>
+        <div className="dialog-actions">
+          <button onClick={onClose}>Cancel</button>
+          <button className="primary" onClick={handleSave} disabled={noteExtensions.length === 0}>
+            Save and Rescan
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default ScanSettingsDialog
@@ -0,0 +1,264 @@
+import { useState, useEffect, useRef } from 'react'
+import {
+  ChevronRight,
+  ChevronDown,
+  FileText,
+  CaseSensitive,
+  WholeWord,
+  Regex,
+  ReplaceAll
+} from 'lucide-react'
+import { expandReplacement } from '../lib/searchIndex'
+
+const SEARCH_DEBOUNCE = 150 // Wait for typing to settle before searching
+
+/**
+ * Sidebar panel that searches every indexed file in the workspace.
+ * Results are grouped by file; clicking a match calls `onOpenMatch`.
+ * In replace mode each match shows a preview of the change and can be
+ * excluded before `onReplace` applies the rest.
+ */
+function SearchPanel({ searchIndex, indexVersion, indexProgress, overrides, onOpenMatch, onReplace, inputRef }) {
+  const [query, setQuery] = useState('')
+  const [caseSensitive, setCaseSensitive] = useState(false)
+  const [wholeWord, setWholeWord] = useState(false)
+  const [regex, setRegex] = useState(false)
+  const [showReplace, setShowReplace] = useState(false)
+  const [replacement, setReplacement] = useState('')
+  const [results, setResults] = useState([])
+  const [truncated, setTruncated] = useState(false)
+  const [error, setError] = useState(null)
+  const [collapsed, setCollapsed] = useState(new Set())
+  const [excluded, setExcluded] = useState(new Set()) // `${path}:${offset}` keys
+  const [replacing, setReplacing] = useState(false)
+  const searchTimer = useRef(null)
+
+  useEffect(() => {
+    clearTimeout(searchTimer.current)
+    searchTimer.current = setTimeout(() => {
+      try {
+        const { results, truncated } = searchIndex.search(
+          query,
+          { caseSensitive, wholeWord, regex },
+          overrides
+        )
+        setResults(results)
+        setTruncated(truncated)
+        setError(null)
+      } catch (err) {
+        setResults([])
+        setTruncated(false)
+        setError(err.message)
+      }
+    }, SEARCH_DEBOUNCE)
+    return () => clearTimeout(searchTimer.current)
+  }, [query, caseSensitive, wholeWord, regex, indexVersion, overrides, searchIndex])
+
+  // Exclusions refer to match offsets, which are meaningless for a new query
+  useEffect(() => {
+    setExcluded(new Set())
+  }, [query, caseSensitive, wholeWord, regex])
+
+  const toggleCollapsed = (path) => {
+    setCollapsed(prev => {
+      const next = new Set(prev)
+      if (next.has(path)) {
+        next.delete(path)
+      } else {
+        next.add(path)
+      }
+      return next
+    })
+  }
+
+  const toggleExcluded = (keys, exclude) => {
+    setExcluded(prev => {
+      const next = new Set(prev)
+      for (const key of keys) {
+        if (exclude) {
+          next.add(key)
+        } else {
+          next.delete(key)
+        }
+      }
+      return next
+    })
+  }
+
+  const handleReplaceAll = async () => {
+    const changes = results
+      .map(({ path, matches }) => ({
+        path,
+        offsets: matches
+          .filter(m => !excluded.has(`${path}:${m.offset}`))
+          .map(m => m.offset)
+      }))
+      .filter(change => change.offsets.length > 0)
+    if (changes.length === 0) return
+
+    const count = changes.reduce((sum, c) => sum + c.offsets.length, 0)
+    const confirmed = window.confirm(
+      `Replace ${count} occurrence${count === 1 ? '' : 's'} across ${changes.length} file${changes.length === 1 ? '' : 's'}?`
+    )
+    if (!confirmed) return
+
+    setReplacing(true)
+    try {
+      await onReplace({ query, options: { caseSensitive, wholeWord, regex }, replacement, changes })
+      setExcluded(new Set())
+    } finally {
+      setReplacing(false)
+    }
+  }
+
+  const matchCount = results.reduce((sum, r) => sum + r.matches.length, 0)
+  const isIndexing = indexProgress && indexProgress.done < indexProgress.total
+
+  return (
+    <div className="search-panel">
+      <div className="search-form">
+        <button
+          className="search-replace-toggle"
+          onClick={() => setShowReplace(v => !v)}
+          title="Toggle Replace"
+        >
+          {showReplace ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+        </button>
+        <div className="search-fields">
+          <div className="search-input-row">
+            <input
+              ref={inputRef}
+              className="search-input"
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search files"
+              spellCheck={false}
+            />
+            <button
+              className={`search-option ${caseSensitive ? 'active' : ''}`}
+              onClick={() => setCaseSensitive(v => !v)}
+              title="Match Case"
+            >
+              <CaseSensitive size={14} />
+            </button>
+            <button
+              className={`search-option ${wholeWord ? 'active' : ''}`}
+              onClick={() => setWholeWord(v => !v)}
+              title="Match Whole Word"
+            >
+              <WholeWord size={14} />
+            </button>
+            <button
+              className={`search-option ${regex ? 'active' : ''}`}
+              onClick={() => setRegex(v => !v)}
+              title="Use Regular Expression"
+            >
+              <Regex size={14} />
+            </button>
+          </div>
+          {showReplace && (
+            <div className="search-input-row">
+              <input
+                className="search-input"
+                type="text"
+                value={replacement}
+                onChange={(e) => setReplacement(e.target.value)}
+                placeholder={regex ? 'Replace ($1 for groups)' : 'Replace'}
+                spellCheck={false}
+              />
+              <button
+                className="search-option"
+                onClick={handleReplaceAll}
+                disabled={replacing || matchCount === 0}
+                title="Replace All Selected"
+              >
+                <ReplaceAll size={14} />
+              </button>
+            </div>
+          )}
+        </div>
+      </div>
+
+      <div className="search-status">
+        {error ? (
+          <span className="search-error">{error}</span>
+        ) : query ? (
+          <span>
+            {matchCount} result{matchCount === 1 ? '' : 's'} in {results.length} file{results.length === 1 ? '' : 's'}
+            {truncated && ' (showing first results)'}
+          </span>
+        ) : null}
+        {isIndexing && (
+          <span className="search-indexing">
+            Indexing {indexProgress.done}/{indexProgress.total}
+          </span>
+        )}
+      </div>
+
+      <div className="search-results">
+        {results.map(({ path, matches }) => {
+          const isCollapsed = collapsed.has(path)
+          const keys = matches.map(m => `${path}:${m.offset}`)
+          const fileIncluded = keys.some(key => !excluded.has(key))
+          return (
+            <div key={path} className="search-file">
+              <div className="search-file-header" onClick={() => toggleCollapsed(path)}>
+                {isCollapsed ? <ChevronRight size={14} /> : <ChevronDown size={14} />}
+                {showReplace && (
+                  <input
+                    type="checkbox"
+                    checked={fileIncluded}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={() => toggleExcluded(keys, fileIncluded)}
+                    title="Include file in replace"
+                  />
+                )}
+                <FileText size={14} className="file-icon" />
+                <span className="search-file-name">{path.split('/').pop()}</span>
+                <span className="search-file-path">{path.split('/').slice(0, -1).join('/')}</span>
+                <span className="search-count">{matches.length}</span>
+              </div>
+              {!isCollapsed && matches.map((match) => {
+                const key = `${path}:${match.offset}`
+                const isExcluded = excluded.has(key)
+                return (
+                  <div
+                    key={match.offset}
+                    className={`search-match ${showReplace && isExcluded ? 'excluded' : ''}`}
+                    onClick={() => onOpenMatch(path, match)}
+                    title={`Line ${match.line + 1}`}
+                  >
+                    {showReplace && (
+                      <input
+                        type="checkbox"
+                        checked={!isExcluded}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={() => toggleExcluded([key], !isExcluded)}
+                      />
+                    )}
+                    <span className="search-line-number">{match.line + 1}</span>
+                    <span className="search-snippet">
+                      {match.snippet.before}
+                      {showReplace ? (
+                        <>
+                          <del>{match.snippet.match}</del>
+                          <ins>{regex ? expandReplacement(replacement, match.groups) : replacement}</ins>
+                        </>
+                      ) : (
+                        <mark>{match.snippet.match}</mark>
+                      )}
+                      {match.snippet.after}
+                    </span>
+                  </div>
+                )
+              })}
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default SearchPanel
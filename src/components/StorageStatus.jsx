@@ -0,0 +1,69 @@
+import { useEffect, useRef, useState } from 'react'
+import { HardDrive, Database, MemoryStick, Check, X } from 'lucide-react'
+import { describeStorage } from '../lib/storage'
+
+const MODE_ICONS = {
+  disk: HardDrive,
+  browser: Database,
+  memory: MemoryStick
+}
+
+/**
+ * Where the active note is kept ('disk', 'browser' or 'memory', see
+ * storageModeOf), with a popover listing what works there: autosave to disk,
+ * images and links. Only the icon shows for notes on disk.
+ */
+function StorageStatus({ mode, inFolder, hasFolderAccess }) {
+  const [open, setOpen] = useState(false)
+  const rootRef = useRef(null)
+  const { label, capabilities } = describeStorage(mode, { inFolder, hasFolderAccess })
+  const Icon = MODE_ICONS[mode]
+
+  useEffect(() => {
+    if (!open) return
+    const handleMouseDown = (e) => {
+      if (!rootRef.current?.contains(e.target)) setOpen(false)
+    }
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpen(false)
+    }
+    window.addEventListener('mousedown', handleMouseDown, true)
+    window.addEventListener('keydown', handleKeyDown)
+    return () => {
+      window.removeEventListener('mousedown', handleMouseDown, true)
+      window.removeEventListener('keydown', handleKeyDown)
+    }
+  }, [open])
+
+  return (
+    <div className="storage-status" ref={rootRef}>
+      <button
+        className={`storage-status-btn ${mode}`}
+        onClick={() => setOpen(prev => !prev)}
+        title={`${label}. Click for what works here`}
+        aria-expanded={open}
+      >
+        <Icon size={14} />
+        {mode !== 'disk' && <span>{label}</span>}
+      </button>
+      {open && (
+        <div className="storage-status-popover" role="dialog" aria-label="Storage">
+          <h3>{label}</h3>
+          <ul>
+            {capabilities.map(capability => (
+              <li key={capability.name} className={capability.available ? 'available' : 'unavailable'}>
+                {capability.available ? <Check size={14} /> : <X size={14} />}
+                <div>
+                  <strong>{capability.name}</strong>
+                  <p>{capability.detail}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default StorageStatus
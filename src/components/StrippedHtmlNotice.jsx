@@ -0,0 +1,29 @@
+import { ShieldAlert } from 'lucide-react'
+
+/**
+ * Banner at the top of the preview saying which HTML was removed from the
+ * note by sanitizing. `onTrust` (only for notes in a folder) offers to show
+ * the folder's HTML as written.
+ */
+function StrippedHtmlNotice({ 'data-tags': tags, 'data-attributes': attributes, onTrust }) {
+  const removed = [
+    ...(tags ? tags.split(' ').map(tag => `<${tag}>`) : []),
+    ...(attributes ? attributes.split(' ') : [])
+  ]
+
+  return (
+    <div className="stripped-html-notice">
+      <ShieldAlert size={14} />
+      <span>
+        Unsafe HTML was removed from this note: <code>{removed.join(', ')}</code>
+      </span>
+      {onTrust && (
+        <button onClick={onTrust} title="Show raw HTML from this folder as written">
+          Trust folder
+        </button>
+      )}
+    </div>
+  )
+}
+
+export default StrippedHtmlNotice
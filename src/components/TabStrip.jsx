@@ -0,0 +1,42 @@
+import { useEffect, useRef } from 'react'
+import { visibleRange, offsetToShow, useViewport } from '../lib/virtualList'
+
+const TAB_WIDTH = 168 // Tabs are all this wide, so only those in view need rendering
+const TAB_GAP = 2
+
+/**
+ * The row of open tabs. Only the tabs scrolled into view are rendered, by
+ * `renderTab(tab)`; the active one is kept in view, and the mouse wheel
+ * scrolls the row sideways.
+ */
+function TabStrip({ tabs, activeTab, renderTab }) {
+  const stripRef = useRef(null)
+  const { offset, size } = useViewport(stripRef, { horizontal: true })
+  const step = TAB_WIDTH + TAB_GAP
+  const [start, end] = visibleRange(offset, size, step, tabs.length)
+  const activeIndex = tabs.findIndex(tab => tab.path === activeTab)
+
+  useEffect(() => {
+    const strip = stripRef.current
+    if (activeIndex === -1) return
+    strip.scrollLeft = offsetToShow(activeIndex * step, TAB_WIDTH, strip.scrollLeft, strip.clientWidth)
+  }, [activeIndex, activeTab])
+
+  const handleWheel = (e) => {
+    if (Math.abs(e.deltaY) > Math.abs(e.deltaX)) stripRef.current.scrollLeft += e.deltaY
+  }
+
+  return (
+    <div className="tabs" ref={stripRef} onWheel={handleWheel}>
+      <div className="tabs-track" style={{ width: `${Math.max(0, tabs.length * step - TAB_GAP)}px` }}>
+        {tabs.slice(start, end).map((tab, i) => (
+          <div key={tab.path} className="tab-slot" style={{ left: `${(start + i) * step}px`, width: `${TAB_WIDTH}px` }}>
+            {renderTab(tab)}
+          </div>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default TabStrip
@@ -0,0 +1,54 @@
+import { Tag } from 'lucide-react'
+
+/**
+ * Sidebar panel listing every front matter tag in the folder with its note
+ * count. Selecting tags (`onToggle`) filters the file tree to notes that
+ * have all of them.
+ */
+function TagsPanel({ tags, selectedTags, matchCount, isIndexing, onToggle, onClear, onShowFiles }) {
+  if (tags.length === 0) {
+    return (
+      <div className="empty-state">
+        <Tag size={32} strokeWidth={1} />
+        <p>No tags</p>
+        <p className="hint">
+          {isIndexing ? 'Still indexing the folder…' : 'Add tags: [a, b] to a note\'s front matter'}
+        </p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="tags-panel">
+      <div className="tags-status">
+        {selectedTags.length > 0 ? (
+          <>
+            <span>
+              <button className="tags-show-files" onClick={onShowFiles}>
+                {matchCount} note{matchCount === 1 ? '' : 's'}
+              </button>
+              {' '}with {selectedTags.length === 1 ? 'this tag' : 'all these tags'}
+            </span>
+            <button className="tags-clear" onClick={onClear}>Clear</button>
+          </>
+        ) : (
+          <span>{tags.length} tag{tags.length === 1 ? '' : 's'} · select to filter files</span>
+        )}
+      </div>
+      <div className="tag-list">
+        {tags.map(({ name, count }) => (
+          <button
+            key={name}
+            className={`tag-chip ${selectedTags.includes(name) ? 'active' : ''}`}
+            onClick={() => onToggle(name)}
+          >
+            #{name}
+            <span className="tag-count">{count}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+export default TagsPanel
@@ -0,0 +1,52 @@
+import { useEffect, useState } from 'react'
+import { X } from 'lucide-react'
+
+/**
+ * Asks what to do with a tab's unsaved edits before it closes. `onSave`
+ * resolves once the save has been tried; `onDiscard` closes without saving.
+ */
+function UnsavedChangesDialog({ name, onSave, onDiscard, onCancel }) {
+  const [busy, setBusy] = useState(false)
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onCancel()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [onCancel])
+
+  const handleSave = async () => {
+    setBusy(true)
+    try {
+      await onSave()
+    } finally {
+      setBusy(false)
+    }
+  }
+
+  return (
+    <div className="dialog-backdrop" onMouseDown={onCancel}>
+      <div className="dialog" role="alertdialog" aria-label="Unsaved changes" onMouseDown={e => e.stopPropagation()}>
+        <div className="dialog-header">
+          <h2>Save changes to {name}?</h2>
+          <button className="dialog-close" onClick={onCancel} title="Cancel">
+            <X size={14} />
+          </button>
+        </div>
+        <div className="dialog-body">
+          <p className="dialog-hint">Closing the tab without saving loses the changes.</p>
+        </div>
+        <div className="dialog-actions">
+          <button onClick={onDiscard} disabled={busy}>Don't Save</button>
+          <button onClick={onCancel} disabled={busy}>Cancel</button>
+          <button className="primary" onClick={handleSave} disabled={busy} autoFocus>
+            {busy ? 'Saving…' : 'Save'}
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default UnsavedChangesDialog
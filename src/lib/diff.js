@@ -0,0 +1,127 @@
+// =============================================================================
+// Line Diff & Merge
+// =============================================================================
+
+// Beyond this many edits the middle of the files is shown as a single change
+const MAX_EDIT_DISTANCE = 1000
+
+/**
+ * Myers' O(ND) diff over two line arrays. Returns an edit script of
+ * 'equal' | 'delete' | 'insert' operations, or null when the files differ by
+ * more than `MAX_EDIT_DISTANCE` edits.
+ */
+function editScript(a, b) {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, MAX_EDIT_DISTANCE)
+  const offset = max + 1
+  const v = new Int32Array(2 * max + 3)
+  const trace = []
+
+  const chooseDown = (v, k, d) => k === -d || (k !== d && v[k - 1 + offset] < v[k + 1 + offset])
+
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x = chooseDown(v, k, d) ? v[k + 1 + offset] : v[k - 1 + offset] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[k + offset] = x
+      if (x < n || y < m) continue
+
+      // Walk the trace back from the end to recover the path
+      const ops = []
+      for (let step = d; step >= 0; step--) {
+        const prev = trace[step]
+        const k = x - y
+        const prevK = chooseDown(prev, k, step) ? k + 1 : k - 1
+        const prevX = prev[prevK + offset]
+        const prevY = prevX - prevK
+        while (x > prevX && y > prevY) {
+          ops.push('equal')
+          x--
+          y--
+        }
+        if (step > 0) ops.push(x === prevX ? 'insert' : 'delete')
+        x = prevX
+        y = prevY
+      }
+      return ops.reverse()
+    }
+  }
+  return null
+}
+
+/**
+ * Diffs two texts line by line. Returns chunks of
+ * `{ type: 'equal', lines, mineStart, theirsStart }` and
+ * `{ type: 'change', mine, theirs, mineStart, theirsStart }` (0-based starts).
+ */
+export function diffLines(mineText, theirsText) {
+  const mine = mineText.split('\n')
+  const theirs = theirsText.split('\n')
+
+  // Common prefix and suffix are cheap to strip and keep the edit search small
+  let start = 0
+  while (start < mine.length && start < theirs.length && mine[start] === theirs[start]) start++
+  let end = 0
+  while (
+    end < mine.length - start && end < theirs.length - start &&
+    mine[mine.length - 1 - end] === theirs[theirs.length - 1 - end]
+  ) end++
+
+  const mineMiddle = mine.slice(start, mine.length - end)
+  const theirsMiddle = theirs.slice(start, theirs.length - end)
+  const ops = [
+    ...Array(start).fill('equal'),
+    ...(editScript(mineMiddle, theirsMiddle) || [
+      ...Array(mineMiddle.length).fill('delete'),
+      ...Array(theirsMiddle.length).fill('insert')
+    ]),
+    ...Array(end).fill('equal')
+  ]
+
+  const chunks = []
+  let i = 0
+  let j = 0
+  for (const op of ops) {
+    const type = op === 'equal' ? 'equal' : 'change'
+    let chunk = chunks[chunks.length - 1]
+    if (chunk?.type !== type) {
+      chunk = type === 'equal'
+        ? { type, lines: [], mineStart: i, theirsStart: j }
+        : { type, mine: [], theirs: [], mineStart: i, theirsStart: j }
+      chunks.push(chunk)
+    }
+    if (op === 'equal') {
+      chunk.lines.push(mine[i++])
+      j++
+    } else if (op === 'delete') {
+      chunk.mine.push(mine[i++])
+    } else {
+      chunk.theirs.push(theirs[j++])
+    }
+  }
+  return chunks
+}
+
+/**
+ * Builds merged text from diff chunks. `choices` maps a chunk index to
+ * 'mine', 'theirs' or 'both'; unchosen changes keep 'mine'.
+ */
+export function mergeChunks(chunks, choices) {
+  const lines = []
+  chunks.forEach((chunk, index) => {
+    if (chunk.type === 'equal') {
+      lines.push(...chunk.lines)
+      return
+    }
+    const choice = choices[index] || 'mine'
+    if (choice !== 'theirs') lines.push(...chunk.mine)
+    if (choice !== 'mine') lines.push(...chunk.theirs)
+  })
+  return lines.join('\n')
+}
@@ -0,0 +1,369 @@
+import { createElement } from 'react'
+import ReactMarkdown from 'react-markdown'
+import GithubSlugger, { slug } from 'github-slugger'
+import { resolvePath, splitHref } from './paths'
+import { renderDiagram } from './mermaid'
+import { downloadFile } from './storage'
+import { DEFAULT_NOTE_EXTENSIONS, stripNoteExtension } from './folderScan'
+
+// =============================================================================
+// HTML / PDF Export
+// =============================================================================
+
+const TOC_LEVELS = 'h1, h2, h3'
+
+// Layout for the exported page, plus the print stylesheet used for PDFs
+const EXPORT_CSS = `
+body {
+  margin: 0;
+  background: #ffffff;
+  color: #1d1d1f;
+  font-family: var(--font-sans);
+  -webkit-font-smoothing: antialiased;
+}
+
+.preview {
+  height: auto;
+  max-width: 820px;
+  margin: 0 auto;
+  padding: 48px 32px;
+  overflow: visible;
+}
+
+.export-note + .export-note {
+  margin-top: 48px;
+  padding-top: 48px;
+  border-top: 1px solid var(--border-color);
+}
+
+.export-toc {
+  margin-bottom: 32px;
+  padding: 16px 20px;
+  background: var(--bg-tertiary);
+  border-radius: var(--radius-md);
+}
+
+.export-toc h2 {
+  margin: 0 0 8px;
+  font-size: 13px;
+  text-transform: uppercase;
+  letter-spacing: 0.5px;
+  color: var(--text-secondary);
+}
+
+.export-toc ul {
+  margin: 0;
+  padding-left: 0;
+  list-style: none;
+}
+
+.export-toc li {
+  margin: 4px 0;
+}
+
+.export-toc .toc-level-2 { padding-left: 16px; }
+.export-toc .toc-level-3 { padding-left: 32px; }
+
+@media print {
+  @page {
+    margin: 18mm 16mm;
+  }
+
+  .preview {
+    max-width: none;
+    padding: 0;
+    font-size: 11pt;
+  }
+
+  .preview a {
+    color: inherit;
+    text-decoration: underline;
+  }
+
+  .preview pre, .preview blockquote, .preview table, .preview img, .preview tr {
+    break-inside: avoid;
+  }
+
+  .preview h1, .preview h2, .preview h3, .preview h4, .preview h5, .preview h6 {
+    break-after: avoid;
+  }
+
+  .preview pre code {
+    white-space: pre-wrap;
+    word-break: break-word;
+  }
+
+  .export-toc {
+    break-after: page;
+    background: none;
+    padding: 0;
+  }
+
+  .export-note + .export-note {
+    break-before: page;
+    margin-top: 0;
+    padding-top: 0;
+    border-top: none;
+  }
+
+  .page-breaks-h1 .export-note h1:not(:first-child),
+  .page-breaks-h2 .export-note :is(h1, h2):not(:first-child) {
+    break-before: page;
+  }
+}
+`
+
+const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+
+/**
+ * Collects the app's preview styles (and the CSS variables they use) so the
+ * exported page looks like the preview. Math styles and fonts are only
+ * included when the export has math. Stylesheets from other origins, like
+ * web fonts, can't be read and are skipped.
+ */
+async function collectPreviewStyles({ math }) {
+  const isPreviewRule = rule => (
+    rule.selectorText === ':root' ||
+    rule.selectorText?.includes('.preview') ||
+    (math && rule.selectorText?.includes('.katex'))
+  )
+  const css = []
+  for (const sheet of document.styleSheets) {
+    let rules
+    try {
+      rules = sheet.cssRules
+    } catch {
+      continue
+    }
+    for (const rule of rules) {
+      if (isPreviewRule(rule)) {
+        css.push(rule.cssText)
+      } else if (math && rule instanceof CSSFontFaceRule && rule.style.getPropertyValue('font-family').includes('KaTeX')) {
+        css.push(await embedFontFace(rule, sheet.href || document.baseURI))
+      } else if (rule.media && [...rule.cssRules].some(isPreviewRule)) {
+        const inner = [...rule.cssRules].filter(isPreviewRule).map(r => r.cssText)
+        css.push(`@media ${rule.media.mediaText} {\n${inner.join('\n')}\n}`)
+      }
+    }
+  }
+  return css.join('\n')
+}
+
+/**
+ * Rewrites a @font-face rule to use its first font file as a data URI
+ */
+async function embedFontFace(rule, baseUrl) {
+  const src = rule.style.getPropertyValue('src')
+  const match = src.match(/url\(["']?([^"')]+)["']?\)(\s*format\([^)]*\))?/)
+  if (!match) return rule.cssText
+  try {
+    const blob = await (await fetch(new URL(match[1], baseUrl))).blob()
+    return rule.cssText.replace(src, `url(${await blobToDataUrl(blob)})${match[2] || ''}`)
+  } catch (err) {
+    console.warn('Failed to embed font:', match[1], err)
+    return rule.cssText
+  }
+}
+
+function blobToDataUrl(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
+
+/**
+ * Renders a note the way the preview does, to a detached element
+ */
+async function renderNote(content, { remarkPlugins, remarkRehypeOptions, rehypePlugins }) {
+  const { renderToStaticMarkup } = await import('react-dom/server')
+  const html = renderToStaticMarkup(createElement(ReactMarkdown, { remarkPlugins, remarkRehypeOptions, rehypePlugins }, content))
+  const container = document.createElement('article')
+  container.innerHTML = html
+  await renderDiagrams(container)
+  // Only the preview's copy buttons use the plain code
+  for (const pre of container.querySelectorAll('pre[data-code]')) {
+    pre.removeAttribute('data-code')
+  }
+  return container
+}
+
+/**
+ * Replaces diagram code blocks with their rendered SVG (or the error)
+ */
+async function renderDiagrams(container) {
+  for (const pre of container.querySelectorAll('pre[data-diagram="mermaid"]')) {
+    const { svg, error } = await renderDiagram(pre.dataset.code)
+    const diagram = document.createElement('div')
+    diagram.className = error ? 'diagram diagram-error' : 'diagram'
+    if (error) {
+      diagram.textContent = `Mermaid syntax error: ${error}`
+    } else {
+      diagram.innerHTML = svg
+    }
+    pre.replaceWith(diagram)
+  }
+}
+
+/**
+ * Replaces workspace image paths with data URIs so the export has no
+ * outside dependencies. Remote images are left as links.
+ */
+async function embedImages(container, path, loadImage) {
+  for (const img of container.querySelectorAll('img[src]')) {
+    const src = img.getAttribute('src')
+    if (/^(https?|data):/.test(src)) continue
+    try {
+      const url = await loadImage(src, path)
+      if (url.startsWith('blob:')) {
+        const blob = await (await fetch(url)).blob()
+        img.setAttribute('src', await blobToDataUrl(blob))
+      }
+    } catch (err) {
+      console.warn('Failed to embed image:', src, err)
+    }
+  }
+}
+
+/**
+ * Gives every id in a note a per-note prefix and points links between the
+ * exported notes at their place in the combined document
+ */
+function linkNotes(container, path, noteIds) {
+  const prefix = noteIds.get(path)
+  for (const el of container.querySelectorAll('[id]')) {
+    el.id = `${prefix}--${el.id}`
+  }
+  for (const link of container.querySelectorAll('a[href]')) {
+    const href = link.getAttribute('href')
+    if (/^[a-z][a-z\d+.-]*:/i.test(href)) continue
+    const { path: linkPath, anchor } = splitHref(href)
+    const target = linkPath ? resolvePath(path, linkPath) : path
+    if (!noteIds.has(target)) continue
+    link.setAttribute('href', `#${noteIds.get(target)}${anchor ? `--${anchor}` : ''}`)
+  }
+}
+
+function buildToc(notes) {
+  const items = []
+  for (const note of notes) {
+    if (notes.length > 1) {
+      items.push(`<li class="toc-level-1"><a href="#${note.id}">${escapeHtml(note.title)}</a></li>`)
+    }
+    for (const heading of note.element.querySelectorAll(TOC_LEVELS)) {
+      if (!heading.id) continue
+      // With several notes their headings nest one level under the note title
+      const level = Math.min(Number(heading.tagName[1]) + (notes.length > 1 ? 1 : 0), 3)
+      items.push(`<li class="toc-level-${level}"><a href="#${heading.id}">${escapeHtml(heading.textContent)}</a></li>`)
+    }
+  }
+  return `<nav class="export-toc"><h2>Contents</h2><ul>${items.join('')}</ul></nav>`
+}
+
+/**
+ * Builds a self-contained HTML page from one or more notes.
+ *
+ * `notes` are `{ path, title, content }`; `plugins` are the preview's
+ * `{ remarkPlugins, remarkRehypeOptions, rehypePlugins }` for a given note
+ * path; `loadImage` resolves workspace image paths; `noteExtensions` are
+ * left out of the ids notes get in the page. Options: `toc` adds a
+ * table of contents, `pageBreaks` ('none', 'h1' or 'h2') starts printed
+ * pages at headings.
+ */
+export async function buildExportHtml({ title, notes, plugins, loadImage, noteExtensions = DEFAULT_NOTE_EXTENSIONS, toc = false, pageBreaks = 'none' }) {
+  const combined = notes.length > 1
+  // Notes that differ only by extension still get ids of their own
+  const slugger = new GithubSlugger()
+  const noteIds = new Map(notes.map(note => [
+    note.path,
+    `note-${slugger.slug(stripNoteExtension(note.path, noteExtensions).replace(/\//g, '-'))}`
+  ]))
+
+  const rendered = []
+  for (const note of notes) {
+    const element = await renderNote(note.content, plugins(note.path))
+    element.className = 'export-note'
+    await embedImages(element, note.path, loadImage)
+    if (combined) {
+      element.id = noteIds.get(note.path)
+      linkNotes(element, note.path, noteIds)
+    }
+    rendered.push({ ...note, id: noteIds.get(note.path), element })
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>${escapeHtml(title)}</title>
+<style>
+${await collectPreviewStyles({ math: rendered.some(note => note.element.querySelector('.katex')) })}
+${EXPORT_CSS}
+</style>
+</head>
+<body>
+<main class="preview page-breaks-${pageBreaks}">
+${toc ? buildToc(rendered) : ''}
+${rendered.map(note => note.element.outerHTML).join('\n')}
+</main>
+</body>
+</html>
+`
+}
+
+/**
+ * Writes an export through the save file picker, or as a download where there
+ * is none. Resolves false if the user cancels.
+ */
+export async function saveExportHtml(html, suggestedName) {
+  if (typeof window.showSaveFilePicker !== 'function') {
+    downloadFile(suggestedName, html, 'text/html')
+    return true
+  }
+  let handle
+  try {
+    handle = await window.showSaveFilePicker({
+      suggestedName,
+      types: [{ description: 'HTML document', accept: { 'text/html': ['.html'] } }]
+    })
+  } catch (err) {
+    if (err.name === 'AbortError') return false
+    throw err
+  }
+  const writable = await handle.createWritable()
+  await writable.write(html)
+  await writable.close()
+  return true
+}
+
+let printFrame = null
+
+/**
+ * Opens the browser print dialog for an export, from which it can be saved
+ * as a PDF
+ */
+export function printExportHtml(html) {
+  // Browsers differ in whether print() blocks, so the frame stays until
+  // the dialog is closed (or the next print)
+  printFrame?.remove()
+  const frame = document.createElement('iframe')
+  frame.style.cssText = 'position: fixed; width: 0; height: 0; border: 0; visibility: hidden;'
+  // No scripts: a trusted folder's raw HTML would otherwise run in the app's
+  // origin. Same origin lets the app call print(), modals let it open
+  frame.sandbox = 'allow-same-origin allow-modals'
+  frame.onload = () => {
+    frame.contentWindow.addEventListener('afterprint', () => frame.remove(), { once: true })
+    frame.contentWindow.focus()
+    frame.contentWindow.print()
+  }
+  frame.srcdoc = html
+  document.body.appendChild(frame)
+  printFrame = frame
+}
@@ -0,0 +1,193 @@
+// =============================================================================
+// Workspace File Operations (File System Access API)
+// =============================================================================
+
+/**
+ * Splits a workspace path into its parent folder and entry name
+ */
+export function splitPath(path) {
+  const slashIndex = path.lastIndexOf('/')
+  return {
+    dir: slashIndex === -1 ? '' : path.slice(0, slashIndex),
+    name: path.slice(slashIndex + 1)
+  }
+}
+
+/**
+ * Checks a file or folder name typed by the user. Returns an error message,
+ * or null if the name is usable.
+ */
+export function validateName(name) {
+  if (!name.trim()) return 'A name is required'
+  if (/[/\\:*?"<>|]/.test(name)) return 'Names cannot contain / \\ : * ? " < > |'
+  if (name === '.' || name === '..') return `"${name}" is not a valid name`
+  return null
+}
+
+/**
+ * Walks from the workspace root to the folder at `path`
+ */
+export async function getDirectory(root, path, { create = false } = {}) {
+  let dir = root
+  for (const part of path ? path.split('/') : []) {
+    dir = await dir.getDirectoryHandle(part, { create })
+  }
+  return dir
+}
+
+/**
+ * Returns the handle of the file or folder at `path`
+ */
+export async function getHandle(root, path, kind) {
+  const { dir, name } = splitPath(path)
+  const parent = await getDirectory(root, dir)
+  return kind === 'folder' ? parent.getDirectoryHandle(name) : parent.getFileHandle(name)
+}
+
+/**
+ * Whether anything (file or folder) exists at `path`
+ */
+export async function pathExists(root, path) {
+  try {
+    await getHandle(root, path, 'file')
+    return true
+  } catch (err) {
+    // A folder of that name exists
+    return err.name === 'TypeMismatchError'
+  }
+}
+
+// Without a filter, folders are scanned for .md files and nothing is skipped
+const MARKDOWN_ONLY = {
+  isNote: (name) => name.endsWith('.md'),
+  isIgnored: () => false
+}
+
+/**
+ * Lists one folder: its notes as file tree entries, and the subfolders to
+ * look in as `{ path, handle }`. `filter` decides what counts as a note
+ * (`isNote(name)`) and what is skipped (`isIgnored(path, isFolder)`).
+ */
+export async function listFolder(dirHandle, basePath = '', filter = MARKDOWN_ONLY) {
+  const files = []
+  const folders = []
+  for await (const entry of dirHandle.values()) {
+    const entryPath = basePath ? `${basePath}/${entry.name}` : entry.name
+    if (entry.kind === 'file') {
+      if (filter.isNote(entry.name) && !filter.isIgnored(entryPath, false)) {
+        files.push({ name: entry.name, path: entryPath, fullPath: entryPath, handle: entry })
+      }
+    } else if (entry.kind === 'directory' && !filter.isIgnored(entryPath, true)) {
+      folders.push({ path: entryPath, handle: entry })
+    }
+  }
+  return { files, folders }
+}
+
+/**
+ * Recursively collects the notes in a folder as file tree entries.
+ * Subfolders for which `descend(path)` returns false are not entered.
+ */
+export async function scanMarkdownFiles(dirHandle, basePath = '', { filter, descend } = {}) {
+  const { files, folders } = await listFolder(dirHandle, basePath, filter)
+  for (const folder of folders) {
+    if (descend && !descend(folder.path)) continue
+    files.push(...await scanMarkdownFiles(folder.handle, folder.path, { filter, descend }))
+  }
+  return files
+}
+
+/**
+ * Creates a file (and any missing parent folders) and returns its handle
+ */
+export async function createFile(root, path, content = '') {
+  const { dir, name } = splitPath(path)
+  const parent = await getDirectory(root, dir, { create: true })
+  const handle = await parent.getFileHandle(name, { create: true })
+  if (content) {
+    const writable = await handle.createWritable()
+    await writable.write(content)
+    await writable.close()
+  }
+  return handle
+}
+
+/**
+ * Creates a folder (and any missing parents) and returns its handle
+ */
+export async function createFolder(root, path) {
+  return getDirectory(root, path, { create: true })
+}
+
+/**
+ * Deletes a file, or a folder with everything in it
+ */
+export async function deleteEntry(root, path) {
+  const { dir, name } = splitPath(path)
+  const parent = await getDirectory(root, dir)
+  await parent.removeEntry(name, { recursive: true })
+}
+
+/**
+ * Copies a file or folder handle into `dir` under `name`
+ */
+async function copyEntry(handle, dir, name) {
+  if (handle.kind === 'file') {
+    const target = await dir.getFileHandle(name, { create: true })
+    const writable = await target.createWritable()
+    await writable.write(await handle.getFile())
+    await writable.close()
+    return
+  }
+  const target = await dir.getDirectoryHandle(name, { create: true })
+  for await (const entry of handle.values()) {
+    await copyEntry(entry, target, entry.name)
+  }
+}
+
+/**
+ * Moves or renames a file or folder. Uses `handle.move()` where the browser
+ * supports it, and falls back to copy + delete. Returns the handle at the new
+ * location.
+ */
+export async function moveEntry(root, fromPath, toPath, kind) {
+  const from = splitPath(fromPath)
+  const to = splitPath(toPath)
+  const handle = await getHandle(root, fromPath, kind)
+  const targetDir = await getDirectory(root, to.dir, { create: true })
+
+  if (typeof handle.move === 'function') {
+    try {
+      await handle.move(targetDir, to.name)
+      return getHandle(root, toPath, kind)
+    } catch (err) {
+      if (err.name !== 'NotSupportedError') throw err
+    }
+  }
+
+  // On case-insensitive file systems a case-only rename would copy the entry
+  // onto itself, so go through a temporary name
+  if (from.dir === to.dir && from.name !== to.name && from.name.toLowerCase() === to.name.toLowerCase()) {
+    const tempPath = `${toPath}.${Date.now()}.tmp`
+    await moveEntry(root, fromPath, tempPath, kind)
+    return moveEntry(root, tempPath, toPath, kind)
+  }
+
+  await copyEntry(handle, targetDir, to.name)
+  await deleteEntry(root, fromPath)
+  return getHandle(root, toPath, kind)
+}
+
+/**
+ * Checks read/write access to a stored handle and, with `request`, asks for
+ * it. Browsers only show the permission prompt in response to a click.
+ */
+export async function ensurePermission(handle, { request = false } = {}) {
+  // Handles in browser storage or memory need no permission; some browsers
+  // don't have these methods at all
+  if (typeof handle.queryPermission !== 'function') return true
+  const options = { mode: 'readwrite' }
+  if (await handle.queryPermission(options) === 'granted') return true
+  if (!request) return false
+  return await handle.requestPermission(options) === 'granted'
+}
@@ -0,0 +1,125 @@
+// =============================================================================
+// File Tree Model
+// =============================================================================
+
+import { splitPath } from './fileOps'
+
+// Folders first, then by name
+function compareItems(a, b) {
+  if (a.type === 'folder' && b.type !== 'folder') return -1
+  if (a.type !== 'folder' && b.type === 'folder') return 1
+  return a.name.localeCompare(b.name)
+}
+
+function depthOf(path) {
+  return path ? path.split('/').length : 0
+}
+
+/**
+ * Keeps the nested file tree for a flat list of note entries. Each `update`
+ * only rebuilds the folders whose contents changed, plus their ancestors;
+ * everything else keeps its identity, so a changed tree can be told apart
+ * from an unchanged one by reference.
+ */
+export function createFileTreeModel() {
+  let entries = new Map() // File path -> entry, as last passed in
+  let extraFolders = new Set()
+  const nodes = new Map([['', { type: 'folder', name: '', path: '', children: [] }]])
+  const filesIn = new Map() // Folder path -> Map of file path -> tree item
+  const foldersIn = new Map() // Folder path -> Set of subfolder paths
+  const dirty = new Set() // Folders whose own children changed
+
+  const childMap = (map, path, create) => {
+    if (!map.has(path)) map.set(path, create())
+    return map.get(path)
+  }
+
+  const addFolder = (path) => {
+    if (nodes.has(path)) return
+    const { dir, name } = splitPath(path)
+    addFolder(dir)
+    nodes.set(path, { type: 'folder', name, path, children: [] })
+    childMap(foldersIn, dir, () => new Set()).add(path)
+    dirty.add(dir)
+  }
+
+  // Drops a folder left with nothing to show, then its parent likewise
+  const pruneFolder = (path) => {
+    while (
+      path !== '' &&
+      nodes.has(path) &&
+      !extraFolders.has(path) &&
+      !filesIn.get(path)?.size &&
+      !foldersIn.get(path)?.size
+    ) {
+      const { dir } = splitPath(path)
+      nodes.delete(path)
+      filesIn.delete(path)
+      foldersIn.delete(path)
+      foldersIn.get(dir).delete(path)
+      dirty.add(dir)
+      path = dir
+    }
+  }
+
+  return {
+    /**
+     * Brings the tree in line with `nextEntries` (with `path` and `name`)
+     * and returns its top level. `folderPaths` adds folders that should
+     * show even when they hold no notes.
+     */
+    update(nextEntries, folderPaths = []) {
+      const next = new Map(nextEntries.map(entry => [entry.path, entry]))
+      const nextFolders = new Set(folderPaths)
+      const emptied = []
+
+      for (const [path, entry] of entries) {
+        if (next.get(path) === entry) continue
+        const { dir } = splitPath(path)
+        filesIn.get(dir).delete(path)
+        dirty.add(dir)
+        emptied.push(dir)
+      }
+      for (const [path, entry] of next) {
+        if (entries.get(path) === entry) continue
+        const { dir } = splitPath(path)
+        addFolder(dir)
+        childMap(filesIn, dir, () => new Map()).set(path, { ...entry, type: 'file' })
+        dirty.add(dir)
+      }
+      for (const path of nextFolders) addFolder(path)
+      for (const path of extraFolders) {
+        if (!nextFolders.has(path)) emptied.push(path)
+      }
+      entries = next
+      extraFolders = nextFolders
+      for (const path of emptied) pruneFolder(path)
+
+      // New nodes for the changed folders and, up to the root, their ancestors
+      const changed = new Set()
+      for (const path of dirty) {
+        let current = path
+        while (nodes.has(current) && !changed.has(current)) {
+          changed.add(current)
+          if (current === '') break
+          current = splitPath(current).dir
+        }
+      }
+      const deepestFirst = [...changed].sort((a, b) => depthOf(b) - depthOf(a))
+      for (const path of deepestFirst) {
+        const folder = nodes.get(path)
+        const children = dirty.has(path)
+          ? [
+            ...[...(foldersIn.get(path) || [])].map(p => nodes.get(p)),
+            ...(filesIn.get(path)?.values() || [])
+          ].sort(compareItems)
+          // Same children, some of them rebuilt
+          : folder.children.map(item => (item.type === 'folder' ? nodes.get(item.path) : item))
+        nodes.set(path, { ...folder, children })
+      }
+      dirty.clear()
+
+      return nodes.get('').children
+    }
+  }
+}
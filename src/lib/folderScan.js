@@ -0,0 +1,269 @@
+// =============================================================================
+// Folder Scanning (ignore rules, note types, background scan)
+// =============================================================================
+
+import { listFolder } from './fileOps'
+
+// Skipped in every folder, before the folder's own .gitignore
+export const DEFAULT_IGNORE_PATTERNS = [
+  '.git/',
+  '.hg/',
+  '.svn/',
+  'node_modules/',
+  'bower_components/',
+  '__pycache__/',
+  '.venv/',
+  'venv/',
+  '.cache/',
+  '.next/',
+  '.nuxt/'
+]
+
+export const DEFAULT_NOTE_EXTENSIONS = ['.md', '.markdown', '.mdx', '.txt']
+
+// Kept per folder: the note types, whether its .gitignore applies, and
+// patterns skipped on top of the defaults
+export const DEFAULT_SCAN_SETTINGS = {
+  noteExtensions: DEFAULT_NOTE_EXTENSIONS,
+  useGitignore: true,
+  ignorePatterns: []
+}
+
+const SCAN_FLUSH_INTERVAL = 150 // How often the background scan hands over what it found, in ms
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Compiles one .gitignore line to `{ regex, negate, folderOnly }`, or null
+ * for blank lines and comments. Patterns containing a slash are anchored to
+ * the folder root; others match a name at any depth.
+ */
+function compilePattern(line) {
+  let pattern = line.replace(/(?<!\\)\s+$/, '')
+  if (!pattern || pattern.startsWith('#')) return null
+
+  let negate = false
+  if (pattern.startsWith('!')) {
+    negate = true
+    pattern = pattern.slice(1)
+  } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+    pattern = pattern.slice(1)
+  }
+  const folderOnly = pattern.endsWith('/')
+  if (folderOnly) pattern = pattern.slice(0, -1)
+  const anchored = pattern.includes('/')
+  if (pattern.startsWith('/')) pattern = pattern.slice(1)
+  if (!pattern) return null
+
+  let source = ''
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i]
+    const atSegmentStart = i === 0 || pattern[i - 1] === '/'
+    if (char === '*' && pattern[i + 1] === '*' && atSegmentStart && pattern[i + 2] === '/') {
+      source += '(?:.*/)?' // `**/`: any number of folders
+      i += 2
+    } else if (char === '*' && pattern[i + 1] === '*' && atSegmentStart && i + 2 === pattern.length) {
+      source += '.*' // Trailing `**`: everything inside
+      i += 1
+    } else if (char === '*') {
+      source += '[^/]*'
+      while (pattern[i + 1] === '*') i++
+    } else if (char === '?') {
+      source += '[^/]'
+    } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+      const end = pattern.indexOf(']', i + 2)
+      const set = pattern.slice(i + 1, end).replace(/\\/g, '\\\\')
+      source += set.startsWith('!') ? `[^${set.slice(1)}]` : `[${set}]`
+      i = end
+    } else if (char === '\\' && i + 1 < pattern.length) {
+      source += escapeRegExp(pattern[++i])
+    } else {
+      source += escapeRegExp(char)
+    }
+  }
+
+  return { regex: new RegExp(anchored ? `^${source}$` : `(?:^|/)${source}$`), negate, folderOnly }
+}
+
+/**
+ * Builds `isIgnored(path, isFolder)` from .gitignore-style lines, for paths
+ * relative to the folder root. As in git, the last matching line wins and
+ * `!` lines re-include what an earlier line excluded.
+ */
+export function createIgnoreMatcher(lines) {
+  const rules = lines.map(compilePattern).filter(Boolean)
+  return (path, isFolder) => {
+    let ignored = false
+    for (const rule of rules) {
+      if (rule.folderOnly && !isFolder) continue
+      if (rule.negate === ignored && rule.regex.test(path)) ignored = !rule.negate
+    }
+    return ignored
+  }
+}
+
+/**
+ * Cleans up a list of extensions typed by the user (`md, .txt` → `.md`,
+ * `.txt`), lowercased and without duplicates
+ */
+export function normalizeExtensions(extensions) {
+  const cleaned = extensions
+    .map(ext => ext.trim().toLowerCase().replace(/^\*?\.?/, ''))
+    .filter(ext => ext && !/[/\\\s]/.test(ext))
+    .map(ext => `.${ext}`)
+  return [...new Set(cleaned)]
+}
+
+/**
+ * Whether a file name ends with one of the note extensions
+ */
+export function hasNoteExtension(name, extensions) {
+  const lower = name.toLowerCase()
+  return extensions.some(ext => lower.endsWith(ext))
+}
+
+/**
+ * Strips a note extension (one of `extensions`) from a name or path
+ */
+export function stripNoteExtension(path, extensions) {
+  const lower = path.toLowerCase()
+  const extension = extensions.find(ext => lower.endsWith(ext))
+  return extension ? path.slice(0, -extension.length) : path
+}
+
+/**
+ * Reads the .gitignore at the top of a folder, if there is one, as lines
+ */
+async function readGitignore(dirHandle) {
+  try {
+    const file = await (await dirHandle.getFileHandle('.gitignore')).getFile()
+    return (await file.text()).split(/\r?\n/)
+  } catch (err) {
+    if (err.name !== 'NotFoundError') console.warn('Failed to read .gitignore:', err)
+    return []
+  }
+}
+
+/**
+ * The filter `listFolder` and `scanMarkdownFiles` use for a folder with the
+ * given scan settings: the default ignore patterns, then its .gitignore,
+ * then the folder's own patterns
+ */
+export async function loadScanFilter(dirHandle, { noteExtensions, useGitignore, ignorePatterns }) {
+  const ignoreLines = [
+    ...DEFAULT_IGNORE_PATTERNS,
+    ...(useGitignore ? await readGitignore(dirHandle) : []),
+    ...ignorePatterns
+  ]
+  return {
+    isNote: (name) => hasNoteExtension(name, noteExtensions),
+    isIgnored: createIgnoreMatcher(ignoreLines)
+  }
+}
+
+/**
+ * Walks a folder breadth first in the background so the file tree can show
+ * the top level right away. Folders found but not listed yet are "pending";
+ * `load(path)` lists one of them straight away, as when it is expanded.
+ *
+ * `onUpdate({ files, listed, found })` receives, every so often, the notes
+ * found since the last update, the folders since listed and the new pending
+ * folders. `onProgress({ folders, notes })` counts what has been listed.
+ */
+export function createFolderScanner(root, { filter, onUpdate, onProgress }) {
+  const pending = new Map() // Path -> handle of folders not listed yet
+  const queue = [] // Pending paths, in the order they were found
+  let batch = { files: [], listed: [], found: [] }
+  let lastFlush = 0
+  let folderCount = 0
+  let noteCount = 0
+  let cancelled = false
+  let running = false
+
+  const flush = () => {
+    lastFlush = Date.now()
+    if (batch.files.length + batch.listed.length + batch.found.length === 0) return
+    onUpdate(batch)
+    batch = { files: [], listed: [], found: [] }
+  }
+
+  const list = async (path, handle) => {
+    pending.delete(path)
+    try {
+      const { files, folders } = await listFolder(handle, path, filter)
+      batch.files.push(...files)
+      noteCount += files.length
+      for (const folder of folders) {
+        pending.set(folder.path, folder.handle)
+        queue.push(folder.path)
+        batch.found.push(folder.path)
+      }
+    } catch (err) {
+      // Deleted or no longer readable since it was found
+      console.warn('Failed to list folder:', path, err)
+    }
+    batch.listed.push(path)
+    folderCount++
+  }
+
+  return {
+    /**
+     * Lists the whole folder, stopping early if cancelled. Resolves whether
+     * the scan finished.
+     */
+    async run() {
+      running = true
+      try {
+        await list('', root)
+        flush()
+        while (!cancelled && queue.length > 0) {
+          const path = queue.shift()
+          if (!pending.has(path)) continue // Loaded on demand, or dropped
+          await list(path, pending.get(path))
+          if (Date.now() - lastFlush >= SCAN_FLUSH_INTERVAL) {
+            flush()
+            onProgress({ folders: folderCount, notes: noteCount })
+            // Yield so the app stays responsive while large folders are scanned
+            await new Promise(resolve => setTimeout(resolve, 0))
+          }
+        }
+        flush()
+        return !cancelled
+      } finally {
+        running = false
+      }
+    },
+
+    /**
+     * Lists a pending folder now (and nothing if it is not pending)
+     */
+    async load(path) {
+      if (!pending.has(path)) return
+      await list(path, pending.get(path))
+      flush()
+    },
+
+    isPending(path) {
+      return pending.has(path)
+    },
+
+    isRunning() {
+      return running
+    },
+
+    /**
+     * Forgets pending folders that were moved or deleted by the app
+     */
+    drop(isDropped) {
+      for (const path of [...pending.keys()]) {
+        if (isDropped(path)) pending.delete(path)
+      }
+    },
+
+    cancel() {
+      cancelled = true
+    }
+  }
+}
@@ -0,0 +1,66 @@
+import { parse } from 'yaml'
+
+// =============================================================================
+// YAML Front Matter
+// =============================================================================
+
+// A `---` block at the very start of a note (as remark-frontmatter reads it)
+const FRONT_MATTER = /^---[ \t]*\r?\n([\s\S]*?)(?:\r?\n)?^---[ \t]*$/m
+
+function matchFrontMatter(content) {
+  if (!content.startsWith('---')) return null
+  const match = content.match(FRONT_MATTER)
+  return match?.index === 0 ? match : null
+}
+
+/**
+ * How many lines a note's front matter takes up (0 if it has none), without
+ * parsing it
+ */
+export function frontMatterLineCount(content) {
+  return matchFrontMatter(content)?.[0].split('\n').length ?? 0
+}
+
+/**
+ * Finds a note's front matter. Returns null if there is none, otherwise
+ * `{ data, error, lineCount }`: the parsed keys (empty when the YAML is
+ * invalid, with `error` set) and how many lines the block takes up.
+ */
+export function parseFrontMatter(content) {
+  const match = matchFrontMatter(content)
+  if (!match) return null
+
+  const lineCount = match[0].split('\n').length
+  try {
+    const data = parse(match[1]) ?? {}
+    if (typeof data !== 'object' || Array.isArray(data)) {
+      return { data: {}, error: 'Front matter must be a list of keys and values', lineCount }
+    }
+    return { data, error: null, lineCount }
+  } catch (err) {
+    return { data: {}, error: err.message.split('\n')[0].replace(/:$/, ''), lineCount }
+  }
+}
+
+/**
+ * The `title` key as a label, or null
+ */
+export function frontMatterTitle(data) {
+  const title = data?.title
+  if (typeof title !== 'string' && typeof title !== 'number') return null
+  return String(title).trim() || null
+}
+
+/**
+ * The `tags` key as a list of tag names. Accepts a YAML list or a comma or
+ * space separated string, with or without leading `#`.
+ */
+export function frontMatterTags(data) {
+  const tags = data?.tags
+  const list = Array.isArray(tags) ? tags : typeof tags === 'string' ? tags.split(/[\s,]+/) : []
+  const names = list
+    .filter(tag => typeof tag === 'string' || typeof tag === 'number')
+    .map(tag => String(tag).trim().replace(/^#/, ''))
+    .filter(Boolean)
+  return [...new Set(names)]
+}
@@ -0,0 +1,80 @@
+// =============================================================================
+// Fuzzy Matching (quick open and command palette)
+// =============================================================================
+
+const MAX_RESULTS = 50
+const RECENT_BONUS = 24 // Score added for the most recently opened file, less for older ones
+
+/**
+ * Matches a query against text, case-insensitively. Every query character
+ * must appear in order; spaces in the query are ignored. Returns
+ * `{ score, positions }` (higher scores are better matches, positions are
+ * the matched indexes in `text`) or null.
+ */
+export function fuzzyMatch(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, '')
+  const haystack = text.toLowerCase()
+  if (!needle) return { score: 0, positions: [] }
+
+  const positions = []
+  let score = 0
+  let from = 0
+  for (const char of needle) {
+    const index = haystack.indexOf(char, from)
+    if (index === -1) return null
+
+    const previous = text[index - 1]
+    if (index === 0) {
+      score += 10
+    } else if (/[\s/\\._-]/.test(previous) || (/[a-z]/.test(previous) && /[A-Z]/.test(text[index]))) {
+      score += 8 // Start of a word
+    }
+    if (positions.length > 0 && index === positions.at(-1) + 1) {
+      score += 5 // Runs of matched characters
+    } else {
+      score -= Math.min(index - from, 5) // Skipped characters
+    }
+    positions.push(index)
+    from = index + 1
+  }
+  // Prefer shorter texts when the match is otherwise equal
+  return { score: score - text.length / 100, positions }
+}
+
+/**
+ * Ranks notes for quick open by how well the query matches their name (or
+ * else their path) and how recently they were opened. `recentPaths` is
+ * most recent first. Returns `[{ file, score, namePositions }]`, where
+ * `namePositions` are the matched characters of the file name (null when
+ * only the path matched).
+ */
+export function rankFiles(query, files, recentPaths = []) {
+  const recency = new Map(recentPaths.map((path, i) => [path, Math.max(RECENT_BONUS - i * 4, 0)]))
+  const ranked = []
+  for (const file of files) {
+    const bonus = recency.get(file.fullPath) || 0
+    const nameMatch = query.includes('/') ? null : fuzzyMatch(query, file.name)
+    const pathMatch = fuzzyMatch(query, file.fullPath)
+    if (nameMatch) {
+      // Name matches beat path-only matches
+      ranked.push({ file, score: nameMatch.score + 20 + bonus, namePositions: nameMatch.positions })
+    } else if (pathMatch) {
+      ranked.push({ file, score: pathMatch.score + bonus, namePositions: null })
+    }
+  }
+  ranked.sort((a, b) => b.score - a.score || a.file.fullPath.localeCompare(b.file.fullPath))
+  return ranked.slice(0, MAX_RESULTS)
+}
+
+/**
+ * Commands whose title matches the query, best first (all of them, in
+ * order, for an empty query)
+ */
+export function rankCommands(query, commands) {
+  if (!query.trim()) return commands.map(command => ({ command, positions: [] }))
+  return commands
+    .map(command => ({ command, match: fuzzyMatch(query, command.title) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.score - a.match.score)
+    .map(({ command, match }) => ({ command, positions: match.positions }))
+}
@@ -0,0 +1,81 @@
+import { createFile, pathExists } from './fileOps'
+import { joinPath, relativePath } from './paths'
+
+// =============================================================================
+// Pasted and Dropped Images
+// =============================================================================
+
+export const DEFAULT_ASSETS_FOLDER = 'assets'
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/avif': 'avif',
+  'image/svg+xml': 'svg',
+  'image/bmp': 'bmp'
+}
+
+/**
+ * Image files from a paste or drop (`DataTransfer.files`)
+ */
+export function imageFiles(fileList) {
+  return [...(fileList || [])].filter(file => file.type.startsWith('image/'))
+}
+
+/**
+ * Cleans up an assets folder typed by the user: forward slashes, no leading
+ * or trailing slash. Returns null for an empty or absolute path.
+ */
+export function normalizeAssetsFolder(folder) {
+  const normalized = folder.trim().replace(/\\/g, '/').replace(/\/+$/, '')
+  if (!normalized || normalized.startsWith('/') || /^[a-z]:/i.test(normalized)) return null
+  return normalized
+}
+
+/**
+ * Base name and extension to save an image under. Clipboard screenshots are
+ * all called "image.png", so those are named after the time instead.
+ */
+function imageName(file, date) {
+  const dot = file.name.lastIndexOf('.')
+  const ext = IMAGE_EXTENSIONS[file.type] || (dot > 0 ? file.name.slice(dot + 1).toLowerCase() : 'png')
+  let base = (dot > 0 ? file.name.slice(0, dot) : file.name)
+    .replace(/[\s/\\:*?"<>|()[\]#%]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+  if (!base || base === 'image') {
+    const stamp = date.toISOString().slice(0, 19).replace('T', '-').replace(/:/g, '')
+    base = `image-${stamp}`
+  }
+  return { base, ext }
+}
+
+/**
+ * Saves images into `folder` (a path under the `root` directory handle,
+ * created if missing), adding `-1`, `-2`, ... to names that are taken.
+ * Returns the paths they were saved at.
+ */
+export async function saveImages(root, folder, images) {
+  const saved = []
+  for (const image of images) {
+    const { base, ext } = imageName(image, new Date())
+    let path = joinPath(folder, `${base}.${ext}`)
+    for (let n = 1; await pathExists(root, path); n++) {
+      path = joinPath(folder, `${base}-${n}.${ext}`)
+    }
+    await createFile(root, path, image)
+    saved.push(path)
+  }
+  return saved
+}
+
+/**
+ * Relative link from a note to an image, encoded so spaces and parentheses
+ * in folder names don't end the markdown link
+ */
+export function imageLink(notePath, imagePath) {
+  return encodeURI(relativePath(notePath, imagePath))
+    .replace(/\(/g, '%28')
+    .replace(/\)/g, '%29')
+}
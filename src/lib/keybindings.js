@@ -0,0 +1,124 @@
+// =============================================================================
+// Keyboard Shortcuts
+// =============================================================================
+
+const STORAGE_KEY = 'md_keybindings'
+
+const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform)
+
+/**
+ * Shortcuts for app commands, by command id. Keys are written like
+ * CodeMirror's (`Mod-Shift-p`), where Mod is Cmd or Ctrl. A command can
+ * have several keys, or none.
+ */
+export const DEFAULT_KEYBINDINGS = {
+  quickOpen: ['Mod-p'],
+  commandPalette: ['Mod-Shift-p'],
+  'file.save': ['Mod-s'],
+  'file.saveAll': ['Mod-Alt-s'],
+  'file.export': ['Mod-Shift-e'],
+  'tab.close': ['Alt-w'],
+  'search.show': ['Mod-Shift-f'],
+  'editor.find': ['Mod-f'],
+  // Cmd+Alt+F as well, since macOS reserves Cmd+H
+  'editor.replace': ['Mod-h', 'Mod-Alt-f']
+}
+
+/**
+ * The default shortcuts with the user's changes from localStorage applied
+ */
+export function loadKeybindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    return { ...DEFAULT_KEYBINDINGS, ...saved }
+  } catch (err) {
+    console.warn('Failed to read keyboard shortcuts:', err)
+    return { ...DEFAULT_KEYBINDINGS }
+  }
+}
+
+/**
+ * Stores the commands whose shortcuts differ from the defaults
+ */
+export function saveKeybindings(keybindings) {
+  const changed = {}
+  for (const [id, keys] of Object.entries(keybindings)) {
+    if (keys.join(' ') !== (DEFAULT_KEYBINDINGS[id] || []).join(' ')) changed[id] = keys
+  }
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(changed))
+  } catch (err) {
+    console.warn('Failed to save keyboard shortcuts:', err)
+  }
+}
+
+/**
+ * The key a keyboard event is for: letters and digits by their position
+ * (so shortcuts work on any layout), anything else by its name
+ */
+function eventKey(e) {
+  if (/^Key[A-Z]$/.test(e.code)) return e.code.slice(3).toLowerCase()
+  if (/^Digit\d$/.test(e.code)) return e.code.slice(5)
+  return e.key.length === 1 ? e.key.toLowerCase() : e.key
+}
+
+/**
+ * Writes a keyboard event as a key (`Mod-Shift-p`). Returns null while only
+ * modifiers are held.
+ */
+export function keyFromEvent(e) {
+  if (['Meta', 'Control', 'Alt', 'Shift'].includes(e.key)) return null
+  const modifiers = [
+    (e.metaKey || e.ctrlKey) && 'Mod',
+    e.altKey && 'Alt',
+    e.shiftKey && 'Shift'
+  ].filter(Boolean)
+  return [...modifiers, eventKey(e)].join('-')
+}
+
+/**
+ * Splits a key into its modifiers (in the order `keyFromEvent` writes them)
+ * and the key name, so keys typed by hand compare equal
+ */
+function parseKey(key) {
+  const parts = key.split('-')
+  // 'Mod--' is Mod and the minus key
+  const name = parts.at(-1) || '-'
+  const held = new Set(parts.slice(0, -1))
+  return {
+    modifiers: ['Mod', 'Alt', 'Shift'].filter(m => held.has(m)),
+    name: name.length === 1 ? name.toLowerCase() : name
+  }
+}
+
+function normalizeKey(key) {
+  const { modifiers, name } = parseKey(key)
+  return [...modifiers, name].join('-')
+}
+
+/**
+ * The id of the command bound to a keyboard event. `canRun(id)` skips
+ * commands that don't apply right now, leaving the key to the browser or
+ * the editor.
+ */
+export function findCommandForEvent(e, keybindings, canRun) {
+  const key = keyFromEvent(e)
+  if (!key) return null
+  for (const [id, keys] of Object.entries(keybindings)) {
+    if (keys.some(k => normalizeKey(k) === key) && canRun(id)) return id
+  }
+  return null
+}
+
+/**
+ * A key for display: ⌘⇧P on macOS, Ctrl+Shift+P elsewhere
+ */
+export function formatKey(key) {
+  const { modifiers, name } = parseKey(key)
+  const label = name.length === 1 ? name.toUpperCase() : name
+  if (IS_MAC) {
+    const symbols = { Mod: '⌘', Alt: '⌥', Shift: '⇧' }
+    return modifiers.map(m => symbols[m]).join('') + label
+  }
+  return [...modifiers.map(m => (m === 'Mod' ? 'Ctrl' : m)), label].join('+')
+}
@@ -0,0 +1,126 @@
+import { slug } from 'github-slugger'
+import { extractHeadings } from './outline'
+import { extractLinks, resolveWikiTarget } from './wikiLinks'
+import { resolvePath } from './paths'
+import { DEFAULT_NOTE_EXTENSIONS, hasNoteExtension } from './folderScan'
+
+// =============================================================================
+// Link Checker
+// =============================================================================
+
+// `id="..."` / `name="..."` in a note's HTML, which links can point at too
+const HTML_ANCHOR = /\s(?:id|name)\s*=\s*["']([^"']+)["']/gi
+
+function decodeSection(section) {
+  try {
+    return decodeURIComponent(section)
+  } catch {
+    return section
+  }
+}
+
+/**
+ * 0-based line and column of a source offset
+ */
+function locate(content, index) {
+  const lineStart = content.lastIndexOf('\n', index - 1) + 1
+  return { line: content.slice(0, lineStart).split('\n').length - 1, column: index - lineStart }
+}
+
+/**
+ * Creates a checker for one pass over the workspace. `notePaths` is the set
+ * of workspace note paths, `readNote(path)` resolves a note's saved content
+ * (undefined if it is gone) and `fileExists(path)` checks for an image.
+ * Links are checked when they point at a file with one of `noteExtensions`.
+ * Anchors read from other notes are cached for the life of the checker.
+ */
+export function createLinkChecker({ noteIndex, notePaths, readNote, fileExists, noteExtensions = DEFAULT_NOTE_EXTENSIONS }) {
+  const anchorCache = new Map() // Path -> Promise of Set of anchors
+
+  const anchorsOf = (path, content) => {
+    if (!anchorCache.has(path)) {
+      anchorCache.set(path, (content !== undefined ? Promise.resolve(content) : readNote(path)).then(text => {
+        if (text === undefined) return new Set()
+        const anchors = new Set(extractHeadings(text).map(h => h.slug))
+        for (const match of text.matchAll(HTML_ANCHOR)) anchors.add(match[1])
+        return anchors
+      }))
+    }
+    return anchorCache.get(path)
+  }
+
+  /**
+   * Problems in one note, as `[{ kind, message, line, column, length }]`
+   * with 0-based lines. Kinds are 'link' (no such note), 'image' (no such
+   * file), 'anchor' (no such heading) and 'heading' (duplicate heading).
+   */
+  const checkNote = async (path, content) => {
+    const problems = []
+    const add = (kind, message, index, length) => {
+      problems.push({ kind, message, ...locate(content, index), length })
+    }
+
+    for (const link of extractLinks(content, noteIndex)) {
+      let targetPath = path
+      let anchor = link.section
+
+      if (link.kind === 'wiki') {
+        anchor = link.section && slug(link.section)
+        if (link.target) {
+          const file = resolveWikiTarget(link.target, noteIndex, path)
+          if (!file) {
+            add('link', `No note named "${link.target}"`, link.index, link.length)
+            continue
+          }
+          targetPath = file.fullPath
+        }
+      } else if (link.kind === 'image') {
+        if (!link.target) continue
+        const imagePath = resolvePath(path, link.target)
+        if (!await fileExists(imagePath)) {
+          add('image', `Image "${link.target}" not found`, link.index, link.length)
+        }
+        continue
+      } else if (link.target) {
+        // Links to other kinds of files aren't checked
+        if (!hasNoteExtension(link.target, noteExtensions)) continue
+        targetPath = resolvePath(path, link.target)
+        if (!notePaths.has(targetPath)) {
+          add('link', `Linked note "${link.target}" not found`, link.index, link.length)
+          continue
+        }
+      }
+
+      if (!anchor) continue
+      const anchors = await anchorsOf(targetPath, targetPath === path ? content : undefined)
+      const section = link.kind === 'wiki' ? anchor : decodeSection(anchor)
+      if (!anchors.has(section)) {
+        const where = targetPath === path ? 'this note' : targetPath.split('/').pop()
+        add('anchor', `No section "#${section}" in ${where}`, link.index, link.length)
+      }
+    }
+
+    // Repeated headings get `-1`, `-2` ids, so links to them are fragile
+    const firstByText = new Map()
+    const lines = content.split('\n')
+    for (const heading of extractHeadings(content)) {
+      const key = slug(heading.text)
+      if (!firstByText.has(key)) {
+        firstByText.set(key, heading)
+        continue
+      }
+      const first = firstByText.get(key)
+      problems.push({
+        kind: 'heading',
+        message: `Duplicate heading "${heading.text}" (first on line ${first.line + 1})`,
+        line: heading.line,
+        column: 0,
+        length: lines[heading.line].length
+      })
+    }
+
+    return problems.sort((a, b) => a.line - b.line || a.column - b.column)
+  }
+
+  return { checkNote }
+}
@@ -0,0 +1,129 @@
+// =============================================================================
+// Markdown Pipeline (plugins shared by the preview and exports, preview blocks)
+// =============================================================================
+
+import { unified } from 'unified'
+import remarkParse from 'remark-parse'
+import remarkRehype from 'remark-rehype'
+import remarkGfm from 'remark-gfm'
+import remarkMath from 'remark-math'
+import remarkFrontmatter from 'remark-frontmatter'
+import rehypeRaw from 'rehype-raw'
+import rehypeSlug from 'rehype-slug'
+import rehypeHighlight from 'rehype-highlight'
+import rehypeKatex from 'rehype-katex'
+import { urlAttributes } from 'html-url-attributes'
+import remarkWikiLinks from './wikiLinks'
+import rehypeSourceLines from './rehypeSourceLines'
+import rehypeCodeBlocks, { remarkCodeMeta, DIAGRAM_LANGUAGES } from './rehypeCodeBlocks'
+import rehypeSanitizeHtml from './sanitizeHtml'
+
+/**
+ * Markdown plugins shared by the preview and exports, for the note at
+ * `fromPath`. Raw HTML is sanitized unless the note is `trusted`; `report`
+ * marks notes that had HTML removed (see rehypeSanitizeHtml).
+ */
+export function markdownPlugins(noteIndex, fromPath, { trusted = false, report = false } = {}) {
+  return {
+    remarkPlugins: [remarkGfm, remarkFrontmatter, remarkMath, remarkCodeMeta, [remarkWikiLinks, { noteIndex, fromPath }]],
+    // Sanitizing prefixes footnote ids itself
+    remarkRehypeOptions: trusted ? {} : { clobberPrefix: '' },
+    rehypePlugins: [
+      rehypeRaw,
+      ...(trusted ? [] : [[rehypeSanitizeHtml, { report }]]),
+      rehypeSlug,
+      rehypeKatex,
+      [rehypeHighlight, { plainText: DIAGRAM_LANGUAGES }],
+      rehypeCodeBlocks
+    ]
+  }
+}
+
+// URL schemes links and images may use
+const SAFE_PROTOCOL = /^(https?|ircs?|mailto|xmpp)$/i
+
+/**
+ * react-markdown's `defaultUrlTransform`, here so the worker doesn't pull
+ * in React: URLs with any other scheme become ''
+ */
+function safeUrl(value) {
+  const colon = value.indexOf(':')
+  if (colon === -1) return value // Relative
+  // A colon after `?`, `#` or `/` doesn't end a scheme
+  for (const char of ['?', '#', '/']) {
+    const index = value.indexOf(char)
+    if (index !== -1 && colon > index) return value
+  }
+  return SAFE_PROTOCOL.test(value.slice(0, colon)) ? value : ''
+}
+
+/**
+ * What react-markdown does to a tree before rendering it: unsafe URLs are
+ * emptied and leftover raw HTML shows as text
+ */
+function finishTree(node) {
+  if (!node.children) return
+  node.children = node.children.map(child => (child.type === 'raw' ? { type: 'text', value: child.value } : child))
+  for (const child of node.children) {
+    if (child.type !== 'element') continue
+    for (const [name, tagNames] of Object.entries(urlAttributes)) {
+      if (Object.hasOwn(child.properties, name) && (tagNames === null || tagNames.includes(child.tagName))) {
+        child.properties[name] = safeUrl(String(child.properties[name] || ''))
+      }
+    }
+    finishTree(child)
+  }
+}
+
+// FNV-1a, enough to tell blocks apart
+function hashString(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return (hash >>> 0).toString(36)
+}
+
+/**
+ * Renders a note for the preview as a list of top-level blocks,
+ * `{ key, lines, node }` with `node` a hast tree. `key` depends only on
+ * what the block shows, so it survives edits elsewhere in the note (the nth
+ * of several identical blocks gets `~n`); `lines` lists the source lines
+ * the block's elements point to, which do change when lines are added above.
+ */
+export function renderPreviewBlocks(content, { noteIndex, fromPath, trusted }) {
+  const { remarkPlugins, remarkRehypeOptions, rehypePlugins } = markdownPlugins(noteIndex, fromPath, { trusted, report: true })
+  const processor = unified()
+    .use(remarkParse)
+    .use(remarkPlugins)
+    .use(remarkRehype, { ...remarkRehypeOptions, allowDangerousHtml: true })
+    .use(rehypePlugins)
+    .use(rehypeSourceLines)
+  const tree = processor.runSync(processor.parse(content), content)
+  finishTree(tree)
+
+  const seen = new Map()
+  return tree.children.map(node => {
+    const lines = []
+    const shape = JSON.stringify(node, (name, value) => {
+      if (name === 'position') return undefined
+      if (name === 'dataSourceLine') {
+        lines.push(value)
+        return undefined
+      }
+      return value
+    })
+    const hash = `${hashString(shape)}.${shape.length.toString(36)}`
+    const count = seen.get(hash) || 0
+    seen.set(hash, count + 1)
+    return { key: count ? `${hash}~${count}` : hash, lines: lines.join(','), node }
+  })
+}
+
+/**
+ * Identifies a block together with the source lines it points to
+ */
+export function blockEntry(block) {
+  return `${block.key}@${block.lines}`
+}
@@ -0,0 +1,87 @@
+// =============================================================================
+// In-Memory Folders (handles for browsers without writable browser storage)
+// =============================================================================
+
+function notFound(name) {
+  return new DOMException(`${name} was not found`, 'NotFoundError')
+}
+
+function typeMismatch(name) {
+  return new DOMException(`${name} is not the kind of entry asked for`, 'TypeMismatchError')
+}
+
+/**
+ * A file handle whose contents live in memory. Supports what the app uses
+ * of FileSystemFileHandle: `getFile()` and `createWritable()` with
+ * `write()` / `close()`.
+ */
+function createMemoryFile(name) {
+  let contents = new File([], name)
+  const handle = {
+    kind: 'file',
+    name,
+    inMemory: true,
+    async getFile() {
+      return contents
+    },
+    async createWritable() {
+      const parts = []
+      return {
+        async write(data) {
+          parts.push(data)
+        },
+        async close() {
+          contents = new File(parts, name, { lastModified: Date.now() })
+        }
+      }
+    },
+    async isSameEntry(other) {
+      return other === handle
+    }
+  }
+  return handle
+}
+
+/**
+ * A folder handle held in memory, with the FileSystemDirectoryHandle methods
+ * the app uses. Nothing is kept once the page is closed, and these handles
+ * can't be stored in IndexedDB (see `inMemory`).
+ */
+export function createMemoryFolder(name) {
+  const entries = new Map() // Name -> handle
+  const handle = {
+    kind: 'directory',
+    name,
+    inMemory: true,
+    async * values() {
+      yield * [...entries.values()]
+    },
+    async getFileHandle(entryName, { create = false } = {}) {
+      let entry = entries.get(entryName)
+      if (!entry) {
+        if (!create) throw notFound(entryName)
+        entry = createMemoryFile(entryName)
+        entries.set(entryName, entry)
+      }
+      if (entry.kind !== 'file') throw typeMismatch(entryName)
+      return entry
+    },
+    async getDirectoryHandle(entryName, { create = false } = {}) {
+      let entry = entries.get(entryName)
+      if (!entry) {
+        if (!create) throw notFound(entryName)
+        entry = createMemoryFolder(entryName)
+        entries.set(entryName, entry)
+      }
+      if (entry.kind !== 'directory') throw typeMismatch(entryName)
+      return entry
+    },
+    async removeEntry(entryName) {
+      if (!entries.delete(entryName)) throw notFound(entryName)
+    },
+    async isSameEntry(other) {
+      return other === handle
+    }
+  }
+  return handle
+}
@@ -0,0 +1,72 @@
+// =============================================================================
+// Mermaid Diagrams
+// =============================================================================
+
+// Mermaid is large, so it is only loaded once a diagram needs rendering
+const MAX_CACHED_DIAGRAMS = 100
+
+let mermaidPromise = null
+let renderQueue = Promise.resolve()
+let diagramCount = 0
+const diagramCache = new Map() // Source -> { svg } or { error }
+
+function loadMermaid() {
+  if (!mermaidPromise) {
+    mermaidPromise = import('mermaid').then(({ default: mermaid }) => {
+      mermaid.initialize({ startOnLoad: false, securityLevel: 'strict' })
+      return mermaid
+    })
+    mermaidPromise.catch(() => {
+      mermaidPromise = null
+    })
+  }
+  return mermaidPromise
+}
+
+async function render(source) {
+  const mermaid = await loadMermaid()
+  const id = `mermaid-diagram-${++diagramCount}`
+  try {
+    // Parsing first reports syntax errors without mermaid's error graphic
+    await mermaid.parse(source)
+    const { svg } = await mermaid.render(id, source)
+    return { svg }
+  } catch (err) {
+    return { error: err.message || String(err) }
+  } finally {
+    // Mermaid can leave its scratch element behind when rendering fails
+    document.getElementById(`d${id}`)?.remove()
+  }
+}
+
+/**
+ * The finished render of a diagram, if it has been rendered before
+ */
+export function cachedDiagram(source) {
+  return diagramCache.get(source)
+}
+
+/**
+ * Renders mermaid source to `{ svg }`, or `{ error }` with the syntax error.
+ * Renders run one at a time (mermaid keeps global state while rendering)
+ * and are cached by source, so unchanged diagrams cost nothing while typing.
+ */
+export function renderDiagram(source) {
+  if (diagramCache.has(source)) return Promise.resolve(diagramCache.get(source))
+
+  const result = renderQueue.then(() => render(source))
+  renderQueue = result.catch(() => {})
+  return result.then(
+    (diagram) => {
+      if (diagramCache.size >= MAX_CACHED_DIAGRAMS) {
+        diagramCache.delete(diagramCache.keys().next().value)
+      }
+      diagramCache.set(source, diagram)
+      return diagram
+    },
+    (err) => {
+      console.warn('Failed to load mermaid:', err)
+      return { error: 'The diagram renderer could not be loaded' }
+    }
+  )
+}
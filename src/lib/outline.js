@@ -0,0 +1,93 @@
+import GithubSlugger from 'github-slugger'
+import { frontMatterLineCount } from './frontMatter'
+
+// =============================================================================
+// Document Outline
+// =============================================================================
+
+const ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/
+const SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/
+const FENCE = /^ {0,3}(`{3,}|~{3,})/
+const LIST_ITEM = /^ {0,3}([-*+]|\d+[.)])\s/
+const THEMATIC_BREAK = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/
+
+/**
+ * Strips inline markdown so a heading reads as plain text
+ */
+export function headingText(source) {
+  return source
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/<[^>]+>/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(\*|_)(.+?)\1/g, '$2')
+    .replace(/~~(.+?)~~/g, '$1')
+    .trim()
+}
+
+/**
+ * Extracts ATX (`# Title`) and setext (`Title\n===`) headings from markdown,
+ * skipping front matter and fenced code blocks. Returns
+ * `[{ level, text, slug, line }]` with 0-based line numbers pointing at the
+ * heading text. Slugs follow GitHub's
+ * rules (the same ids rehype-slug gives preview headings), including `-1`,
+ * `-2` suffixes for repeated headings.
+ */
+export function extractHeadings(content) {
+  const headings = []
+  const lines = content.split('\n')
+  let fence = null
+  let paragraphStart = null // First line of the paragraph a setext underline would apply to
+  const slugger = new GithubSlugger()
+
+  for (let i = frontMatterLineCount(content); i < lines.length; i++) {
+    const line = lines[i]
+
+    const fenceMatch = line.match(FENCE)
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null
+      }
+      continue
+    }
+    if (fenceMatch) {
+      fence = fenceMatch[1]
+      paragraphStart = null
+      continue
+    }
+
+    if (!line.trim()) {
+      paragraphStart = null
+      continue
+    }
+
+    const atx = line.match(ATX_HEADING)
+    if (atx) {
+      const text = headingText(atx[2] || '')
+      headings.push({ level: atx[1].length, text, slug: slugger.slug(text), line: i })
+      paragraphStart = null
+      continue
+    }
+
+    // A `---` under a list item is a thematic break, not a heading
+    if (paragraphStart !== null && SETEXT_UNDERLINE.test(line) &&
+        !(line.trim()[0] === '-' && LIST_ITEM.test(lines[paragraphStart]))) {
+      const text = headingText(lines.slice(paragraphStart, i).map(l => l.trim()).join(' '))
+      headings.push({ level: line.trim()[0] === '=' ? 1 : 2, text, slug: slugger.slug(text), line: paragraphStart })
+      paragraphStart = null
+      continue
+    }
+
+    if (THEMATIC_BREAK.test(line)) {
+      paragraphStart = null
+      continue
+    }
+
+    if (paragraphStart === null && !/^ {4}/.test(line)) {
+      paragraphStart = i
+    }
+  }
+
+  return headings
+}
@@ -0,0 +1,72 @@
+// =============================================================================
+// Workspace Paths
+// =============================================================================
+
+/**
+ * Resolves a relative path against a base path (handles ../ and ./)
+ */
+export function resolvePath(basePath, relativePath) {
+  const baseParts = basePath.split('/').slice(0, -1) // Remove filename
+  const relativeParts = relativePath.split('/')
+  const resultParts = [...baseParts]
+
+  for (const part of relativeParts) {
+    if (part === '..') {
+      resultParts.pop()
+    } else if (part !== '.' && part !== '') {
+      resultParts.push(part)
+    }
+  }
+
+  return resultParts.join('/')
+}
+
+/**
+ * Builds a relative link from one workspace path to another
+ */
+export function relativePath(fromPath, toPath) {
+  const fromParts = fromPath.split('/').slice(0, -1)
+  const toParts = toPath.split('/')
+  let common = 0
+  while (common < fromParts.length && common < toParts.length - 1 && fromParts[common] === toParts[common]) {
+    common++
+  }
+  const ups = fromParts.slice(common).map(() => '..')
+  return [...ups, ...toParts.slice(common)].join('/')
+}
+
+/**
+ * Joins a folder path and an entry name (the root folder is '')
+ */
+export function joinPath(dir, name) {
+  return dir ? `${dir}/${name}` : name
+}
+
+/**
+ * Encodes a path for a link href one segment at a time, so a `#` or `?` in
+ * a name doesn't start the fragment or query
+ */
+export function encodePath(path) {
+  return path.split('/').map(encodeURIComponent).join('/')
+}
+
+/**
+ * Decodes the path of a link href, including what encodePath encoded
+ */
+export function decodePath(path) {
+  return path.split('/').map(decodeURIComponent).join('/')
+}
+
+/**
+ * Splits a link href into its path and decoded `#fragment` parts
+ */
+export function splitHref(href = '') {
+  const hashIndex = href.indexOf('#')
+  const path = (hashIndex === -1 ? href : href.slice(0, hashIndex)).split('?')[0]
+  const fragment = hashIndex === -1 ? '' : href.slice(hashIndex + 1)
+  try {
+    return { path: decodePath(path), anchor: decodeURIComponent(fragment) }
+  } catch {
+    return { path, anchor: fragment }
+  }
+}
@@ -0,0 +1,153 @@
+// =============================================================================
+// Preview Renderer (schedules renders in the worker, merges their results)
+// =============================================================================
+
+import { buildNoteIndex } from './wikiLinks'
+import { renderPreviewBlocks, blockEntry } from './markdownPipeline'
+
+// Typing without a pause still updates the preview this often, in ms
+const RENDER_MAX_WAIT = 500
+
+/**
+ * Starts the preview worker, or returns null where workers can't run
+ */
+function startWorker() {
+  if (typeof Worker === 'undefined') return null
+  try {
+    return new Worker(new URL('./previewWorker.js', import.meta.url), { type: 'module' })
+  } catch (err) {
+    console.warn('Preview worker unavailable, rendering on the main thread:', err)
+    return null
+  }
+}
+
+/**
+ * Renders notes for the preview in a Web Worker, so typing never waits for
+ * a note to be parsed. One render runs at a time; requests made meanwhile
+ * wait, and only the latest of them is rendered next. Each result reuses
+ * the blocks of the previous one that did not change, so the preview only
+ * re-renders the blocks that did.
+ *
+ * `onRender({ id, path, content, blocks })` receives every result. Where
+ * workers can't run, notes are rendered on the main thread instead.
+ */
+export function createPreviewRenderer({ onRender }) {
+  let worker = null
+  let notes = []
+  let noteExtensions // Of the notes, see setNotes
+  let noteIndex = new Map() // Only kept when rendering on the main thread
+  let current = null // Last result passed to onRender
+  let nextId = 0
+  let inFlight = null // Request the worker is rendering
+  let queued = null // Latest request waiting for it
+  let timer = null
+  let waitingSince = null // When the debounced request was first delayed
+
+  const deliver = (request, renderedBlocks) => {
+    const previous = current?.path === request.path
+      ? new Map(current.blocks.map(block => [blockEntry(block), block]))
+      : new Map()
+    const blocks = renderedBlocks.map(block => previous.get(blockEntry(block)) || block)
+    current = { id: request.id, path: request.path, content: request.content, blocks }
+    onRender(current)
+  }
+
+  const renderHere = (request) => {
+    try {
+      deliver(request, renderPreviewBlocks(request.content, { noteIndex, fromPath: request.path, trusted: request.trusted }))
+    } catch (err) {
+      console.warn('Preview rendering failed:', request.path, err)
+    }
+  }
+
+  const send = (request) => {
+    request.id = ++nextId
+    if (!worker) {
+      renderHere(request)
+      return
+    }
+    inFlight = request
+    worker.postMessage({ type: 'render', ...request, baseId: current?.id ?? null })
+  }
+
+  const sendQueued = () => {
+    const request = queued
+    queued = null
+    if (request) send(request)
+  }
+
+  const handleMessage = ({ data }) => {
+    const request = inFlight
+    if (data.id !== request?.id) return
+    inFlight = null
+    if (data.error) {
+      console.warn('Preview rendering failed:', data.path, data.error)
+    } else {
+      deliver(request, data.blocks)
+    }
+    sendQueued()
+  }
+
+  // The worker failed to load or crashed: render here from now on
+  const handleError = (e) => {
+    console.warn('Preview worker failed, rendering on the main thread:', e.message)
+    worker.terminate()
+    worker = null
+    noteIndex = buildNoteIndex(notes, noteExtensions)
+    if (!queued) queued = inFlight
+    inFlight = null
+    sendQueued()
+  }
+
+  worker = startWorker()
+  if (worker) {
+    worker.onmessage = handleMessage
+    worker.onerror = handleError
+  }
+
+  return {
+    /**
+     * Sets the notes wiki links resolve against, as `{ name, fullPath }`,
+     * and the note extensions links may leave out
+     */
+    setNotes(list, extensions) {
+      notes = list
+      noteExtensions = extensions
+      if (worker) {
+        worker.postMessage({ type: 'notes', notes: list, noteExtensions: extensions })
+      } else {
+        noteIndex = buildNoteIndex(list, extensions)
+      }
+    },
+
+    /**
+     * Renders `{ path, content, trusted }` after `delay` ms without newer
+     * requests (but no later than RENDER_MAX_WAIT after the first of them),
+     * or as soon as the render in progress is done if 0
+     */
+    render(request, delay = 0) {
+      clearTimeout(timer)
+      const start = () => {
+        timer = null
+        waitingSince = null
+        if (inFlight) {
+          queued = request
+        } else {
+          send(request)
+        }
+      }
+      waitingSince ??= Date.now()
+      const wait = Math.min(delay, waitingSince + RENDER_MAX_WAIT - Date.now())
+      if (wait > 0) {
+        timer = setTimeout(start, wait)
+      } else {
+        start()
+      }
+    },
+
+    dispose() {
+      clearTimeout(timer)
+      worker?.terminate()
+    }
+  }
+}
@@ -0,0 +1,36 @@
+// =============================================================================
+// Preview Worker (parses notes for the preview off the main thread)
+// =============================================================================
+
+import { buildNoteIndex } from './wikiLinks'
+import { renderPreviewBlocks, blockEntry } from './markdownPipeline'
+
+let noteIndex = new Map()
+let lastResult = null // { id, path, entries } of the last result sent
+
+/**
+ * Messages: `{ type: 'notes', notes, noteExtensions }` replaces the notes wiki
+ * links resolve against; `{ type: 'render', id, path, content, trusted, baseId }` renders a
+ * note. The reply lists its blocks, leaving out the hast of those already in
+ * result `baseId`, which the page still has.
+ */
+self.onmessage = ({ data }) => {
+  if (data.type === 'notes') {
+    noteIndex = buildNoteIndex(data.notes, data.noteExtensions)
+    return
+  }
+
+  const { id, path, content, trusted, baseId } = data
+  try {
+    const blocks = renderPreviewBlocks(content, { noteIndex, fromPath: path, trusted })
+    const known = lastResult?.id === baseId && lastResult.path === path ? lastResult.entries : new Set()
+    lastResult = { id, path, entries: new Set(blocks.map(blockEntry)) }
+    self.postMessage({
+      id,
+      path,
+      blocks: blocks.map(block => (known.has(blockEntry(block)) ? { key: block.key, lines: block.lines } : block))
+    })
+  } catch (err) {
+    self.postMessage({ id, path, error: err.message })
+  }
+}
@@ -0,0 +1,132 @@
+// =============================================================================
+// Rehype Plugin - Code Blocks (line numbers, highlighted lines)
+// =============================================================================
+
+// `{3-5}` or `{1,4-6}` in a fence's info string, e.g. ```js {3-5}
+const LINE_RANGES = /\{([\d\s,-]+)\}/
+
+// Fence languages the preview draws as diagrams instead of code
+export const DIAGRAM_LANGUAGES = ['mermaid']
+
+/**
+ * Parses the line ranges of a code fence's meta string into a set of
+ * 1-based line numbers, up to `lineCount` (ranges come from the note, so
+ * `{1-999999999}` must not run up to its end)
+ */
+export function parseHighlightedLines(meta, lineCount) {
+  const lines = new Set()
+  const match = meta?.match(LINE_RANGES)
+  if (!match) return lines
+  for (const part of match[1].split(',')) {
+    const [start, end = start] = part.split('-').map(n => parseInt(n, 10))
+    if (Number.isNaN(start) || Number.isNaN(end)) continue
+    for (let line = Math.max(start, 1); line <= Math.min(end, lineCount); line++) lines.add(line)
+  }
+  return lines
+}
+
+function textContent(node) {
+  if (node.type === 'text') return node.value
+  return (node.children || []).map(textContent).join('')
+}
+
+/**
+ * Splits highlighted code into lines. Token spans that run across a line
+ * break (like block comments) are split so each line is self-contained.
+ */
+function splitLines(children) {
+  const lines = [[]]
+
+  const walk = (nodes, wrap) => {
+    for (const node of nodes) {
+      if (node.type === 'text') {
+        node.value.split('\n').forEach((part, i) => {
+          if (i > 0) lines.push([])
+          if (part) lines[lines.length - 1].push(wrap({ type: 'text', value: part }))
+        })
+      } else if (node.type === 'element') {
+        walk(node.children, child => wrap({ ...node, children: [child] }))
+      }
+    }
+  }
+  walk(children, node => node)
+
+  // A trailing newline doesn't start another line
+  if (lines.length > 1 && lines[lines.length - 1].length === 0) lines.pop()
+  return lines
+}
+
+function transformCode(pre, code) {
+  const { dataMeta, ...codeProperties } = code.properties || {}
+  code.properties = codeProperties
+
+  const language = DIAGRAM_LANGUAGES.find(name => codeProperties.className?.includes(`language-${name}`))
+  if (language) {
+    pre.properties = { ...pre.properties, dataDiagram: language, dataCode: textContent(code).replace(/\n$/, '') }
+    return
+  }
+
+  const lines = splitLines(code.children)
+  const highlighted = parseHighlightedLines(dataMeta, lines.length)
+
+  pre.properties = {
+    ...pre.properties,
+    className: [...(pre.properties?.className || []), 'code-block'],
+    dataCode: textContent(code).replace(/\n$/, '')
+  }
+  code.children = lines.map((children, i) => ({
+    type: 'element',
+    tagName: 'span',
+    properties: {
+      className: highlighted.has(i + 1) ? ['code-line', 'highlighted'] : ['code-line'],
+      dataLine: i + 1
+    },
+    children
+  }))
+}
+
+function transform(node) {
+  if (node.type === 'element' && node.tagName === 'pre') {
+    const code = node.children.find(child => child.type === 'element' && child.tagName === 'code')
+    if (code) {
+      transformCode(node, code)
+      return
+    }
+  }
+  if (node.children) {
+    node.children.forEach(transform)
+  }
+}
+
+function copyMeta(node) {
+  if (node.type === 'code' && node.meta) {
+    node.data = { ...node.data, hProperties: { ...node.data?.hProperties, dataMeta: node.meta } }
+  }
+  if (node.children) {
+    node.children.forEach(copyMeta)
+  }
+}
+
+/**
+ * Remark plugin that keeps a code fence's meta string (```js {3-5}) as a
+ * `data-meta` attribute, which survives rehype-raw (the hast `data` field
+ * the meta normally travels in does not)
+ */
+export function remarkCodeMeta() {
+  return (tree) => {
+    copyMeta(tree)
+  }
+}
+
+/**
+ * Wraps each line of fenced code blocks in a `.code-line` span (numbered
+ * with `data-line`, and `.highlighted` for lines picked in the fence's
+ * `{…}` meta), and keeps the plain code in `data-code` for copying. Diagram
+ * blocks are only tagged with `data-diagram`. Runs after syntax
+ * highlighting; needs `remarkCodeMeta` for the meta.
+ */
+export default function rehypeCodeBlocks() {
+  return (tree) => {
+    transform(tree)
+  }
+}
@@ -0,0 +1,29 @@
+// =============================================================================
+// Rehype Plugin - Source Lines
+// =============================================================================
+
+// Block-level elements worth mapping back to the source
+const SOURCE_LINE_TAGS = new Set([
+  'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'p', 'blockquote', 'pre', 'ul', 'ol', 'li',
+  'table', 'tr', 'hr', 'div', 'details', 'figure'
+])
+
+function annotate(node) {
+  if (node.type === 'element' && SOURCE_LINE_TAGS.has(node.tagName) && node.position) {
+    node.properties = { ...node.properties, dataSourceLine: node.position.start.line }
+  }
+  if (node.children) {
+    node.children.forEach(annotate)
+  }
+}
+
+/**
+ * Adds a `data-source-line` attribute (1-based markdown line) to rendered
+ * block elements, so the preview can be matched back to the editor.
+ */
+export default function rehypeSourceLines() {
+  return (tree) => {
+    annotate(tree)
+  }
+}
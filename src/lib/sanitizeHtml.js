@@ -0,0 +1,181 @@
+import { defaultSchema, sanitize } from 'hast-util-sanitize'
+
+// =============================================================================
+// Rehype Plugin - Sanitize HTML
+// =============================================================================
+
+/**
+ * HTML allowed in untrusted notes on top of GitHub's rules (hast-util-sanitize's
+ * default schema). Extend it to let more tags, attributes or URL protocols
+ * through; scripts, event handlers, `style`, frames and forms stay out.
+ */
+export const HTML_ALLOWLIST = {
+  tagNames: ['abbr', 'caption', 'cite', 'col', 'colgroup', 'figcaption', 'figure', 'mark', 'small', 'u'],
+  attributes: {
+    // Wiki links, math and code fence meta are added before sanitizing
+    a: [['className', 'wiki-link', 'unresolved']],
+    span: [['className', 'wiki-link', 'unresolved']],
+    code: [['className', /^language-./, 'math-inline', 'math-display'], 'dataMeta']
+  },
+  protocols: {
+    // Embedded (base64) images
+    src: ['data']
+  }
+}
+
+// Prefix given to ids and names in a note's HTML
+export const ID_PREFIX = defaultSchema.clobberPrefix
+
+// Element the plugin adds to the tree when it removed something
+export const STRIPPED_REPORT_TAG = 'stripped-html'
+
+/**
+ * Merges an allowlist onto the default schema
+ */
+function createSchema({ tagNames = [], attributes = {}, protocols = {} }) {
+  const mergedAttributes = { ...defaultSchema.attributes }
+  for (const [tag, allowed] of Object.entries(attributes)) {
+    const merged = [...(mergedAttributes[tag] || [])]
+    for (const entry of allowed) {
+      // `[name, ...values]` limits an attribute to those values; an attribute
+      // listed in both keeps the values of both
+      const name = Array.isArray(entry) ? entry[0] : entry
+      const index = merged.findIndex(other => (Array.isArray(other) ? other[0] : other) === name)
+      const existing = merged[index]
+      if (index === -1) {
+        merged.push(entry)
+      } else if (Array.isArray(existing) && Array.isArray(entry)) {
+        merged[index] = [...existing, ...entry.slice(1)]
+      } else {
+        merged[index] = name
+      }
+    }
+    mergedAttributes[tag] = merged
+  }
+  const mergedProtocols = { ...defaultSchema.protocols }
+  for (const [property, allowed] of Object.entries(protocols)) {
+    mergedProtocols[property] = [...(mergedProtocols[property] || []), ...allowed]
+  }
+  return {
+    ...defaultSchema,
+    tagNames: [...defaultSchema.tagNames, ...tagNames],
+    attributes: mergedAttributes,
+    protocols: mergedProtocols
+  }
+}
+
+// Classes the app gives elements before sanitizing. The report is about the
+// note's own HTML, so these are left out of it even where they are removed.
+const APP_CLASSES = new Set(['wiki-link', 'unresolved', 'math-inline', 'math-display'])
+const isAppClass = (name) => APP_CLASSES.has(name) || String(name).startsWith('language-')
+
+// hast property name -> HTML attribute name, for the report
+function attributeName(property) {
+  if (property === 'className') return 'class'
+  if (property === 'htmlFor') return 'for'
+  return property.replace(/^(data|aria)(?=[A-Z])/, '$1-').toLowerCase()
+}
+
+/**
+ * Numbers every element (in its `data`, which sanitizing keeps) and
+ * remembers its tag and attributes
+ */
+function inventory(tree) {
+  const elements = []
+  const walk = (node) => {
+    if (node.type === 'element') {
+      node.data = { ...node.data, sanitizeId: elements.length }
+      elements.push({ tagName: node.tagName, properties: node.properties || {} })
+    }
+    node.children?.forEach(walk)
+  }
+  walk(tree)
+  return elements
+}
+
+/**
+ * Compares the sanitized tree with the inventory: the tags of elements that
+ * are gone and the attributes dropped from the ones that are left
+ */
+function findStripped(tree, elements) {
+  const kept = new Set()
+  const attributes = new Set()
+  const walk = (node) => {
+    if (node.type === 'element' && node.data?.sanitizeId !== undefined) {
+      const { properties } = elements[node.data.sanitizeId]
+      kept.add(node.data.sanitizeId)
+      delete node.data.sanitizeId
+      for (const [key, value] of Object.entries(properties)) {
+        const safe = node.properties[key]
+        if (key === 'className') {
+          const classes = new Set(safe || [])
+          if (value.some(name => !classes.has(name) && !isAppClass(name))) attributes.add('class')
+        } else if (safe === undefined || (Array.isArray(value) && safe.length < value.length)) {
+          attributes.add(attributeName(key))
+        }
+      }
+    }
+    node.children?.forEach(walk)
+  }
+  walk(tree)
+
+  const tags = new Set(elements.filter((_, id) => !kept.has(id)).map(el => el.tagName))
+  return { tags: [...tags], attributes: [...attributes] }
+}
+
+/**
+ * Points `#anchor` links at the `user-content-` prefixed ids and names that
+ * sanitizing gives elements (so ids in notes can't clobber the app's globals)
+ */
+function relinkAnchors(tree) {
+  const ids = new Set()
+  const links = []
+  const walk = (node) => {
+    if (node.type === 'element') {
+      for (const key of ['id', 'name']) {
+        if (typeof node.properties[key] === 'string') ids.add(node.properties[key])
+      }
+      if (node.tagName === 'a' && typeof node.properties.href === 'string' && node.properties.href.startsWith('#')) {
+        links.push(node)
+      }
+    }
+    node.children?.forEach(walk)
+  }
+  walk(tree)
+
+  for (const link of links) {
+    const anchor = link.properties.href.slice(1)
+    if (!ids.has(anchor) && ids.has(`${ID_PREFIX}${anchor}`)) {
+      link.properties.href = `#${ID_PREFIX}${anchor}`
+    }
+  }
+}
+
+/**
+ * Removes unsafe HTML (scripts, event handlers, `javascript:` URLs, frames,
+ * ...) from the rendered note, keeping `allowlist` on top of GitHub's rules.
+ * Goes right after rehype-raw, with remark-rehype's `clobberPrefix` set to
+ * '' so footnote ids are prefixed once. With `report`, a
+ * `<stripped-html data-tags data-attributes>` element is put at the top of
+ * the note when anything was removed.
+ */
+export default function rehypeSanitizeHtml({ allowlist = HTML_ALLOWLIST, report = false } = {}) {
+  const schema = createSchema(allowlist)
+
+  return (tree) => {
+    const elements = inventory(tree)
+    const clean = sanitize(tree, schema)
+    const { tags, attributes } = findStripped(clean, elements)
+    relinkAnchors(clean)
+
+    if (report && (tags.length > 0 || attributes.length > 0)) {
+      clean.children.unshift({
+        type: 'element',
+        tagName: STRIPPED_REPORT_TAG,
+        properties: { dataTags: tags.join(' '), dataAttributes: attributes.join(' ') },
+        children: []
+      })
+    }
+    return clean
+  }
+}
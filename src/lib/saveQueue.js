@@ -0,0 +1,136 @@
+// =============================================================================
+// Save Queue
+// =============================================================================
+
+// Failed saves are tried again after these delays, then left to the user
+const RETRY_DELAYS = [2000, 10000, 30000]
+
+/**
+ * Debounces and serializes saves, separately for each document, so an edit
+ * to one note never cancels or overtakes the pending save of another.
+ *
+ * `write(path, content)` resolves true once written, false if the save was
+ * declined (the file changed on disk, say), and throws if it failed.
+ * `onStatus(path, status)` reports 'saving', 'saved', 'failed' or null
+ * (declined or discarded).
+ */
+export function createSaveQueue({ write, onStatus }) {
+  // Path -> { path, content, timer, chain, saving, attempts }. `content` is
+  // the text still to be written (undefined once handed to `write`), `chain`
+  // the promise of the last save, which the next one waits for.
+  const docs = new Map()
+
+  const getDoc = (path) => {
+    if (!docs.has(path)) {
+      docs.set(path, { path, content: undefined, timer: null, chain: Promise.resolve(true), saving: false, attempts: 0 })
+    }
+    return docs.get(path)
+  }
+
+  const clearTimer = (doc) => {
+    clearTimeout(doc.timer)
+    doc.timer = null
+  }
+
+  const run = async (doc) => {
+    // Discarded while waiting, or nothing new since the last save
+    if (docs.get(doc.path) !== doc || doc.content === undefined) return true
+    const { content } = doc
+    doc.content = undefined
+    doc.saving = true
+    onStatus(doc.path, 'saving')
+
+    try {
+      const written = await write(doc.path, content)
+      doc.attempts = 0
+      onStatus(doc.path, written ? 'saved' : null)
+      return written
+    } catch (err) {
+      console.warn('Save failed:', doc.path, err)
+      // Keep the text for the retry, unless newer edits replaced it
+      if (doc.content === undefined) doc.content = content
+      const delay = RETRY_DELAYS[doc.attempts++]
+      if (delay !== undefined && !doc.timer) doc.timer = setTimeout(() => flushDoc(doc), delay)
+      onStatus(doc.path, 'failed')
+      return false
+    } finally {
+      doc.saving = false
+    }
+  }
+
+  const flushDoc = (doc) => {
+    clearTimer(doc)
+    doc.chain = doc.chain.then(() => run(doc))
+    return doc.chain
+  }
+
+  return {
+    /**
+     * Queues `content` to be written after `delay` ms without further edits,
+     * or only when saved or flushed if `delay` is null (autosave off)
+     */
+    schedule(path, content, delay) {
+      const doc = getDoc(path)
+      doc.content = content
+      clearTimer(doc)
+      if (delay !== null) doc.timer = setTimeout(() => flushDoc(doc), delay)
+    },
+
+    /**
+     * Writes `content` now (after any save in flight), replacing any queued
+     * text. Resolves whether it was written.
+     */
+    save(path, content) {
+      const doc = getDoc(path)
+      doc.content = content
+      return flushDoc(doc)
+    },
+
+    /**
+     * Writes the queued text now, if any. Resolves whether everything queued
+     * was written.
+     */
+    flush(path) {
+      const doc = docs.get(path)
+      return doc ? flushDoc(doc) : Promise.resolve(true)
+    },
+
+    /**
+     * Whether a save is due on a timer or in flight
+     */
+    isBusy(path) {
+      const doc = docs.get(path)
+      return Boolean(doc && (doc.timer || doc.saving))
+    },
+
+    /**
+     * Whether text newer than the last save handed to `write` is queued
+     */
+    hasPending(path) {
+      return docs.get(path)?.content !== undefined
+    },
+
+    /**
+     * Drops the queued text of a document (a save in flight still finishes)
+     */
+    discard(path) {
+      const doc = docs.get(path)
+      if (!doc) return
+      clearTimer(doc)
+      docs.delete(path)
+      onStatus(path, null)
+    },
+
+    /**
+     * Moves queued saves over to remapped paths
+     */
+    move(remap) {
+      const moved = [...docs.values()].filter(doc => remap(doc.path) !== doc.path)
+      for (const doc of moved) docs.delete(doc.path)
+      for (const doc of moved) {
+        doc.path = remap(doc.path)
+        docs.set(doc.path, doc)
+      }
+    }
+  }
+}
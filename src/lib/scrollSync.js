@@ -0,0 +1,61 @@
+// =============================================================================
+// Editor / Preview Scroll Mapping
+// =============================================================================
+
+/**
+ * Collects `{ line, top }` anchors from preview elements carrying a
+ * `data-source-line` attribute. Lines are 0-based; tops are offsets within the
+ * preview's scroll content. Anchors are strictly increasing in both line and
+ * top, with sentinels at the start and end of the document, so positions in
+ * between can be interpolated.
+ */
+export function collectAnchors(preview, lineCount) {
+  const anchors = [{ line: 0, top: 0 }]
+
+  for (const el of preview.querySelectorAll('[data-source-line]')) {
+    const line = Number(el.dataset.sourceLine) - 1
+    const top = el.offsetTop
+    const last = anchors[anchors.length - 1]
+    // Nested blocks share their parent's line; keep the outermost one
+    if (line <= last.line || top <= last.top) continue
+    anchors.push({ line, top })
+  }
+
+  const last = anchors[anchors.length - 1]
+  if (lineCount > last.line && preview.scrollHeight > last.top) {
+    anchors.push({ line: lineCount, top: preview.scrollHeight })
+  }
+  return anchors
+}
+
+/**
+ * Linearly interpolates `value` from one anchor key to the other
+ */
+function interpolate(anchors, value, fromKey, toKey) {
+  if (anchors.length === 0) return 0
+
+  let index = 0
+  while (index < anchors.length - 1 && anchors[index + 1][fromKey] <= value) {
+    index++
+  }
+  const current = anchors[index]
+  const next = anchors[index + 1]
+  if (!next) return current[toKey]
+
+  const progress = (value - current[fromKey]) / (next[fromKey] - current[fromKey])
+  return current[toKey] + progress * (next[toKey] - current[toKey])
+}
+
+/**
+ * Maps a (fractional, 0-based) source line to a preview offset
+ */
+export function lineToOffset(anchors, line) {
+  return interpolate(anchors, line, 'line', 'top')
+}
+
+/**
+ * Maps a preview offset to a fractional, 0-based source line
+ */
+export function offsetToLine(anchors, top) {
+  return interpolate(anchors, top, 'top', 'line')
+}
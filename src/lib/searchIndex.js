@@ -0,0 +1,195 @@
+// =============================================================================
+// Workspace Search Index
+// =============================================================================
+
+const MAX_RESULTS = 2000 // Stop collecting matches past this many
+const SNIPPET_RADIUS = 60 // Characters of context kept on each side of a match
+
+/**
+ * Returns the offset at which each line of `content` starts
+ */
+function getLineStarts(content) {
+  const starts = [0]
+  let index = content.indexOf('\n')
+  while (index !== -1) {
+    starts.push(index + 1)
+    index = content.indexOf('\n', index + 1)
+  }
+  return starts
+}
+
+/**
+ * Finds the 0-based line containing `offset` (binary search over line starts)
+ */
+function lineAtOffset(lineStarts, offset) {
+  let low = 0
+  let high = lineStarts.length - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (lineStarts[mid] <= offset) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return low
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
+
+/**
+ * Builds the RegExp used for a query. Throws a SyntaxError for invalid
+ * patterns in regex mode, which callers surface to the user.
+ */
+export function buildSearchRegExp(query, { caseSensitive = false, regex = false, wholeWord = false } = {}) {
+  let source = regex ? query : escapeRegExp(query)
+  if (wholeWord) source = `\\b(?:${source})\\b`
+  return new RegExp(source, `g${caseSensitive ? '' : 'i'}m`)
+}
+
+/**
+ * Expands `$&`, `$1`…`$99`, `$<name>` and `$$` in a regex replacement string
+ * using a match array, the same way String.prototype.replace does.
+ */
+export function expandReplacement(replacement, match) {
+  return replacement.replace(/\$(\$|&|\d{1,2}|<([^>]*)>)/g, (token, ref, name) => {
+    if (ref === '$') return '$'
+    if (ref === '&') return match[0]
+    if (name !== undefined) return match.groups?.[name] ?? ''
+    const group = Number(ref)
+    return group > 0 && group < match.length ? match[group] ?? '' : token
+  })
+}
+
+/**
+ * Replaces matches of `pattern` in `content`. Only matches whose start offset
+ * is in `offsets` are replaced when it is given. In regex mode the
+ * replacement may reference capture groups.
+ */
+export function replaceMatches(content, pattern, replacement, { regex = false, offsets = null } = {}) {
+  return content.replace(pattern, (...args) => {
+    const hasGroups = typeof args[args.length - 1] === 'object'
+    const offset = args[args.length - (hasGroups ? 3 : 2)]
+    const match = args.slice(0, args.length - (hasGroups ? 3 : 2))
+    if (hasGroups) match.groups = args[args.length - 1]
+    if (match[0].length === 0) return match[0]
+    if (offsets && !offsets.has(offset)) return match[0]
+    return regex ? expandReplacement(replacement, match) : replacement
+  })
+}
+
+/**
+ * Cuts a single-line snippet around a match, returning the text split into
+ * before / match / after so the match can be highlighted.
+ */
+function makeSnippet(lineText, column, length) {
+  const start = Math.max(0, column - SNIPPET_RADIUS)
+  const end = Math.min(lineText.length, column + length + SNIPPET_RADIUS)
+  return {
+    before: (start > 0 ? '…' : '') + lineText.slice(start, column).trimStart(),
+    match: lineText.slice(column, column + length),
+    after: lineText.slice(column + length, end) + (end < lineText.length ? '…' : '')
+  }
+}
+
+/**
+ * Creates an in-memory index of file contents keyed by path. Line offsets
+ * are computed lazily and cached, so repeat searches only pay for the scan.
+ */
+export function createSearchIndex() {
+  const entries = new Map()
+
+  const getEntry = (path) => {
+    const entry = entries.get(path)
+    if (entry && !entry.lineStarts) {
+      entry.lineStarts = getLineStarts(entry.content)
+    }
+    return entry
+  }
+
+  return {
+    get size() {
+      return entries.size
+    },
+
+    has: (path) => entries.has(path),
+
+    get: (path) => entries.get(path)?.content,
+
+    paths: () => [...entries.keys()],
+
+    set(path, content) {
+      entries.set(path, { content, lineStarts: null })
+    },
+
+    remove(path) {
+      entries.delete(path)
+    },
+
+    clear() {
+      entries.clear()
+    },
+
+    /**
+     * Searches every indexed file. Returns results grouped by file:
+     * `{ results: [{ path, matches: [{ offset, line, column, length, snippet, groups }] }], truncated }`
+     * where `line` and `column` are 0-based and `groups` is the RegExp match.
+     * `overrides` maps paths to contents that should be searched instead of
+     * the indexed version (e.g. unsaved editor buffers).
+     */
+    search(query, options = {}, overrides = {}) {
+      const results = []
+      let total = 0
+      let truncated = false
+      if (!query) return { results, truncated }
+
+      const pattern = buildSearchRegExp(query, options)
+
+      for (const [path] of entries) {
+        const entry = path in overrides
+          ? { content: overrides[path], lineStarts: getLineStarts(overrides[path]) }
+          : getEntry(path)
+        const matches = []
+        pattern.lastIndex = 0
+
+        let match
+        while ((match = pattern.exec(entry.content)) !== null) {
+          if (match[0].length === 0) {
+            pattern.lastIndex++
+            continue
+          }
+          const line = lineAtOffset(entry.lineStarts, match.index)
+          const lineStart = entry.lineStarts[line]
+          const lineEnd = line + 1 < entry.lineStarts.length
+            ? entry.lineStarts[line + 1] - 1
+            : entry.content.length
+          const lineText = entry.content.slice(lineStart, lineEnd)
+          const column = match.index - lineStart
+          const length = Math.min(match[0].length, lineText.length - column)
+
+          matches.push({
+            offset: match.index,
+            line,
+            column,
+            length,
+            snippet: makeSnippet(lineText, column, length),
+            groups: match
+          })
+
+          if (++total >= MAX_RESULTS) {
+            truncated = true
+            break
+          }
+        }
+
+        if (matches.length > 0) results.push({ path, matches })
+        if (truncated) break
+      }
+
+      results.sort((a, b) => a.path.localeCompare(b.path))
+      return { results, truncated }
+    }
+  }
+}
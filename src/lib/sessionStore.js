@@ -0,0 +1,319 @@
+// =============================================================================
+// Session Storage (IndexedDB)
+// =============================================================================
+
+// File System Access handles can be stored in IndexedDB (not localStorage),
+// which is what lets a reload reopen the same folder and files.
+
+const DB_NAME = 'md-reader'
+const DB_VERSION = 4
+const SESSION_STORE = 'session'
+const WORKSPACES_STORE = 'workspaces'
+const TRUSTED_STORE = 'trustedWorkspaces'
+const SETTINGS_STORE = 'workspaceSettings'
+const HISTORY_OWNERS_STORE = 'historyOwners'
+const SNAPSHOTS_STORE = 'snapshots'
+const SESSION_KEY = 'current'
+const MAX_RECENT_WORKSPACES = 8
+
+const MINUTE = 60 * 1000
+const HOUR = 60 * MINUTE
+const DAY = 24 * HOUR
+const HISTORY_LIMIT = 100 // Snapshots kept per note
+const HISTORY_MAX_AGE = 30 * DAY
+const HISTORY_KEEP_ALL = 10 * MINUTE // Younger snapshots are never thinned out
+
+let dbPromise = null
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION)
+      request.onupgradeneeded = () => {
+        const db = request.result
+        if (!db.objectStoreNames.contains(SESSION_STORE)) db.createObjectStore(SESSION_STORE)
+        if (!db.objectStoreNames.contains(WORKSPACES_STORE)) db.createObjectStore(WORKSPACES_STORE, { keyPath: 'id' })
+        if (!db.objectStoreNames.contains(TRUSTED_STORE)) db.createObjectStore(TRUSTED_STORE, { keyPath: 'id' })
+        if (!db.objectStoreNames.contains(SETTINGS_STORE)) db.createObjectStore(SETTINGS_STORE, { keyPath: 'id' })
+        if (!db.objectStoreNames.contains(HISTORY_OWNERS_STORE)) {
+          db.createObjectStore(HISTORY_OWNERS_STORE, { keyPath: 'id' })
+        }
+        if (!db.objectStoreNames.contains(SNAPSHOTS_STORE)) {
+          const snapshots = db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id', autoIncrement: true })
+          snapshots.createIndex('file', ['ownerId', 'path'])
+          snapshots.createIndex('owner', 'ownerId')
+        }
+      }
+      request.onsuccess = () => resolve(request.result)
+      request.onerror = () => reject(request.error)
+    })
+    // Let a later call retry instead of caching the failure
+    dbPromise.catch(() => {
+      dbPromise = null
+    })
+  }
+  return dbPromise
+}
+
+/**
+ * Runs `operation(store)` in a transaction and resolves with the result of
+ * the request it returns once the transaction completes
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openDatabase()
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode)
+    const request = operation(transaction.objectStore(storeName))
+    transaction.oncomplete = () => resolve(request?.result)
+    transaction.onerror = () => reject(transaction.error)
+    transaction.onabort = () => reject(transaction.error)
+  })
+}
+
+/**
+ * The last saved session: `{ workspace: { name, handle } | null,
+ * tabs: [{ path, handle?, dirHandle? }], activeTab, viewMode, splitRatio,
+ * expandedFolders, recentFiles }`. Standalone tabs carry their own file
+ * handle.
+ */
+export function loadSession() {
+  return withStore(SESSION_STORE, 'readonly', store => store.get(SESSION_KEY))
+}
+
+export function saveSession(session) {
+  return withStore(SESSION_STORE, 'readwrite', store => store.put(session, SESSION_KEY))
+}
+
+/**
+ * Recently opened folders as `{ id, name, handle, openedAt }`, newest first
+ */
+export async function getRecentWorkspaces() {
+  const workspaces = await withStore(WORKSPACES_STORE, 'readonly', store => store.getAll())
+  return (workspaces || []).sort((a, b) => b.openedAt - a.openedAt)
+}
+
+/**
+ * Moves a folder to the top of the recent list (adding it if new) and
+ * returns the updated list
+ */
+export async function addRecentWorkspace(handle) {
+  if (handle.inMemory) return getRecentWorkspaces()
+  const recent = await getRecentWorkspaces()
+
+  // Picking the same folder again yields a new handle for the same entry
+  let existing = null
+  for (const workspace of recent) {
+    if (await workspace.handle.isSameEntry(handle)) {
+      existing = workspace
+      break
+    }
+  }
+
+  const entry = { id: existing?.id ?? crypto.randomUUID(), name: handle.name, handle, openedAt: Date.now() }
+  const others = recent.filter(workspace => workspace.id !== entry.id)
+  const dropped = others.slice(MAX_RECENT_WORKSPACES - 1)
+
+  await withStore(WORKSPACES_STORE, 'readwrite', store => {
+    for (const workspace of dropped) store.delete(workspace.id)
+    return store.put(entry)
+  })
+  return [entry, ...others.slice(0, MAX_RECENT_WORKSPACES - 1)]
+}
+
+export async function removeRecentWorkspace(id) {
+  await withStore(WORKSPACES_STORE, 'readwrite', store => store.delete(id))
+  return getRecentWorkspaces()
+}
+
+// Trust and settings are kept apart from the recent list so they survive a
+// folder dropping off it. Folders are matched by entry, not name: another
+// folder with the same name is not trusted and has its own settings.
+// Folders held in memory (see memoryFs) can't be stored, so they keep nothing.
+async function findWorkspace(storeName, handle) {
+  if (handle.inMemory) return null
+  const workspaces = await withStore(storeName, 'readonly', store => store.getAll())
+  for (const workspace of workspaces || []) {
+    if (await workspace.handle.isSameEntry(handle)) return workspace
+  }
+  return null
+}
+
+const findTrustedWorkspace = (handle) => findWorkspace(TRUSTED_STORE, handle)
+
+/**
+ * Whether the folder has been trusted to show its notes' raw HTML unsanitized
+ */
+export async function isWorkspaceTrusted(handle) {
+  return Boolean(await findTrustedWorkspace(handle))
+}
+
+export async function saveWorkspaceTrust(handle, trusted) {
+  if (handle.inMemory) return
+  const existing = await findTrustedWorkspace(handle)
+  if (trusted && !existing) {
+    await withStore(TRUSTED_STORE, 'readwrite', store => store.put({ id: crypto.randomUUID(), name: handle.name, handle }))
+  } else if (!trusted && existing) {
+    await withStore(TRUSTED_STORE, 'readwrite', store => store.delete(existing.id))
+  }
+}
+
+/**
+ * The folder's settings (`{ autosaveDelay, scan }`), or an empty object
+ */
+export async function getWorkspaceSettings(handle) {
+  return (await findWorkspace(SETTINGS_STORE, handle))?.settings || {}
+}
+
+/**
+ * Merges `changes` into the folder's settings
+ */
+export async function saveWorkspaceSettings(handle, changes) {
+  if (handle.inMemory) return
+  const existing = await findWorkspace(SETTINGS_STORE, handle)
+  const entry = {
+    id: existing?.id ?? crypto.randomUUID(),
+    name: handle.name,
+    handle,
+    settings: { ...existing?.settings, ...changes }
+  }
+  await withStore(SETTINGS_STORE, 'readwrite', store => store.put(entry))
+}
+
+/**
+ * Forgets a folder's trust, settings and version history. For a browser copy
+ * replaced by another folder: the new copy is the same entry, so it would
+ * inherit them.
+ */
+export async function forgetWorkspace(handle) {
+  if (handle.inMemory) return
+  await saveWorkspaceTrust(handle, false)
+  const settings = await findWorkspace(SETTINGS_STORE, handle)
+  if (settings) await withStore(SETTINGS_STORE, 'readwrite', store => store.delete(settings.id))
+
+  const owner = await findWorkspace(HISTORY_OWNERS_STORE, handle)
+  if (!owner) return
+  ownerIds.delete(handle)
+  await withStore(SNAPSHOTS_STORE, 'readwrite', store => {
+    const request = store.index('owner').openCursor(IDBKeyRange.only(owner.id))
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (!cursor) return
+      cursor.delete()
+      cursor.continue()
+    }
+  })
+  await withStore(HISTORY_OWNERS_STORE, 'readwrite', store => store.delete(owner.id))
+}
+
+// -----------------------------------------------------------------------------
+// Version History
+// -----------------------------------------------------------------------------
+
+// Snapshots belong to the workspace folder a note is in, or to the file
+// itself for notes opened on their own. Owners are matched by entry like
+// trusted folders; the id is looked up once per handle. Notes held in memory
+// have no history.
+const ownerIds = new WeakMap() // Handle -> Promise of owner id
+
+function getOwnerId(handle) {
+  if (!ownerIds.has(handle)) {
+    const lookup = (async () => {
+      const owners = await withStore(HISTORY_OWNERS_STORE, 'readonly', store => store.getAll())
+      for (const owner of owners || []) {
+        if (await owner.handle.isSameEntry(handle)) return owner.id
+      }
+      const owner = { id: crypto.randomUUID(), name: handle.name, handle }
+      await withStore(HISTORY_OWNERS_STORE, 'readwrite', store => store.put(owner))
+      return owner.id
+    })()
+    // Let a later call retry instead of caching the failure
+    lookup.catch(() => ownerIds.delete(handle))
+    ownerIds.set(handle, lookup)
+  }
+  return ownerIds.get(handle)
+}
+
+/**
+ * Ids of snapshots to drop (`snapshots` newest first): everything past
+ * `HISTORY_MAX_AGE` or `HISTORY_LIMIT`, and beyond the last few minutes,
+ * all but the newest snapshot of each hour (or of each day, after a day)
+ */
+function snapshotsToPrune(snapshots, now) {
+  const buckets = new Set()
+  const pruned = []
+  let kept = 0
+  for (const snapshot of snapshots) {
+    const age = now - snapshot.savedAt
+    let keep = age <= HISTORY_MAX_AGE && kept < HISTORY_LIMIT
+    if (keep && age > HISTORY_KEEP_ALL) {
+      const bucket = age < DAY ? `h${Math.floor(snapshot.savedAt / HOUR)}` : `d${Math.floor(snapshot.savedAt / DAY)}`
+      keep = !buckets.has(bucket)
+      buckets.add(bucket)
+    }
+    if (keep) {
+      kept++
+    } else {
+      pruned.push(snapshot.id)
+    }
+  }
+  return pruned
+}
+
+/**
+ * A note's snapshots as `{ id, path, savedAt, content, source }`, newest
+ * first. `source` is 'save', or 'disk' for a version found on disk before a
+ * save replaced it.
+ */
+export async function getSnapshots(owner, path) {
+  if (owner.inMemory) return []
+  const ownerId = await getOwnerId(owner)
+  const snapshots = await withStore(SNAPSHOTS_STORE, 'readonly', store => store.index('file').getAll([ownerId, path]))
+  return (snapshots || []).sort((a, b) => b.savedAt - a.savedAt || b.id - a.id)
+}
+
+/**
+ * Records a save of `content`. `previous` is the content the save replaced:
+ * when the history doesn't end with it (the first save, or after the file
+ * was changed outside the app) it is recorded too, so it can be restored.
+ * Saves that change nothing are skipped, and old snapshots are thinned out.
+ */
+export async function addSnapshot(owner, path, content, previous) {
+  if (owner.inMemory) return false
+  const ownerId = await getOwnerId(owner)
+  const existing = await getSnapshots(owner, path)
+  const latest = existing[0]?.content
+  if (content === latest) return false
+
+  const now = Date.now()
+  const added = []
+  if (previous !== undefined && previous !== latest && previous !== content) {
+    added.push({ ownerId, path, savedAt: now - 1, content: previous, source: 'disk' })
+  }
+  added.push({ ownerId, path, savedAt: now, content, source: 'save' })
+
+  // New snapshots are never pruned: they are the youngest
+  const pruned = snapshotsToPrune([...added].reverse().concat(existing), now)
+  await withStore(SNAPSHOTS_STORE, 'readwrite', store => {
+    for (const id of pruned) store.delete(id)
+    for (const snapshot of added) store.add(snapshot)
+  })
+  return true
+}
+
+/**
+ * Moves the history of renamed or moved notes to their new paths
+ */
+export async function moveSnapshots(owner, remap) {
+  if (owner.inMemory) return
+  const ownerId = await getOwnerId(owner)
+  await withStore(SNAPSHOTS_STORE, 'readwrite', store => {
+    const request = store.index('owner').openCursor(IDBKeyRange.only(ownerId))
+    request.onsuccess = () => {
+      const cursor = request.result
+      if (!cursor) return
+      const newPath = remap(cursor.value.path)
+      if (newPath !== cursor.value.path) cursor.update({ ...cursor.value, path: newPath })
+      cursor.continue()
+    }
+  })
+}
@@ -0,0 +1,273 @@
+// =============================================================================
+// Storage Backends (folders on disk, or copies kept in the browser)
+// =============================================================================
+
+import { createFile } from './fileOps'
+import { DEFAULT_IGNORE_PATTERNS, createIgnoreMatcher } from './folderScan'
+import { createMemoryFolder } from './memoryFs'
+
+// Notes are opened in one of three ways, all through file system handles:
+// - 'disk': picked with the File System Access API, and saved in place
+// - 'browser': copied into the browser's own storage (the Origin Private File
+//   System), where edits are saved; downloading a note keeps it elsewhere
+// - 'memory': copied into memory, where the browser can't write to its own
+//   storage; edits last until the page is closed
+
+/**
+ * Whether folders and files on disk can be opened and saved in place
+ */
+export const CAN_OPEN_FROM_DISK = typeof window !== 'undefined' && typeof window.showDirectoryPicker === 'function'
+
+const BROWSER_FOLDERS = 'folders' // Where copies of folders are kept in browser storage
+const BROWSER_FILES = 'files' // Copies of notes opened on their own
+const DOWNLOAD_URL_LIFETIME = 10000 // ms a download's object URL is kept
+
+const isIgnored = createIgnoreMatcher(DEFAULT_IGNORE_PATTERNS)
+
+let browserRootPromise = null
+let memoryFiles = null // Copies of notes opened on their own, where browser storage can't be written
+
+/**
+ * The root of this site's browser storage, or null where it can't be written
+ */
+function getBrowserRoot() {
+  if (!browserRootPromise) {
+    browserRootPromise = (async () => {
+      const writable = typeof FileSystemFileHandle !== 'undefined' && 'createWritable' in FileSystemFileHandle.prototype
+      if (!navigator.storage?.getDirectory || !writable) return null
+      try {
+        return await navigator.storage.getDirectory()
+      } catch (err) {
+        // Private windows may refuse it
+        console.warn('Browser storage unavailable, keeping copies in memory:', err)
+        return null
+      }
+    })()
+  }
+  return browserRootPromise
+}
+
+async function removeIfPresent(dir, name) {
+  try {
+    await dir.removeEntry(name, { recursive: true })
+  } catch (err) {
+    if (err.name !== 'NotFoundError') throw err
+  }
+}
+
+/**
+ * Where a folder or file handle keeps its notes: 'disk', 'browser' or 'memory'
+ */
+export async function storageModeOf(handle) {
+  if (handle.inMemory) return 'memory'
+  const root = await getBrowserRoot()
+  if (root && await root.resolve(handle) !== null) return 'browser'
+  return 'disk'
+}
+
+/**
+ * Whether the browser already keeps a copy of a folder called `name`
+ */
+export async function hasBrowserCopy(name) {
+  const root = await getBrowserRoot()
+  if (!root) return false
+  try {
+    await (await root.getDirectoryHandle(BROWSER_FOLDERS)).getDirectoryHandle(name)
+    return true
+  } catch (err) {
+    if (err.name !== 'NotFoundError') throw err
+    return false
+  }
+}
+
+/**
+ * Deletes a folder copy kept in the browser
+ */
+export async function deleteBrowserCopy(handle) {
+  const root = await getBrowserRoot()
+  await removeIfPresent(await root.getDirectoryHandle(BROWSER_FOLDERS), handle.name)
+}
+
+/**
+ * Copies a folder's files into the browser, replacing an earlier copy of the
+ * same name, and returns the copy's handle. `files` are `{ path, file }`
+ * with paths inside the folder; those in folders skipped everywhere (like
+ * node_modules) are left out.
+ */
+export async function copyFolder(name, files) {
+  const root = await getBrowserRoot()
+  let folder
+  if (root) {
+    const folders = await root.getDirectoryHandle(BROWSER_FOLDERS, { create: true })
+    await removeIfPresent(folders, name)
+    folder = await folders.getDirectoryHandle(name, { create: true })
+  } else {
+    folder = createMemoryFolder(name)
+  }
+
+  for (const { path, file } of files) {
+    const parts = path.split('/')
+    const skipped = parts.slice(0, -1).some((_, i) => isIgnored(parts.slice(0, i + 1).join('/'), true))
+    if (!skipped) await createFile(folder, path, file)
+  }
+  return folder
+}
+
+/**
+ * Where copies of notes opened on their own are kept: a folder in browser
+ * storage, or in memory
+ */
+async function fileCopies() {
+  const root = await getBrowserRoot()
+  if (root) return root.getDirectoryHandle(BROWSER_FILES, { create: true })
+  if (!memoryFiles) memoryFiles = createMemoryFolder(BROWSER_FILES)
+  return memoryFiles
+}
+
+/**
+ * The copy the browser keeps of a note called `name` opened on its own, or
+ * null. Copies are kept by name, so opening another note with the same name
+ * replaces it (see copyFile).
+ */
+export async function findFileCopy(name) {
+  try {
+    return await (await fileCopies()).getFileHandle(name)
+  } catch (err) {
+    if (err.name !== 'NotFoundError') throw err
+    return null
+  }
+}
+
+/**
+ * Copies a note opened on its own into the browser, replacing an earlier
+ * copy of the same name, and returns its handle
+ */
+export async function copyFile(file) {
+  return createFile(await fileCopies(), file.name, file)
+}
+
+/**
+ * The folder picked in an `<input webkitdirectory>`, as `{ name, files }`
+ * for copyFolder, or null if it was empty
+ */
+export function folderFromInput(fileList) {
+  const files = [...fileList].map(file => {
+    const [name, ...rest] = file.webkitRelativePath.split('/')
+    return { name, path: rest.join('/'), file }
+  })
+  if (files.length === 0) return null
+  return { name: files[0].name, files: files.map(({ path, file }) => ({ path, file })) }
+}
+
+function readEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject))
+}
+
+function entryFile(entry) {
+  return new Promise((resolve, reject) => entry.file(resolve, reject))
+}
+
+/**
+ * Reads a dropped folder entry's files as `{ path, file }`, not entering
+ * folders skipped everywhere
+ */
+async function readFolderEntry(entry, basePath = '') {
+  const files = []
+  const reader = entry.createReader()
+  // Entries come in batches until an empty one
+  for (let batch = await readEntries(reader); batch.length > 0; batch = await readEntries(reader)) {
+    for (const child of batch) {
+      const path = basePath ? `${basePath}/${child.name}` : child.name
+      if (child.isDirectory) {
+        if (!isIgnored(path, true)) files.push(...await readFolderEntry(child, path))
+      } else {
+        files.push({ path, file: await entryFile(child) })
+      }
+    }
+  }
+  return files
+}
+
+/**
+ * Reads what was dropped on the page. Where the browser hands out file system
+ * handles for it, resolves to `{ handles }`, opened on disk; otherwise to
+ * `{ folders, files }`: folders as `{ name, files }` for copyFolder and
+ * loose files as File objects. Must be called while handling the drop event.
+ */
+export function readDrop(dataTransfer) {
+  const items = [...dataTransfer.items].filter(item => item.kind === 'file')
+  if (CAN_OPEN_FROM_DISK && items.length > 0 && items.every(item => typeof item.getAsFileSystemHandle === 'function')) {
+    return Promise.all(items.map(item => item.getAsFileSystemHandle()))
+      .then(handles => ({ handles: handles.filter(Boolean) }))
+  }
+
+  // Entries must be taken before the event is over
+  const entries = items.map(item => item.webkitGetAsEntry?.()).filter(Boolean)
+  return (async () => {
+    const folders = []
+    const files = []
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        folders.push({ name: entry.name, files: await readFolderEntry(entry) })
+      } else {
+        files.push(await entryFile(entry))
+      }
+    }
+    return { folders, files }
+  })()
+}
+
+/**
+ * Saves text as a file through the browser's downloads
+ */
+export function downloadFile(name, content, type = 'text/markdown') {
+  const url = URL.createObjectURL(new Blob([content], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = name
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME)
+}
+
+const STORAGE_LABELS = {
+  disk: 'On disk',
+  browser: 'In this browser',
+  memory: 'In this tab only'
+}
+
+const SAVE_DETAILS = {
+  disk: 'Edits are saved to the file on disk',
+  browser: 'Edits are saved to a copy kept in this browser, not to disk. Download notes to keep them elsewhere',
+  memory: 'This browser can\'t store the copy, so edits are lost when the page is closed. Download notes to keep them'
+}
+
+/**
+ * Describes a storage mode for the status shown with a note: its label, and
+ * whether autosave to disk, images and links to other notes work, as
+ * `{ label, capabilities: [{ name, available, detail }] }`. `inFolder` is
+ * false for notes opened on their own; `hasFolderAccess` is true for those
+ * whose folder the user gave access to.
+ */
+export function describeStorage(mode, { inFolder, hasFolderAccess = false }) {
+  let images
+  if (inFolder) {
+    images = { available: true, detail: 'Relative images show, and pasted images are saved next to the note' }
+  } else if (mode === 'disk') {
+    images = hasFolderAccess
+      ? { available: true, detail: 'Images next to the note show, and pasted ones are saved there' }
+      : { available: false, detail: 'Images next to the note show once you paste one and choose its folder' }
+  } else {
+    images = { available: false, detail: 'Images next to the note can\'t be reached. Open its folder instead' }
+  }
+
+  return {
+    label: STORAGE_LABELS[mode],
+    capabilities: [
+      { name: 'Autosave to disk', available: mode === 'disk', detail: SAVE_DETAILS[mode] },
+      { name: 'Images', ...images },
+      inFolder
+        ? { name: 'Links', available: true, detail: 'Links to other notes in the folder open them' }
+        : { name: 'Links', available: false, detail: 'Links to other notes work when you open their folder' }
+    ]
+  }
+}
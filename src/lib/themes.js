@@ -0,0 +1,207 @@
+// =============================================================================
+// Themes and Workspace Preview Styles
+// =============================================================================
+
+const STORAGE_KEY = 'md_theme'
+
+const DARK_QUERY = '(prefers-color-scheme: dark)'
+const CONTRAST_QUERY = '(prefers-contrast: more)'
+
+// Stylesheet in the opened folder that styles the preview, see scopePreviewCss
+export const WORKSPACE_PREVIEW_CSS = '.mdreader/preview.css'
+
+const PREVIEW_SCOPE = '.preview'
+const SCOPED_NAME_PREFIX = 'preview-' // Given to a workspace stylesheet's fonts and animations
+
+// Selectors for the page itself (or the preview), which mean the preview in a
+// workspace stylesheet
+const PAGE_SELECTOR = /^(?:(?:(?::root|html|body)(?![\w-])|\.preview(?=[\s>+~]|$))\s*)+/
+
+const CSS_NAME = /"([^"]*)"|'([^']*)'|[\w-]+/g
+
+/**
+ * Themes the user can pick. 'system' follows the OS: dark or light, and
+ * high contrast when more contrast is asked for.
+ */
+export const THEMES = [
+  { id: 'system', label: 'Match System' },
+  { id: 'light', label: 'Light' },
+  { id: 'dark', label: 'Dark' },
+  { id: 'high-contrast', label: 'High Contrast' }
+]
+
+/**
+ * The theme picked last, from localStorage
+ */
+export function loadTheme() {
+  const saved = localStorage.getItem(STORAGE_KEY)
+  return THEMES.some(theme => theme.id === saved) ? saved : 'system'
+}
+
+export function saveTheme(theme) {
+  localStorage.setItem(STORAGE_KEY, theme)
+}
+
+/**
+ * The theme 'system' stands for right now
+ */
+function systemTheme() {
+  if (window.matchMedia(CONTRAST_QUERY).matches) return 'high-contrast'
+  return window.matchMedia(DARK_QUERY).matches ? 'dark' : 'light'
+}
+
+/**
+ * Shows the page in `theme` (App.css styles each through `data-theme` on
+ * <html>), following OS changes while it is 'system'. Returns a function
+ * that stops following them.
+ */
+export function applyTheme(theme) {
+  const root = document.documentElement
+  if (theme !== 'system') {
+    root.dataset.theme = theme
+    return () => {}
+  }
+  const queries = [DARK_QUERY, CONTRAST_QUERY].map(query => window.matchMedia(query))
+  const update = () => {
+    root.dataset.theme = systemTheme()
+  }
+  update()
+  queries.forEach(query => query.addEventListener('change', update))
+  return () => queries.forEach(query => query.removeEventListener('change', update))
+}
+
+/**
+ * Splits a selector list at its top-level commas, leaving those inside
+ * `:is(a, b)` or `[title="a, b"]` alone
+ */
+function splitSelectors(selectorText) {
+  const selectors = []
+  let depth = 0
+  let quote = null
+  let start = 0
+  for (let i = 0; i < selectorText.length; i++) {
+    const char = selectorText[i]
+    if (quote) {
+      if (char === '\\') i++
+      else if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '(' || char === '[') {
+      depth++
+    } else if (char === ')' || char === ']') {
+      depth--
+    } else if (char === ',' && depth === 0) {
+      selectors.push(selectorText.slice(start, i).trim())
+      start = i + 1
+    }
+  }
+  selectors.push(selectorText.slice(start).trim())
+  return selectors.filter(Boolean)
+}
+
+/**
+ * Nests a selector under the preview. A leading `body`, `:root` or
+ * `.preview` stands for the preview itself; null for selectors reaching its
+ * siblings (`body ~ aside`), which are outside it.
+ */
+function scopeSelector(selector) {
+  const page = selector.match(PAGE_SELECTOR)
+  if (!page) return `${PREVIEW_SCOPE} ${selector}`
+  const rest = selector.slice(page[0].length)
+  if (!rest) return PREVIEW_SCOPE
+  return /^[~+]/.test(rest) ? null : `${PREVIEW_SCOPE} ${rest}`
+}
+
+function cssName(name) {
+  return /^[a-z_-][\w-]*$/i.test(name) ? name : JSON.stringify(name)
+}
+
+/**
+ * The fonts (@font-face) and animations (@keyframes) a stylesheet defines,
+ * each mapped to the name it gets in the app, so none replaces the app's own
+ */
+function definedNames(rules, names = { fonts: new Map(), animations: new Map() }) {
+  for (const rule of rules) {
+    if (rule instanceof CSSFontFaceRule) {
+      const family = rule.style.getPropertyValue('font-family').replace(/^(["'])(.*)\1$/, '$2')
+      if (family) names.fonts.set(family, `${SCOPED_NAME_PREFIX}${family}`)
+    } else if (rule instanceof CSSKeyframesRule) {
+      names.animations.set(rule.name, `${SCOPED_NAME_PREFIX}${rule.name}`)
+    } else if (rule instanceof CSSGroupingRule) {
+      definedNames(rule.cssRules, names)
+    }
+  }
+  return names
+}
+
+/**
+ * The declarations of a rule, using the renamed fonts and animations
+ */
+function renamedDeclarations(style, { fonts, animations }) {
+  for (const [property, names] of [['font-family', fonts], ['animation-name', animations]]) {
+    const value = style.getPropertyValue(property)
+    if (!value || names.size === 0) continue
+    const renamed = value.replace(CSS_NAME, (token, double, single) => {
+      const name = double ?? single ?? token
+      return names.has(name) ? cssName(names.get(name)) : token
+    })
+    if (renamed !== value) style.setProperty(property, renamed, style.getPropertyPriority(property))
+  }
+  return style.cssText
+}
+
+/**
+ * Rules nested in a style rule: their selectors are relative to it, so they
+ * stay in the preview as written
+ */
+function nestedRules(rules, names) {
+  return [...(rules || [])].map(rule => {
+    if (rule instanceof CSSStyleRule) {
+      return `${rule.selectorText} { ${[renamedDeclarations(rule.style, names), nestedRules(rule.cssRules, names)].join(' ')} }`
+    }
+    if (rule instanceof CSSGroupingRule) {
+      const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{'))
+      return `${prelude}{ ${nestedRules(rule.cssRules, names)} }`
+    }
+    // Declarations after nested rules
+    return rule.style ? renamedDeclarations(rule.style, names) : ''
+  }).join(' ')
+}
+
+function scopeRules(rules, names) {
+  return [...rules].map(rule => {
+    if (rule instanceof CSSStyleRule) {
+      const selectors = splitSelectors(rule.selectorText).map(scopeSelector).filter(Boolean)
+      if (selectors.length === 0) return ''
+      const body = [renamedDeclarations(rule.style, names), nestedRules(rule.cssRules, names)].join(' ')
+      return `${selectors.join(', ')} { ${body} }`
+    }
+    if (rule instanceof CSSGroupingRule) {
+      // @media, @supports and the like: scope the rules inside
+      const prelude = rule.cssText.slice(0, rule.cssText.indexOf('{'))
+      return `${prelude}{\n${scopeRules(rule.cssRules, names)}\n}`
+    }
+    if (rule instanceof CSSFontFaceRule) {
+      return `@font-face { ${renamedDeclarations(rule.style, names)} }`
+    }
+    if (rule instanceof CSSKeyframesRule) {
+      const frames = [...rule.cssRules].map(frame => frame.cssText).join(' ')
+      return `@keyframes ${cssName(names.animations.get(rule.name))} { ${frames} }`
+    }
+    return '' // @page, @property and other rules that would reach past the preview
+  }).filter(Boolean).join('\n')
+}
+
+/**
+ * Rewrites a workspace stylesheet so it only applies inside the preview:
+ * `h1` becomes `.preview h1`, and rules for `:root`, `html` or `body` apply
+ * to the preview itself. Its fonts and animations are renamed (`Inter`
+ * becomes `preview-Inter`), and @import, @page and other rules that would
+ * affect the rest of the app are dropped. Throws if the browser can't parse
+ * stylesheets on its own.
+ */
+export function scopePreviewCss(text) {
+  const sheet = new CSSStyleSheet()
+  sheet.replaceSync(text)
+  return scopeRules(sheet.cssRules, definedNames(sheet.cssRules))
+}
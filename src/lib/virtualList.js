@@ -0,0 +1,57 @@
+// =============================================================================
+// Windowed Lists
+// =============================================================================
+
+import { useEffect, useState } from 'react'
+
+// Items rendered past each edge of the viewport, so fast scrolling shows no gaps
+const OVERSCAN = 8
+
+/**
+ * The `[start, end)` range of equally sized items to render for a viewport
+ * `size` long, scrolled `offset` into the list
+ */
+export function visibleRange(offset, size, itemSize, count) {
+  const start = Math.max(0, Math.floor(offset / itemSize) - OVERSCAN)
+  const end = Math.min(count, Math.ceil((offset + size) / itemSize) + OVERSCAN)
+  return [start, Math.max(start, end)]
+}
+
+/**
+ * The scroll offset that shows the item at `start` (`length` long) with the
+ * least movement, or in the middle of the viewport if `center`
+ */
+export function offsetToShow(start, length, offset, size, { center = false } = {}) {
+  if (center) return Math.max(0, start - (size - length) / 2)
+  if (start < offset) return start
+  if (start + length > offset + size) return start + length - size
+  return offset
+}
+
+/**
+ * Tracks how far a scrollable element is scrolled and how much of it shows,
+ * as `{ offset, size }`, along the vertical axis or else the horizontal one
+ */
+export function useViewport(ref, { horizontal = false } = {}) {
+  const [viewport, setViewport] = useState({ offset: 0, size: 0 })
+
+  useEffect(() => {
+    const el = ref.current
+    if (!el) return
+    const measure = () => {
+      const offset = horizontal ? el.scrollLeft : el.scrollTop
+      const size = horizontal ? el.clientWidth : el.clientHeight
+      setViewport(prev => (prev.offset === offset && prev.size === size ? prev : { offset, size }))
+    }
+    measure()
+    el.addEventListener('scroll', measure, { passive: true })
+    const observer = new ResizeObserver(measure)
+    observer.observe(el)
+    return () => {
+      el.removeEventListener('scroll', measure)
+      observer.disconnect()
+    }
+  }, [ref, horizontal])
+
+  return viewport
+}
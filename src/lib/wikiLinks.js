@@ -0,0 +1,324 @@
+import { slug } from 'github-slugger'
+import { resolvePath, relativePath, encodePath, decodePath } from './paths'
+import { DEFAULT_NOTE_EXTENSIONS, hasNoteExtension, stripNoteExtension } from './folderScan'
+
+// =============================================================================
+// Wiki Links ([[Page]], [[Page|label]], [[Page#Section]])
+// =============================================================================
+
+const WIKI_LINK = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g
+const MARKDOWN_LINK = /(!?)\[([^\]\n]*)\]\(\s*<?([^)\s>]+)>?(?:\s+["'(][^)]*["')])?\s*\)/g
+const REFERENCE_DEFINITION = /^ {0,3}\[[^\]\n]+\]:\s*<?([^\s>]+)>?/gm
+
+/**
+ * Lowercased file name without its note extension, used as a wiki link key
+ */
+export function noteKey(name, extensions = DEFAULT_NOTE_EXTENSIONS) {
+  return stripNoteExtension(name, extensions).toLowerCase()
+}
+
+/**
+ * Groups workspace files by note key, and by their full name for links that
+ * spell out the extension, for fast wiki link lookups. `extensions` are the
+ * folder's note extensions.
+ */
+export function buildNoteIndex(files, extensions = DEFAULT_NOTE_EXTENSIONS) {
+  const index = new Map()
+  const add = (key, file) => {
+    if (!index.has(key)) index.set(key, [])
+    index.get(key).push(file)
+  }
+  for (const file of files) {
+    const key = noteKey(file.name, extensions)
+    add(key, file)
+    if (key !== file.name.toLowerCase()) add(file.name.toLowerCase(), file)
+  }
+  return index
+}
+
+/**
+ * Resolves a wiki link target (`Page`, `folder/Page`, `Page.mdx`) to a file.
+ * Names match case-insensitively; a path prefix narrows the candidates, and
+ * remaining ties prefer the note closest to `fromPath`.
+ */
+export function resolveWikiTarget(target, noteIndex, fromPath = '') {
+  const parts = target.trim().split('/')
+  const candidates = noteIndex.get(parts.pop().toLowerCase()) || []
+  if (candidates.length === 0) return null
+
+  const folder = parts.join('/').toLowerCase()
+  const matching = folder
+    ? candidates.filter(f => {
+        const dir = f.fullPath.split('/').slice(0, -1).join('/').toLowerCase()
+        return dir === folder || dir.endsWith(`/${folder}`)
+      })
+    : candidates
+  if (matching.length <= 1) return matching[0] || null
+
+  const fromDir = fromPath.split('/').slice(0, -1)
+  const sharedDepth = (file) => {
+    const dir = file.fullPath.split('/').slice(0, -1)
+    let depth = 0
+    while (depth < dir.length && depth < fromDir.length && dir[depth] === fromDir[depth]) depth++
+    return depth
+  }
+  return [...matching].sort((a, b) =>
+    sharedDepth(b) - sharedDepth(a) ||
+    a.fullPath.split('/').length - b.fullPath.split('/').length ||
+    a.fullPath.localeCompare(b.fullPath)
+  )[0]
+}
+
+/**
+ * Splits `Page#Section` into its note and section parts. Names can contain
+ * `#` too (`C# notes`): with a `noteIndex`, the longest part naming a note
+ * is the target.
+ */
+function splitTarget(raw, noteIndex) {
+  const split = (hashIndex) => hashIndex === -1
+    ? { target: raw.trim(), section: '' }
+    : { target: raw.slice(0, hashIndex).trim(), section: raw.slice(hashIndex + 1).trim() }
+  if (noteIndex) {
+    // The whole text first, then the parts before each `#`, longest first
+    const hashIndexes = [-1]
+    for (let i = raw.lastIndexOf('#'); i > 0; i = raw.lastIndexOf('#', i - 1)) hashIndexes.push(i)
+    for (const hashIndex of hashIndexes) {
+      const parts = split(hashIndex)
+      if (parts.target && resolveWikiTarget(parts.target, noteIndex)) return parts
+    }
+  }
+  return split(raw.indexOf('#'))
+}
+
+/**
+ * Blanks out fenced code blocks and inline code so links inside them are
+ * ignored, keeping every other character (and so line numbers) in place
+ */
+function maskCode(content) {
+  return content
+    .replace(/^( {0,3})(`{3,}|~{3,})[^\n]*\n[\s\S]*?(?:^ {0,3}\2[^\n]*$|(?![\s\S]))/gm, block => block.replace(/[^\n]/g, ' '))
+    .replace(/(`+)[^`\n]+?\1/g, code => ' '.repeat(code.length))
+}
+
+/**
+ * Finds every wiki link, relative markdown link and relative image in a note.
+ * Returns `[{ kind: 'wiki' | 'markdown' | 'image', target, section, index,
+ * length, targetIndex, targetLength }]` where `target` is the raw wiki target
+ * or the decoded link path (without `#fragment`; empty for `#section` links
+ * within the note), and `targetIndex` / `targetLength` locate that target as
+ * written in the source. A `noteIndex` lets wiki targets contain `#` (see
+ * splitTarget).
+ */
+export function extractLinks(content, noteIndex) {
+  const masked = maskCode(content)
+  const links = []
+
+  for (const match of masked.matchAll(WIKI_LINK)) {
+    const { target, section } = splitTarget(match[1], noteIndex)
+    const leading = match[1].length - match[1].trimStart().length
+    links.push({
+      kind: 'wiki',
+      target,
+      section,
+      index: match.index,
+      length: match[0].length,
+      targetIndex: match.index + 2 + leading,
+      targetLength: target.length
+    })
+  }
+
+  const addMarkdownLink = (kind, href, index, length, hrefIndex) => {
+    if (/^[a-z][a-z\d+.-]*:/i.test(href) || href.startsWith('/')) return
+    const hashIndex = href.indexOf('#')
+    const rawTarget = hashIndex === -1 ? href : href.slice(0, hashIndex)
+    let target = rawTarget
+    try {
+      target = decodePath(target)
+    } catch {
+      // Keep the raw path
+    }
+    const section = hashIndex === -1 ? '' : href.slice(hashIndex + 1)
+    links.push({ kind, target, section, index, length, targetIndex: hrefIndex, targetLength: rawTarget.length })
+  }
+
+  for (const match of masked.matchAll(MARKDOWN_LINK)) {
+    const prefixLength = match[1].length + match[2].length + 3 // `![text](`
+    const hrefIndex = match.index + match[0].indexOf(match[3], prefixLength)
+    addMarkdownLink(match[1] ? 'image' : 'markdown', match[3], match.index, match[0].length, hrefIndex)
+  }
+  for (const match of masked.matchAll(REFERENCE_DEFINITION)) {
+    const hrefIndex = match.index + match[0].indexOf(match[1], match[0].indexOf(']:'))
+    addMarkdownLink('markdown', match[1], match.index, match[0].length, hrefIndex)
+  }
+
+  return links.sort((a, b) => a.index - b.index)
+}
+
+/**
+ * Finds the notes linking to `targetPath`, through wiki links or relative
+ * markdown links. `notes` yields `[path, content]` pairs. Returns
+ * `[{ path, links: [{ line, column, length, text }] }]` with 0-based lines.
+ */
+export function findBacklinks(targetPath, notes, noteIndex, extensions = DEFAULT_NOTE_EXTENSIONS) {
+  const targetName = targetPath.split('/').pop()
+  const key = noteKey(targetName, extensions)
+  const encodedKey = encodeURIComponent(key)
+  const results = []
+
+  for (const [path, content] of notes) {
+    if (path === targetPath) continue
+    // Every link to the note mentions its name somewhere
+    const lower = content.toLowerCase()
+    if (!lower.includes(key) && !lower.includes(encodedKey)) continue
+
+    const links = extractLinks(content, noteIndex)
+      .filter(link => link.target && link.kind !== 'image' && (link.kind === 'wiki'
+        ? resolveWikiTarget(link.target, noteIndex, path)?.fullPath === targetPath
+        : resolvePath(path, link.target) === targetPath))
+      .map(link => {
+        const lineStart = content.lastIndexOf('\n', link.index - 1) + 1
+        const lineEnd = content.indexOf('\n', link.index)
+        return {
+          line: content.slice(0, lineStart).split('\n').length - 1,
+          column: link.index - lineStart,
+          length: link.length,
+          text: content.slice(lineStart, lineEnd === -1 ? undefined : lineEnd).trim()
+        }
+      })
+
+    if (links.length > 0) results.push({ path, links })
+  }
+
+  return results.sort((a, b) => a.path.localeCompare(b.path))
+}
+
+/**
+ * Formats a workspace-relative path as a link target, encoding it the way the
+ * link it replaces was written
+ */
+function formatHref(path, original) {
+  const href = original.startsWith('./') && !path.startsWith('../') ? `./${path}` : path
+  return original.includes('%') ? encodePath(href) : href.replace(/[ #?%]/g, encodeURIComponent)
+}
+
+/**
+ * Rewrites the links in one note after files or folders moved. `oldPath` and
+ * `newPath` are the note's own location before and after the move, and
+ * `remap(path)` returns the new location of any workspace path. Wiki links
+ * are resolved against the `noteIndex` from before the move; `extensions`
+ * are the folder's note extensions. Returns `{ content, count }` with the
+ * number of links changed.
+ */
+export function rewriteLinks(content, oldPath, newPath, remap, noteIndex, extensions = DEFAULT_NOTE_EXTENSIONS) {
+  const edits = []
+
+  for (const link of extractLinks(content, noteIndex)) {
+    if (!link.target) continue
+    const original = content.slice(link.targetIndex, link.targetIndex + link.targetLength)
+
+    if (link.kind === 'wiki') {
+      const file = resolveWikiTarget(link.target, noteIndex, oldPath)
+      if (!file || remap(file.fullPath) === file.fullPath) continue
+      const movedPath = remap(file.fullPath)
+      // Keep the link as short as it was: a bare name stays a bare name
+      let target = link.target.includes('/') ? movedPath : movedPath.split('/').pop()
+      if (!hasNoteExtension(link.target, extensions)) target = stripNoteExtension(target, extensions)
+      if (target !== link.target) edits.push({ index: link.targetIndex, length: link.targetLength, text: target })
+      continue
+    }
+
+    const resolved = resolvePath(oldPath, link.target)
+    const movedPath = remap(resolved)
+    if (resolvePath(newPath, link.target) === movedPath) continue
+    edits.push({
+      index: link.targetIndex,
+      length: link.targetLength,
+      text: formatHref(relativePath(newPath, movedPath), original)
+    })
+  }
+
+  let result = content
+  for (const edit of edits.sort((a, b) => b.index - a.index)) {
+    result = result.slice(0, edit.index) + edit.text + result.slice(edit.index + edit.length)
+  }
+  return { content: result, count: edits.length }
+}
+
+// =============================================================================
+// Remark Plugin
+// =============================================================================
+
+function wikiLinkNode(raw, label, noteIndex, fromPath) {
+  const { target, section } = splitTarget(raw, noteIndex)
+  const text = label?.trim() || raw.trim()
+  const file = target ? resolveWikiTarget(target, noteIndex, fromPath) : null
+
+  // `[[#Section]]` links within the current note
+  if (!target && section) {
+    return {
+      type: 'link',
+      url: `#${slug(section)}`,
+      data: { hProperties: { className: ['wiki-link'] } },
+      children: [{ type: 'text', value: text }]
+    }
+  }
+
+  if (!file) {
+    return {
+      type: 'wikiLink',
+      data: {
+        hName: 'span',
+        hProperties: { className: ['wiki-link', 'unresolved'], title: `No note named "${target}"` }
+      },
+      children: [{ type: 'text', value: text }]
+    }
+  }
+
+  const href = encodePath(relativePath(fromPath, file.fullPath)) + (section ? `#${slug(section)}` : '')
+  return {
+    type: 'link',
+    url: href,
+    title: file.fullPath,
+    data: { hProperties: { className: ['wiki-link'] } },
+    children: [{ type: 'text', value: text }]
+  }
+}
+
+function splitTextNode(node, noteIndex, fromPath) {
+  const parts = []
+  let lastIndex = 0
+  for (const match of node.value.matchAll(WIKI_LINK)) {
+    if (match.index > lastIndex) {
+      parts.push({ type: 'text', value: node.value.slice(lastIndex, match.index) })
+    }
+    parts.push(wikiLinkNode(match[1], match[2], noteIndex, fromPath))
+    lastIndex = match.index + match[0].length
+  }
+  if (parts.length === 0) return [node]
+  if (lastIndex < node.value.length) {
+    parts.push({ type: 'text', value: node.value.slice(lastIndex) })
+  }
+  return parts
+}
+
+function transform(node, noteIndex, fromPath) {
+  if (!node.children || node.type === 'link' || node.type === 'linkReference') return
+  node.children = node.children.flatMap(child => {
+    if (child.type === 'text' && child.value.includes('[[')) {
+      return splitTextNode(child, noteIndex, fromPath)
+    }
+    transform(child, noteIndex, fromPath)
+    return [child]
+  })
+}
+
+/**
+ * Turns `[[Page]]` / `[[Page|label]]` text into links to the matching note,
+ * relative to `fromPath`. Unresolved links render as a `.wiki-link.unresolved`
+ * span.
+ */
+export default function remarkWikiLinks({ noteIndex, fromPath }) {
+  return (tree) => {
+    transform(tree, noteIndex, fromPath)
+  }
+}
@@ -1,8 +1,20 @@
+import { fileURLToPath } from 'node:url'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Markdown dependencies whose browser builds parse with `document` or
+// `DOMParser`, which the preview worker doesn't have: use the builds they
+// publish for workers instead
+const WORKER_SAFE_PACKAGES = ['decode-named-character-reference', 'hast-util-from-html-isomorphic']
+
 export default defineConfig({
   plugins: [react()],
+  resolve: {
+    alias: WORKER_SAFE_PACKAGES.map(name => ({
+      find: new RegExp(`^${name}$`),
+      replacement: fileURLToPath(new URL(`./node_modules/${name}/index.js`, import.meta.url))
+    }))
+  },
   server: {
     port: 3000,
     open: true